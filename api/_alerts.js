@@ -0,0 +1,430 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Threshold alerts for the shared route layer.
+//
+// Each newsletter's 'alerts' document holds its rules, where to deliver
+// alerts, the per-rule breach state and the alert history:
+//   { rules: [rule], notifiers: [notifier], state: { [ruleId]: {...} }, history: [alert] }
+//
+// Rules are evaluated every time a dashboard document is saved (browser sync,
+// import or scheduled sync). An alert fires when a rule starts breaching and
+// resolves when it stops, so a metric that stays low doesn't re-notify on
+// every hourly sync.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keep the alerts document small enough to load with the dashboard
+const MAX_HISTORY = 200;
+const MAX_OUTBOX = 100;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Rule ids key the breach state and land in the dashboard's markup
+const MAX_RULE_ID_LENGTH = 64;
+
+// Everything a notifier is stored with; other fields in a request are dropped
+const NOTIFIER_FIELDS = ['type', 'url', 'to'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// METRICS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function inWindow(rows, windowDays, now) {
+    const start = now - windowDays * DAY_MS;
+    return (rows || []).filter(row => {
+        const time = new Date(row.date).getTime();
+        return time >= start && time <= now;
+    });
+}
+
+function sum(rows, key) {
+    return rows.reduce((total, row) => total + (row[key] || 0), 0);
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 100 : null;
+}
+
+/**
+ * Alertable metrics. Post rates are weighted over the posts sent in the
+ * window, matching XLSXParser.aggregatePosts; net growth compares the latest
+ * subscriber reading with the last one before the window opened.
+ */
+const METRICS = {
+    openRate: {
+        label: 'Open Rate',
+        unit: '%',
+        compute: (data, windowDays, now) => {
+            const posts = inWindow(data.posts, windowDays, now);
+            return ratio(sum(posts, 'uniqueOpens'), sum(posts, 'delivered'));
+        }
+    },
+    ctr: {
+        label: 'CTR',
+        unit: '%',
+        compute: (data, windowDays, now) => {
+            const posts = inWindow(data.posts, windowDays, now);
+            return ratio(sum(posts, 'uniqueClicks'), sum(posts, 'uniqueOpens'));
+        }
+    },
+    unsubscribeRate: {
+        label: 'Unsubscribe Rate',
+        unit: '%',
+        compute: (data, windowDays, now) => {
+            const posts = inWindow(data.posts, windowDays, now);
+            return ratio(sum(posts, 'unsubscribed'), sum(posts, 'sent'));
+        }
+    },
+    deliveryRate: {
+        label: 'Delivery Rate',
+        unit: '%',
+        compute: (data, windowDays, now) => {
+            const posts = inWindow(data.posts, windowDays, now);
+            return ratio(sum(posts, 'delivered'), sum(posts, 'sent'));
+        }
+    },
+    netGrowth: {
+        label: 'Net Growth',
+        unit: 'subscribers',
+        compute: (data, windowDays, now) => {
+            const readings = (data.audience || [])
+                .filter(a => new Date(a.date).getTime() <= now)
+                .sort((a, b) => new Date(a.date) - new Date(b.date));
+            const start = now - windowDays * DAY_MS;
+            const before = readings.filter(a => new Date(a.date).getTime() <= start);
+            const baseline = before.length > 0 ? before[before.length - 1] : readings[0];
+            const latest = readings[readings.length - 1];
+            if (!latest || latest === baseline) return null;
+            return (latest.activeSubscribers || 0) - (baseline.activeSubscribers || 0);
+        }
+    }
+};
+
+const OPERATORS = {
+    below: (value, threshold) => value < threshold,
+    above: (value, threshold) => value > threshold
+};
+
+function formatValue(metric, value) {
+    const def = METRICS[metric];
+    if (def.unit === '%') return `${value.toFixed(2)}%`;
+    return `${value > 0 ? '+' : ''}${value.toLocaleString()} ${def.unit}`;
+}
+
+function describeRule(rule) {
+    const def = METRICS[rule.metric];
+    const threshold = def.unit === '%' ? `${rule.threshold}%` : rule.threshold.toLocaleString();
+    return `${def.label} ${rule.operator} ${threshold} over ${rule.windowDays} day${rule.windowDays !== 1 ? 's' : ''}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WEBHOOK TARGETS
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Anyone who can reach the alerts API can set a webhook URL, so the server
+// must not become a proxy into its own network. Targets must be https; with
+// ALERT_WEBHOOK_HOSTS (comma-separated hostnames) set only those hosts are
+// allowed, otherwise any host whose addresses are all public.
+
+function allowedWebhookHosts() {
+    return (process.env.ALERT_WEBHOOK_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+    const v6 = address.toLowerCase();
+    const mapped = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6);
+}
+
+/**
+ * @returns {string|null} why the URL can't be a webhook target
+ */
+function checkWebhookUrl(value) {
+    let parsed;
+    try {
+        parsed = new URL(value);
+    } catch (e) {
+        return 'Webhook URL is not a valid URL';
+    }
+    if (parsed.protocol !== 'https:') return 'Webhook URL must start with https://';
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const allowed = allowedWebhookHosts();
+    if (allowed.length > 0) {
+        return allowed.includes(host) ? null : `Webhook host ${host} is not in ALERT_WEBHOOK_HOSTS`;
+    }
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+        return 'Webhook URL must point to a public host';
+    }
+    return null;
+}
+
+/**
+ * DNS lookup for webhook requests that refuses private addresses, so a
+ * public name can't resolve (or re-resolve) into the internal network
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+        if (!allowedWebhookHosts().length && addresses.some(isPrivateAddress)) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NOTIFIERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function postJson(targetUrl, payload) {
+    return new Promise((resolve, reject) => {
+        const problem = checkWebhookUrl(targetUrl);
+        if (problem) return reject(new Error(problem));
+
+        const body = JSON.stringify(payload);
+        const req = https.request(new URL(targetUrl), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            timeout: WEBHOOK_TIMEOUT_MS,
+            lookup: publicLookup
+        }, (res) => {
+            res.resume();
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+                else reject(new Error(`Webhook returned HTTP ${res.statusCode}`));
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Delivery channels, keyed by notifier type. Each one receives
+ * { newsletter, alert, notifier, storage } and throws when delivery fails.
+ * Add more with registerNotifier().
+ */
+const NOTIFIERS = {
+    console: {
+        validate: () => null,
+        send: async ({ newsletter, alert }) => {
+            console.warn(`[ALERTS] 🔔 ${newsletter}: ${alert.message}`);
+        }
+    },
+
+    webhook: {
+        validate: (notifier) => checkWebhookUrl(notifier.url || ''),
+        send: async ({ newsletter, alert, notifier }) => {
+            await postJson(notifier.url, { newsletter, alert, text: `🔔 ${newsletter}: ${alert.message}` });
+        }
+    },
+
+    // Stand-in for an SMTP transport: the composed message is appended to the
+    // newsletter's 'email-outbox' document instead of being sent
+    email: {
+        validate: (notifier) => /.+@.+/.test(notifier.to || '') ? null : 'Email notifier needs a recipient address',
+        send: async ({ newsletter, alert, notifier, storage }) => {
+            const message = {
+                from: process.env.ALERT_EMAIL_FROM || 'alerts@localhost',
+                to: notifier.to,
+                subject: `[${newsletter}] ${alert.message}`,
+                text: `${alert.message}\n\nRule: ${alert.rule}\nTriggered: ${alert.triggeredAt}`,
+                queuedAt: new Date().toISOString()
+            };
+            const outbox = await storage.readDocument(newsletter, 'email-outbox') || [];
+            await storage.writeDocument(newsletter, 'email-outbox', [message, ...outbox].slice(0, MAX_OUTBOX));
+            console.log(`[ALERTS] ✉️ Queued alert email to ${notifier.to}`);
+        }
+    }
+};
+
+function registerNotifier(type, { send, validate = () => null }) {
+    NOTIFIERS[type] = { send, validate };
+}
+
+async function deliver(storage, newsletter, alert, notifiers) {
+    return Promise.all(notifiers.map(async (notifier) => {
+        try {
+            await NOTIFIERS[notifier.type].send({ newsletter, alert, notifier, storage });
+            return { type: notifier.type, ok: true };
+        } catch (err) {
+            console.error(`[ALERTS] ${notifier.type} delivery failed for ${newsletter}:`, err.message);
+            return { type: notifier.type, ok: false, error: err.message };
+        }
+    }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+function has(table, key) {
+    return Object.prototype.hasOwnProperty.call(table, key);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function emptyConfig() {
+    return { rules: [], notifiers: [{ type: 'console' }], state: {}, history: [] };
+}
+
+async function readAlerts(storage, newsletter) {
+    return { ...emptyConfig(), ...(await storage.readDocument(newsletter, 'alerts')) };
+}
+
+/**
+ * Validate rules and notifiers from the dashboard
+ * @returns {{ rules, notifiers } | { error }}
+ */
+function normalizeConfig(body) {
+    if (!isObject(body)) return { error: 'Body must be an object with rules and notifiers' };
+
+    const { rules, notifiers } = body;
+    if (!Array.isArray(rules) || !Array.isArray(notifiers)) {
+        return { error: 'rules and notifiers must be arrays' };
+    }
+
+    const normalizedRules = [];
+    for (const rule of rules) {
+        if (!isObject(rule)) return { error: 'Each rule must be an object' };
+        if (!has(METRICS, rule.metric)) return { error: `Unknown metric: ${rule.metric}` };
+        if (!has(OPERATORS, rule.operator)) return { error: `Unknown operator: ${rule.operator}` };
+
+        const threshold = Number(rule.threshold);
+        const windowDays = parseInt(rule.windowDays, 10);
+        if (!Number.isFinite(threshold)) return { error: `Threshold must be a number for ${METRICS[rule.metric].label}` };
+        if (!(windowDays >= 1 && windowDays <= 365)) return { error: 'Window must be between 1 and 365 days' };
+        if (rule.id !== undefined && rule.id !== null &&
+            !(typeof rule.id === 'string' && rule.id.length > 0 && rule.id.length <= MAX_RULE_ID_LENGTH)) {
+            return { error: `Rule id must be a string of at most ${MAX_RULE_ID_LENGTH} characters` };
+        }
+
+        normalizedRules.push({
+            id: rule.id || `rule-${Date.now().toString(36)}-${normalizedRules.length}`,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold,
+            windowDays,
+            enabled: rule.enabled !== false
+        });
+    }
+
+    const normalizedNotifiers = [];
+    for (const notifier of notifiers) {
+        if (!isObject(notifier)) return { error: 'Each notifier must be an object' };
+        const channel = has(NOTIFIERS, notifier.type) && NOTIFIERS[notifier.type];
+        if (!channel) return { error: `Unknown notifier: ${notifier.type}` };
+        const copy = {};
+        NOTIFIER_FIELDS.forEach(field => {
+            if (typeof notifier[field] === 'string') copy[field] = notifier[field];
+        });
+        const problem = channel.validate(copy);
+        if (problem) return { error: problem };
+        normalizedNotifiers.push(copy);
+    }
+
+    return { rules: normalizedRules, notifiers: normalizedNotifiers };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EVALUATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate a newsletter's rules against its dashboard stores and deliver
+ * newly triggered alerts
+ * @param {Object} storage
+ * @param {string} newsletter
+ * @param {Object} dashboard - { posts, growth, audience }
+ * @returns {Promise<Array>} alerts triggered by this evaluation
+ */
+async function evaluateAlerts(storage, newsletter, dashboard) {
+    const config = await readAlerts(storage, newsletter);
+    const rules = config.rules.filter(rule => rule.enabled);
+    if (rules.length === 0 || !dashboard) return [];
+
+    const now = Date.now();
+    const evaluatedAt = new Date(now).toISOString();
+    const state = {};
+    const triggered = [];
+
+    for (const rule of rules) {
+        const value = METRICS[rule.metric].compute(dashboard, rule.windowDays, now);
+        const breached = value !== null && OPERATORS[rule.operator](value, rule.threshold);
+        const previous = config.state[rule.id];
+
+        if (breached && !(previous && previous.breached)) {
+            const alert = {
+                id: `alert-${now.toString(36)}-${triggered.length}`,
+                ruleId: rule.id,
+                metric: rule.metric,
+                value,
+                threshold: rule.threshold,
+                rule: describeRule(rule),
+                message: `${METRICS[rule.metric].label} is ${formatValue(rule.metric, value)} (${rule.operator} ${rule.threshold}${METRICS[rule.metric].unit === '%' ? '%' : ''})`,
+                triggeredAt: evaluatedAt,
+                resolvedAt: null
+            };
+            alert.deliveries = await deliver(storage, newsletter, alert, config.notifiers);
+            triggered.push(alert);
+            state[rule.id] = { breached: true, since: evaluatedAt, value };
+        } else if (breached) {
+            state[rule.id] = { ...previous, value };
+        } else {
+            // Back within the threshold (or no data) → close the open alert
+            if (previous && previous.breached) {
+                const open = config.history.find(a => a.ruleId === rule.id && !a.resolvedAt);
+                if (open) open.resolvedAt = evaluatedAt;
+            }
+            state[rule.id] = { breached: false, value };
+        }
+    }
+
+    const history = [...triggered.reverse(), ...config.history].slice(0, MAX_HISTORY);
+    await storage.writeDocument(newsletter, 'alerts', { ...config, state, history, lastEvaluatedAt: evaluatedAt });
+
+    if (triggered.length > 0) {
+        console.log(`[ALERTS] ${triggered.length} alert(s) triggered for ${newsletter}`);
+    }
+    return triggered;
+}
+
+/**
+ * Metric catalogue for the rule editor
+ */
+function listMetrics() {
+    return Object.entries(METRICS).map(([key, def]) => ({ key, label: def.label, unit: def.unit }));
+}
+
+function listNotifierTypes() {
+    return Object.keys(NOTIFIERS);
+}
+
+module.exports = {
+    evaluateAlerts,
+    readAlerts,
+    normalizeConfig,
+    registerNotifier,
+    listMetrics,
+    listNotifierTypes
+};
@@ -0,0 +1,215 @@
+const https = require('https');
+
+// Shared Beehiiv HTTP client for server.js and the serverless handlers.
+// Every request goes through one process-wide queue so parallel routes
+// (sync, backfill, subscribers) can't collectively blow the rate limit.
+
+const MAX_CONCURRENT = parseInt(process.env.BEEHIIV_MAX_CONCURRENCY || '4', 10);
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Retry-After waits longer than this are surfaced to the caller instead of
+// holding the HTTP request open; background jobs pass a larger maxWaitMs.
+const DEFAULT_MAX_WAIT_MS = 10000;
+
+// Structured error codes surfaced to the dashboard
+const ERROR_CODES = {
+    RATE_LIMITED: 'RATE_LIMITED',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    TIMEOUT: 'TIMEOUT',
+    NETWORK_ERROR: 'NETWORK_ERROR'
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONCURRENCY CAP
+// ─────────────────────────────────────────────────────────────────────────────
+
+let active = 0;
+const waiting = [];
+
+function acquireSlot() {
+    if (active < MAX_CONCURRENT) {
+        active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        next(); // hand the slot straight to the next request
+    } else {
+        active--;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ERRORS & BACKOFF
+// ─────────────────────────────────────────────────────────────────────────────
+
+function createBeehiivError(code, message, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    err.statusCode = extra.statusCode || null;
+    err.retryAfter = extra.retryAfter || null; // seconds
+    err.isBeehiivError = true;
+    return err;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REQUEST
+// ─────────────────────────────────────────────────────────────────────────────
+
+function requestOnce(apiPath) {
+    return new Promise((resolve, reject) => {
+        console.log(`[PROXY] → GET https://api.beehiiv.com${apiPath}`);
+
+        const options = {
+            hostname: 'api.beehiiv.com',
+            path: apiPath,
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${process.env.BEEHIIV_API_KEY}`,
+                'Content-Type': 'application/json'
+            }
+        };
+
+        const apiReq = https.request(options, (apiRes) => {
+            let body = '';
+            apiRes.on('data', chunk => body += chunk);
+            apiRes.on('end', () => {
+                console.log(`[PROXY] ← ${apiRes.statusCode} (${body.length} bytes)`);
+                if (apiRes.statusCode !== 200) {
+                    console.log(`[PROXY] Error body: ${body.substring(0, 500)}`);
+                }
+                resolve({ statusCode: apiRes.statusCode, headers: apiRes.headers, body });
+            });
+        });
+
+        apiReq.setTimeout(REQUEST_TIMEOUT_MS, () => {
+            apiReq.destroy(createBeehiivError(ERROR_CODES.TIMEOUT,
+                `Beehiiv request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`));
+        });
+
+        apiReq.on('error', (err) => {
+            console.error(`[PROXY] Request error:`, err.message);
+            reject(err.isBeehiivError ? err : createBeehiivError(ERROR_CODES.NETWORK_ERROR, err.message));
+        });
+        apiReq.end();
+    });
+}
+
+/**
+ * GET a Beehiiv API path with retries.
+ *
+ * 429 and 5xx responses, timeouts and network errors are retried with
+ * exponential backoff (or the server's Retry-After). Other statuses resolve
+ * as-is so callers can keep checking `statusCode`. Exhausted retries, or a
+ * Retry-After longer than `maxWaitMs`, reject with a structured error.
+ *
+ * @param {string} apiPath - e.g. '/v2/publications/pub_123/posts?limit=100'
+ * @param {Object} [options] - { maxWaitMs }
+ * @returns {Promise<{statusCode, body}>}
+ */
+async function beehiivFetch(apiPath, { maxWaitMs = DEFAULT_MAX_WAIT_MS } = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        let result = null;
+
+        await acquireSlot();
+        try {
+            result = await requestOnce(apiPath);
+        } catch (err) {
+            lastError = err;
+        } finally {
+            releaseSlot();
+        }
+
+        if (result) {
+            const { statusCode, headers } = result;
+            if (statusCode !== 429 && statusCode < 500) {
+                return { statusCode, body: result.body };
+            }
+
+            const retryAfterMs = parseRetryAfter(headers['retry-after']);
+            lastError = statusCode === 429
+                ? createBeehiivError(ERROR_CODES.RATE_LIMITED, 'Beehiiv rate limit reached', {
+                    statusCode,
+                    retryAfter: Math.ceil((retryAfterMs || backoffDelay(attempt)) / 1000)
+                })
+                : createBeehiivError(ERROR_CODES.UPSTREAM_ERROR, `Beehiiv returned ${statusCode}`, { statusCode });
+
+            if (retryAfterMs !== null && retryAfterMs > maxWaitMs) {
+                console.log(`[PROXY] Retry-After ${Math.ceil(retryAfterMs / 1000)}s exceeds wait budget — giving up`);
+                throw lastError;
+            }
+
+            if (attempt < MAX_RETRIES) {
+                const delay = retryAfterMs !== null ? retryAfterMs : backoffDelay(attempt);
+                console.log(`[PROXY] ${statusCode} — retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+                await sleep(delay);
+            }
+            continue;
+        }
+
+        if (attempt < MAX_RETRIES) {
+            const delay = backoffDelay(attempt);
+            console.log(`[PROXY] ${lastError.code} — retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Map a client error to an HTTP response for the dashboard
+ * @returns {{ statusCode: number, body: Object }}
+ */
+function toErrorResponse(err) {
+    if (!err || !err.isBeehiivError) {
+        return {
+            statusCode: 500,
+            body: { error: 'Proxy request failed', details: err ? err.message : 'Unknown error' }
+        };
+    }
+
+    const statusCode = {
+        [ERROR_CODES.RATE_LIMITED]: 429,
+        [ERROR_CODES.TIMEOUT]: 504
+    }[err.code] || 502;
+
+    return {
+        statusCode,
+        body: { error: err.message, code: err.code, retryAfter: err.retryAfter }
+    };
+}
+
+module.exports = { beehiivFetch, toErrorResponse, ERROR_CODES };
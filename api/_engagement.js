@@ -0,0 +1,150 @@
+// Subscriber engagement tiers for the shared route layer.
+//
+// Tiers come from Beehiiv's per-subscriber lifetime stats (emails received,
+// open rate), which the subscription sync fetches with expand[]=stats. Every
+// sync records each subscriber's tier for the current month on their stored
+// record (tiers: { 'YYYY-MM': tier }), so tier sizes and month-over-month
+// migration build up as syncs run in different months.
+
+const TIERS = [
+    { id: 'highly_engaged', label: 'Highly engaged' },
+    { id: 'casual', label: 'Casual' },
+    { id: 'dormant', label: 'Dormant' },
+    { id: 'never_opened', label: 'Never opened' },
+    { id: 'new', label: 'Too new to rate' },
+    { id: 'unknown', label: 'No open stats' }
+];
+
+// Migration target for subscribers who left between two months
+const UNSUBSCRIBED = { id: 'unsubscribed', label: 'Unsubscribed' };
+
+// Subscribers who received fewer emails than this aren't rated yet
+const MIN_EMAILS = 3;
+
+// Lifetime open rate (%) thresholds
+const HIGHLY_ENGAGED_OPEN_RATE = 50;
+const CASUAL_OPEN_RATE = 15;
+
+// Months of tier history kept per subscriber
+const HISTORY_MONTHS = 6;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CLASSIFICATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Tier of one active subscription from its lifetime stats
+ * @param {Object} sub - { emailsReceived, openRate }
+ * @returns {string} tier id
+ */
+function classifyTier(sub) {
+    if (!sub.emailsReceived || sub.emailsReceived < MIN_EMAILS) return 'new';
+    // Beehiiv sent no open rate — not the same as opening nothing
+    if (typeof sub.openRate !== 'number') return 'unknown';
+    if (sub.openRate === 0) return 'never_opened';
+    if (sub.openRate >= HIGHLY_ENGAGED_OPEN_RATE) return 'highly_engaged';
+    if (sub.openRate >= CASUAL_OPEN_RATE) return 'casual';
+    return 'dormant';
+}
+
+function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Tier history for a freshly synced record: the previous history plus this
+ * month's tier. Subscribers who left are marked unsubscribed once, if they
+ * were ever rated.
+ */
+function nextTierHistory(record, previousTiers, now = new Date()) {
+    const tiers = { ...(previousTiers || {}) };
+    const month = monthKey(now);
+
+    if (record.status === 'inactive') {
+        const months = Object.keys(tiers).sort();
+        if (months.length === 0) return undefined;
+        // Already marked in an earlier month — the history ends there
+        if (tiers[months[months.length - 1]] === UNSUBSCRIBED.id) return tiers;
+        tiers[month] = UNSUBSCRIBED.id;
+    } else {
+        tiers[month] = classifyTier(record);
+    }
+
+    const kept = Object.keys(tiers).sort().slice(-HISTORY_MONTHS);
+    return Object.fromEntries(kept.map(key => [key, tiers[key]]));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SUMMARY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Tier sizes now, per recorded month, and migration between the two latest months
+ * @param {Array} subscriptions - stored subscription records
+ * @returns {Object} {
+ *   tiers: [{ id, label, count, share }],
+ *   history: [{ month, counts: { [tier]: n } }],
+ *   migration: { from, to, matrix: { [fromTier]: { [toTier]: n } } } | null,
+ *   thresholds
+ * }
+ */
+function summarizeTiers(subscriptions) {
+    const active = subscriptions.filter(sub => sub.status !== 'inactive');
+    const counts = Object.fromEntries(TIERS.map(t => [t.id, 0]));
+    active.forEach(sub => { counts[classifyTier(sub)]++; });
+
+    const tiers = TIERS.map(t => ({
+        ...t,
+        count: counts[t.id],
+        share: active.length > 0 ? Math.round((counts[t.id] / active.length) * 10000) / 100 : 0
+    }));
+
+    // Tier sizes per month the sync has recorded
+    const byMonth = {};
+    subscriptions.forEach(sub => {
+        Object.entries(sub.tiers || {}).forEach(([month, tier]) => {
+            if (tier === UNSUBSCRIBED.id) return;
+            const monthCounts = byMonth[month] || (byMonth[month] = Object.fromEntries(TIERS.map(t => [t.id, 0])));
+            monthCounts[tier]++;
+        });
+    });
+    const months = Object.keys(byMonth).sort();
+    const history = months.map(month => ({ month, counts: byMonth[month] }));
+
+    // Migration between the two most recent recorded months
+    let migration = null;
+    if (months.length >= 2) {
+        const from = months[months.length - 2];
+        const to = months[months.length - 1];
+        const matrix = {};
+
+        subscriptions.forEach(sub => {
+            const before = sub.tiers && sub.tiers[from];
+            const after = sub.tiers && sub.tiers[to];
+            if (!before || !after || before === UNSUBSCRIBED.id) return;
+            const row = matrix[before] || (matrix[before] = {});
+            row[after] = (row[after] || 0) + 1;
+        });
+
+        migration = { from, to, matrix };
+    }
+
+    return {
+        tiers,
+        history,
+        migration,
+        labels: Object.fromEntries([...TIERS, UNSUBSCRIBED].map(t => [t.id, t.label])),
+        thresholds: {
+            minEmails: MIN_EMAILS,
+            highlyEngagedOpenRate: HIGHLY_ENGAGED_OPEN_RATE,
+            casualOpenRate: CASUAL_OPEN_RATE
+        }
+    };
+}
+
+module.exports = {
+    TIERS,
+    classifyTier,
+    nextTierHistory,
+    summarizeTiers
+};
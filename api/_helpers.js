@@ -1,53 +1,41 @@
-const https = require('https');
+const { createApiRouter, PUB_PREFIX_MAP } = require('./_routes');
+const { createStorage } = require('./_storage');
 
-const BEEHIIV_BASE = 'https://api.beehiiv.com/v2';
-
-// Map newsletter slug PREFIXES → .env Publication ID keys
-const PUB_PREFIX_MAP = [
-    { prefix: 'roko-basilisk', pubId: process.env.BEEHIIV_PUB_ROKO, isDefault: true },
-    { prefix: 'memorandum', pubId: process.env.BEEHIIV_PUB_MEMORANDUM, isDefault: true },
-    { prefix: 'open-source-ceo-by-bill-kerr', pubId: process.env.BEEHIIV_PUB_OPENSOURCE, isDefault: true },
-];
-
-function beehiivFetch(apiPath) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.beehiiv.com',
-            path: apiPath,
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${process.env.BEEHIIV_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        };
-
-        const apiReq = https.request(options, (apiRes) => {
-            let body = '';
-            apiRes.on('data', chunk => body += chunk);
-            apiRes.on('end', () => {
-                resolve({ statusCode: apiRes.statusCode, body });
-            });
-        });
-
-        apiReq.on('error', (err) => {
-            reject(err);
-        });
-        apiReq.end();
-    });
-}
-
-function resolvePublicationId(newsletter) {
-    const match = PUB_PREFIX_MAP.find(entry =>
-        newsletter === entry.prefix || newsletter.startsWith(entry.prefix)
-    );
-    if (match && match.pubId) return match.pubId;
-    return null;
-}
+// One router per function instance; storage backend comes from the
+// environment (see api/_storage.js)
+const router = createApiRouter({ storage: createStorage(), backgroundJobs: false });
 
 function setCorsHeaders(res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 }
 
-module.exports = { beehiivFetch, resolvePublicationId, setCorsHeaders, PUB_PREFIX_MAP };
+/**
+ * Vercel adapter for the shared route layer — every function file in api/
+ * exports one of these, and the router dispatches on the request path
+ */
+function createVercelHandler() {
+    return async function handler(req, res) {
+        setCorsHeaders(res);
+        if (req.method === 'OPTIONS') { res.status(200).end(); return; }
+
+        const parsed = new URL(req.url, 'http://localhost');
+        const result = await router.handle({
+            method: req.method,
+            pathname: parsed.pathname,
+            params: parsed.searchParams,
+            // Vercel parses JSON bodies already; strings mean no JSON content-type
+            readBody: async () => (typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})),
+            // Never treated as local: deployed exports need the token
+            headers: req.headers
+        });
+
+        if (result.cors === false) res.removeHeader('Access-Control-Allow-Origin');
+        Object.entries(result.headers).forEach(([name, value]) => res.setHeader(name, value));
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(result.statusCode).end(result.body);
+    };
+}
+
+module.exports = { createVercelHandler, setCorsHeaders, PUB_PREFIX_MAP };
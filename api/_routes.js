@@ -0,0 +1,772 @@
+const crypto = require('crypto');
+const { beehiivFetch, toErrorResponse } = require('./_beehiiv-client');
+const { isValidId } = require('./_storage');
+const sync = require('./_sync');
+const alerts = require('./_alerts');
+const subscriptions = require('./_subscriptions');
+const engagement = require('./_engagement');
+const snapshots = require('./_snapshots');
+
+// Shared API route layer — consumed by server.js (local dev) and the Vercel
+// functions in api/ (via _helpers.createVercelHandler), so every route
+// behaves the same in both places. Handlers receive a normalized request and
+// return { statusCode, headers, body }; adapters do the actual I/O.
+
+// Map newsletter slug PREFIXES → .env Publication ID keys
+// Newsletter IDs are generated as: name-slug + random-suffix (e.g. 'open-source-ceo-by-bill-kerr-lq3abc5')
+// We match by prefix so the random suffix doesn't matter
+const PUB_PREFIX_MAP = [
+    { prefix: 'roko-basilisk', pubId: process.env.BEEHIIV_PUB_ROKO, isDefault: true },
+    { prefix: 'memorandum', pubId: process.env.BEEHIIV_PUB_MEMORANDUM, isDefault: true },
+    { prefix: 'open-source-ceo-by-bill-kerr', pubId: process.env.BEEHIIV_PUB_OPENSOURCE, isDefault: true },
+];
+
+// Posts per backfill request when jobs can't outlive the request (serverless)
+const BACKFILL_SLICE = 30;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESPONSES
+// ─────────────────────────────────────────────────────────────────────────────
+
+function json(statusCode, body, headers = {}) {
+    return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+// Beehiiv responses are passed through untouched
+function raw(statusCode, body) {
+    return { statusCode, headers: {}, body };
+}
+
+function errorResponse(err) {
+    if (err && err.isStorageError) {
+        return json(err.statusCode, { error: err.message, code: err.code });
+    }
+    const { statusCode, body } = toErrorResponse(err);
+    const headers = body.retryAfter ? { 'Retry-After': String(body.retryAfter) } : {};
+    return json(statusCode, body, headers);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE ROUTES
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Routes returning subscriber emails (PII). With SUBSCRIBER_EXPORT_TOKEN set
+ * the request must present it as X-Export-Token; without it only requests
+ * from this machine (the local dev server) are allowed.
+ */
+function isExportAllowed({ headers = {}, remoteAddress = null }) {
+    const secret = process.env.SUBSCRIBER_EXPORT_TOKEN;
+    if (secret) {
+        const presented = Buffer.from(String(headers['x-export-token'] || ''));
+        const expected = Buffer.from(secret);
+        return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    }
+    return LOOPBACK_ADDRESSES.includes(remoteAddress);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NEWSLETTER SETTINGS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Settings edited on the dashboard, each stored in its own per-newsletter
+// document as { [name]: value, savedAt }. Validators return an error or null.
+const SETTINGS_DOCUMENTS = {
+    goals: value => isPlainObject(value) ? null : 'goals must be an object',
+    annotations: value => Array.isArray(value) && value.every(a => isPlainObject(a) && typeof a.date === 'string' && typeof a.text === 'string')
+        ? null
+        : 'annotations must be an array of { date, text } notes'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST CLICKS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Flatten Beehiiv's stats.clicks entries into one row per URL with
+ * total/unique/verified counts and each link's share of all clicks.
+ * Verified counts are null when Beehiiv doesn't report them.
+ */
+function normalizeClicks(clicks) {
+    const byUrl = {};
+
+    clicks.forEach(entry => {
+        if (!entry || !entry.url) return;
+        const email = entry.email || {};
+        const web = entry.web || {};
+        const verified = email.verified_clicks !== undefined ? email.verified_clicks
+            : entry.verified_clicks !== undefined ? entry.verified_clicks
+                : null;
+
+        const row = byUrl[entry.url] || (byUrl[entry.url] = {
+            url: entry.url,
+            totalClicks: 0,
+            uniqueClicks: 0,
+            verifiedClicks: null,
+            emailClicks: 0,
+            webClicks: 0
+        });
+
+        row.totalClicks += entry.total_clicks !== undefined ? entry.total_clicks : (email.clicks || 0) + (web.clicks || 0);
+        row.uniqueClicks += entry.total_unique_clicks !== undefined ? entry.total_unique_clicks : (email.unique_clicks || 0) + (web.unique_clicks || 0);
+        row.emailClicks += email.clicks || 0;
+        row.webClicks += web.clicks || 0;
+        if (verified !== null) row.verifiedClicks = (row.verifiedClicks || 0) + verified;
+    });
+
+    const links = Object.values(byUrl);
+    const total = links.reduce((sum, l) => sum + l.totalClicks, 0);
+    links.forEach(l => {
+        l.share = total > 0 ? Math.round((l.totalClicks / total) * 10000) / 100 : 0;
+    });
+
+    return links.sort((a, b) => b.totalClicks - a.totalClicks);
+}
+
+/**
+ * Create the router bound to a storage backend (see api/_storage.js)
+ * @param {Object} options
+ * @param {Object} options.storage - storage backend
+ * @param {boolean} [options.backgroundJobs=true] - false when the process
+ *   ends with the response (serverless); long jobs then run in slices
+ * @param {Object} [options.syncScheduler] - scheduled sync runner (see
+ *   api/_scheduler.js); only the long-running local server has one
+ */
+function createApiRouter({ storage, backgroundJobs = true, syncScheduler = null }) {
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // USER-CONFIGURED NEWSLETTERS (config: newsletters)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async function loadUserNewsletters() {
+        try {
+            const data = await storage.readConfig('newsletters');
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            console.warn('[SETTINGS] Failed to load newsletters:', e.message);
+            return [];
+        }
+    }
+
+    async function saveUserNewsletters(newsletters) {
+        try {
+            await storage.writeConfig('newsletters', newsletters);
+            console.log(`[SETTINGS] Saved ${newsletters.length} user newsletter(s)`);
+            return true;
+        } catch (e) {
+            // No durable store at all is a deployment problem, not a failed save
+            if (e.isStorageError) throw e;
+            console.error('[SETTINGS] Failed to save newsletters:', e.message);
+            return false;
+        }
+    }
+
+    function isDefaultSlug(slug) {
+        return PUB_PREFIX_MAP.some(d => slug === d.prefix || slug.startsWith(d.prefix));
+    }
+
+    async function resolvePublicationId(newsletter) {
+        if (!newsletter) return null;
+
+        // Try .env defaults first (exact match, then prefix match)
+        const match = PUB_PREFIX_MAP.find(entry =>
+            newsletter === entry.prefix || newsletter.startsWith(entry.prefix)
+        );
+        if (match && match.pubId) return match.pubId;
+
+        // Then check user-configured newsletters
+        const userNewsletters = await loadUserNewsletters();
+        const userMatch = userNewsletters.find(entry =>
+            newsletter === entry.slug || newsletter.startsWith(entry.slug)
+        );
+        return userMatch ? userMatch.pubId : null;
+    }
+
+    function unknownNewsletter(newsletter) {
+        return json(400, { error: `Unknown newsletter: ${newsletter}` });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // BEEHIIV PROXY ROUTES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    // GET /api/beehiiv/posts?newsletter=roko-basilisk&recentStats=15[&full=1]
+    async function getPosts({ params }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const result = await sync.syncPosts(storage, newsletter, pubId, {
+            full: params.get('full') === '1',
+            recentStats: parseInt(params.get('recentStats') || '0', 10)
+        });
+
+        if (result.error) return raw(result.error.statusCode, result.error.body);
+        return json(200, { data: result.posts, total: result.posts.length, sync: result.sync });
+    }
+
+    // POST /api/beehiiv/backfill?newsletter=… — start (or continue) the stats backfill
+    // GET  /api/beehiiv/backfill?newsletter=… — poll its progress
+    async function backfill({ method, params }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const archive = await storage.readDocument(newsletter, 'beehiiv-posts');
+        const remaining = sync.countPendingStats(archive);
+
+        if (method === 'GET') {
+            return json(200, { job: sync.getBackfillJob(newsletter), remaining });
+        }
+
+        if (!archive) {
+            return json(409, { error: 'Sync posts before starting a backfill' });
+        }
+
+        const current = sync.getBackfillJob(newsletter);
+        if (!(current && current.state === 'running') && remaining > 0) {
+            if (backgroundJobs) {
+                sync.runBackfill(storage, newsletter, pubId)
+                    .catch(err => console.error(`[BACKFILL] ${newsletter} failed:`, err.message));
+            } else {
+                await sync.runBackfill(storage, newsletter, pubId, { limit: BACKFILL_SLICE });
+            }
+        }
+
+        const after = backgroundJobs ? remaining : sync.countPendingStats(await storage.readDocument(newsletter, 'beehiiv-posts'));
+        return json(202, { job: sync.getBackfillJob(newsletter), remaining: after });
+    }
+
+    // GET /api/beehiiv/posts/:id/clicks?newsletter=… — per-link clicks for one post.
+    // Fetched on demand because stats.clicks is too heavy to keep on every post.
+    async function getPostClicks({ params, match }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const postId = decodeURIComponent(match[1]);
+        const result = await beehiivFetch(
+            `/v2/publications/${pubId}/posts/${encodeURIComponent(postId)}?expand[]=stats`
+        );
+        if (result.statusCode !== 200) return raw(result.statusCode, result.body);
+
+        const parsed = JSON.parse(result.body);
+        const post = parsed.data || parsed;
+        const links = normalizeClicks((post.stats && post.stats.clicks) || []);
+
+        return json(200, {
+            postId,
+            title: post.title || post.subject_line || 'Untitled',
+            links,
+            totals: {
+                totalClicks: links.reduce((sum, l) => sum + l.totalClicks, 0),
+                uniqueClicks: links.reduce((sum, l) => sum + l.uniqueClicks, 0),
+                verifiedClicks: links.some(l => l.verifiedClicks !== null)
+                    ? links.reduce((sum, l) => sum + (l.verifiedClicks || 0), 0)
+                    : null
+            }
+        });
+    }
+
+    // GET /api/beehiiv/subscribers?newsletter=roko-basilisk
+    async function getSubscribers({ params }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        // Fetch subscriber count using publication stats
+        const result = await beehiivFetch(`/v2/publications/${pubId}?expand[]=stats`);
+        return raw(result.statusCode, result.body);
+    }
+
+    // The first copy of a large list takes several requests (or a background
+    // job) to fetch; the dashboard polls until it is ready
+    function subscriptionsPending(result) {
+        return json(202, { pending: true, sync: result.sync });
+    }
+
+    // GET /api/beehiiv/subscriptions?newsletter=…[&refresh=1] — subscription
+    // records (created date, status, acquisition source) for cohort retention
+    async function getSubscriptions({ params }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const result = await subscriptions.getSubscriptions(storage, newsletter, pubId, {
+            refresh: params.get('refresh') === '1',
+            background: backgroundJobs
+        });
+
+        if (result.error) return raw(result.error.statusCode, result.error.body);
+        if (result.pending) return subscriptionsPending(result);
+        return json(200, {
+            // Tier history is only needed by the engagement summary
+            data: result.subscriptions.map(({ id, tiers, ...sub }) => sub),
+            total: result.subscriptions.length,
+            lastSyncedAt: result.lastSyncedAt,
+            cached: result.cached,
+            sync: result.sync
+        });
+    }
+
+    // GET /api/beehiiv/subscriptions/sources?newsletter=…&by=source|site|channel —
+    // signups grouped by UTM source, referring site or channel (referral program)
+    async function getSubscriptionSources({ params }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const by = params.get('by') || 'source';
+        if (!subscriptions.SOURCE_DIMENSIONS[by]) {
+            return json(400, { error: `Unknown grouping: ${by}`, allowed: Object.keys(subscriptions.SOURCE_DIMENSIONS) });
+        }
+
+        const result = await subscriptions.getSubscriptions(storage, newsletter, pubId, {
+            refresh: params.get('refresh') === '1',
+            background: backgroundJobs
+        });
+        if (result.error) return raw(result.error.statusCode, result.error.body);
+        if (result.pending) return subscriptionsPending(result);
+
+        return json(200, {
+            ...subscriptions.aggregateSources(result.subscriptions, by),
+            lastSyncedAt: result.lastSyncedAt,
+            sync: result.sync
+        });
+    }
+
+    // GET /api/beehiiv/subscriptions/engagement?newsletter=… — engagement tier
+    // sizes, tier sizes per synced month and migration between the last two
+    async function getEngagementTiers({ params }) {
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const result = await subscriptions.getSubscriptions(storage, newsletter, pubId, {
+            refresh: params.get('refresh') === '1',
+            background: backgroundJobs
+        });
+        if (result.error) return raw(result.error.statusCode, result.error.body);
+        if (result.pending) return subscriptionsPending(result);
+
+        return json(200, {
+            ...engagement.summarizeTiers(result.subscriptions),
+            lastSyncedAt: result.lastSyncedAt,
+            sync: result.sync
+        });
+    }
+
+    // GET /api/beehiiv/subscriptions/export?newsletter=…&tiers=dormant,never_opened[&offset=n] —
+    // active subscribers in those tiers, with emails, for a re-engagement
+    // campaign. Each call covers one slice of the stored tier list; the
+    // dashboard continues at `next` until it is null.
+    async function exportTierSubscribers({ params, headers, remoteAddress }) {
+        if (!isExportAllowed({ headers, remoteAddress })) {
+            return json(401, {
+                error: process.env.SUBSCRIBER_EXPORT_TOKEN
+                    ? 'Subscriber export needs a valid export token'
+                    : 'Subscriber export is only available locally — set SUBSCRIBER_EXPORT_TOKEN to allow it here',
+                code: 'EXPORT_UNAUTHORIZED'
+            });
+        }
+
+        const newsletter = params.get('newsletter');
+        const pubId = await resolvePublicationId(newsletter);
+        if (!pubId) return unknownNewsletter(newsletter);
+
+        const tierIds = (params.get('tiers') || 'dormant').split(',').map(t => t.trim()).filter(Boolean);
+        const unknown = tierIds.filter(id => !engagement.TIERS.some(t => t.id === id));
+        if (unknown.length > 0) {
+            return json(400, { error: `Unknown tier: ${unknown.join(', ')}`, allowed: engagement.TIERS.map(t => t.id) });
+        }
+
+        const offset = parseInt(params.get('offset'), 10) || 0;
+        if (offset < 0) return json(400, { error: 'offset must not be negative' });
+
+        const result = await subscriptions.listSubscribersByTier(storage, newsletter, pubId, tierIds, {
+            offset,
+            background: backgroundJobs
+        });
+        if (result.error) return raw(result.error.statusCode, result.error.body);
+        if (result.pending) return subscriptionsPending(result);
+
+        console.log(`[PROXY] Exported ${result.subscribers.length} ${tierIds.join('/')} subscribers for ${newsletter} (from ${offset} of ${result.total})`);
+        return json(200, {
+            tiers: tierIds,
+            data: result.subscribers,
+            total: result.total,
+            next: result.next,
+            lastSyncedAt: result.lastSyncedAt
+        });
+    }
+
+    // GET /api/beehiiv/publications — list all publications (useful for discovery)
+    async function getPublications() {
+        const result = await beehiivFetch('/v2/publications');
+        return raw(result.statusCode, result.body);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SETTINGS ROUTES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    // GET /api/settings/newsletters — return all configured newsletters
+    async function getNewsletters() {
+        const userNewsletters = await loadUserNewsletters();
+
+        // Build combined list: defaults from .env + user-added
+        const allNewsletters = PUB_PREFIX_MAP.map(entry => ({
+            slug: entry.prefix,
+            pubId: entry.pubId ? ('***' + entry.pubId.slice(-6)) : '',
+            hasPubId: !!entry.pubId,
+            isDefault: true
+        }));
+
+        // Add user-configured newsletters (not already in defaults)
+        userNewsletters.forEach(entry => {
+            if (!isDefaultSlug(entry.slug)) {
+                allNewsletters.push({
+                    slug: entry.slug,
+                    pubId: entry.pubId ? ('***' + entry.pubId.slice(-6)) : '',
+                    hasPubId: !!entry.pubId,
+                    isDefault: false
+                });
+            }
+        });
+
+        return json(200, { newsletters: allNewsletters });
+    }
+
+    // POST /api/settings/newsletters — save a newsletter's publication ID
+    async function saveNewsletter({ readBody }) {
+        let body;
+        try {
+            body = await readBody();
+        } catch (e) {
+            return json(400, { error: 'Invalid JSON body' });
+        }
+
+        const { slug, pubId } = body || {};
+        if (!slug || !pubId) {
+            return json(400, { error: 'slug and pubId are required' });
+        }
+
+        // Don't allow overriding .env defaults
+        if (isDefaultSlug(slug)) {
+            return json(400, { error: 'Cannot override default newsletter — edit .env instead' });
+        }
+
+        // Load, update, save
+        const userNewsletters = await loadUserNewsletters();
+        const existing = userNewsletters.findIndex(n => n.slug === slug);
+        if (existing !== -1) {
+            userNewsletters[existing].pubId = pubId;
+        } else {
+            userNewsletters.push({ slug, pubId });
+        }
+
+        if (await saveUserNewsletters(userNewsletters)) {
+            return json(200, { success: true, message: `Publication ID saved for ${slug}` });
+        }
+        return json(500, { error: 'Failed to save newsletter settings' });
+    }
+
+    // DELETE /api/settings/newsletters?slug=xxx — remove a user-configured newsletter
+    async function deleteNewsletter({ params }) {
+        const slug = params.get('slug');
+        if (!slug) {
+            return json(400, { error: 'slug parameter is required' });
+        }
+
+        const userNewsletters = await loadUserNewsletters();
+        await saveUserNewsletters(userNewsletters.filter(n => n.slug !== slug));
+        return json(200, { success: true });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // DATA STORE ROUTES — /api/data/:newsletter
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function dataNewsletter(match) {
+        const newsletter = decodeURIComponent(match[1]);
+        return isValidId(newsletter) ? newsletter : null;
+    }
+
+    // GET /api/data/:newsletter — persisted posts/growth/audience stores
+    async function getData({ match }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        const stored = await storage.readDocument(newsletter, 'dashboard');
+        if (!stored) return json(404, { error: `No stored data for ${newsletter}` });
+        return json(200, stored);
+    }
+
+    // PUT /api/data/:newsletter
+    async function putData({ match, readBody }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        let payload;
+        try {
+            payload = await readBody();
+        } catch (e) {
+            return json(400, { error: e.message });
+        }
+
+        if (!isPlainObject(payload)) {
+            return json(400, { error: 'Body must be an object with posts, growth or audience' });
+        }
+        if (!Array.isArray(payload.posts) && !Array.isArray(payload.growth) && !Array.isArray(payload.audience)) {
+            return json(400, { error: 'At least one of posts, growth or audience is required' });
+        }
+        const invalid = ['posts', 'growth', 'audience']
+            .filter(store => payload[store] !== undefined && payload[store] !== null && !Array.isArray(payload[store]));
+        if (invalid.length > 0) {
+            return json(400, { error: `${invalid.join(', ')} must be an array` });
+        }
+
+        const document = {
+            posts: payload.posts || null,
+            growth: payload.growth || null,
+            audience: payload.audience || null,
+            lastUpdated: payload.lastUpdated || new Date().toISOString(),
+            source: payload.source || null,
+            fileName: payload.fileName || null,
+            savedAt: new Date().toISOString()
+        };
+        await storage.writeDocument(newsletter, 'dashboard', document);
+        await snapshots.recordSnapshot(storage, newsletter, document);
+        console.log(`[STORE] Saved ${newsletter}: ${(document.posts || []).length} posts, ${(document.growth || []).length} growth rows, ${(document.audience || []).length} audience rows`);
+
+        // Every save is a fresh sync or import — check it against the alert rules
+        if (backgroundJobs) {
+            alerts.evaluateAlerts(storage, newsletter, document).catch(err => console.error('[ALERTS] Evaluation failed:', err.message));
+        } else {
+            await alerts.evaluateAlerts(storage, newsletter, document);
+        }
+
+        return json(200, { success: true, savedAt: document.savedAt });
+    }
+
+    // DELETE /api/data/:newsletter
+    async function deleteData({ match }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        // Stores, import history, settings, alerts and sync caches alike
+        await storage.deleteNewsletter(newsletter);
+        console.log(`[STORE] Deleted every stored document for ${newsletter}`);
+        return json(200, { success: true });
+    }
+
+    // GET /api/data/:newsletter/(goals|annotations) — { [name]: value, savedAt }
+    async function getSettings({ match }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        const stored = await storage.readDocument(newsletter, match[2]);
+        if (!stored) return json(404, { error: `No stored ${match[2]} for ${newsletter}` });
+        return json(200, stored);
+    }
+
+    // PUT /api/data/:newsletter/(goals|annotations) — body { [name]: value }
+    async function putSettings({ match, readBody }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        let body;
+        try {
+            body = await readBody();
+        } catch (e) {
+            return json(400, { error: e.message });
+        }
+
+        const name = match[2];
+        const problem = isPlainObject(body) ? SETTINGS_DOCUMENTS[name](body[name]) : `Body must be an object with ${name}`;
+        if (problem) return json(400, { error: problem });
+
+        const document = { [name]: body[name], savedAt: new Date().toISOString() };
+        await storage.writeDocument(newsletter, name, document);
+        return json(200, { success: true, savedAt: document.savedAt });
+    }
+
+    // GET /api/data/:newsletter/snapshots — saved versions, newest first
+    async function getSnapshots({ match }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        return json(200, { versions: await snapshots.listSnapshots(storage, newsletter) });
+    }
+
+    // POST /api/data/:newsletter/snapshots/:id/restore — roll the dashboard
+    // back to a saved version
+    async function restoreSnapshot({ match }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        const id = decodeURIComponent(match[2]);
+        if (!isValidId(id)) return json(400, { error: `Invalid snapshot: ${match[2]}` });
+
+        const dashboard = await snapshots.restoreSnapshot(storage, newsletter, id);
+        if (!dashboard) return json(404, { error: `No snapshot ${id} for ${newsletter}` });
+        console.log(`[STORE] Rolled ${newsletter} back to snapshot ${id}`);
+
+        await alerts.evaluateAlerts(storage, newsletter, dashboard);
+        return json(200, { success: true, savedAt: dashboard.savedAt });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // ALERT ROUTES — /api/alerts/:newsletter
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async function alertsPayload(newsletter) {
+        const config = await alerts.readAlerts(storage, newsletter);
+        return {
+            rules: config.rules,
+            notifiers: config.notifiers,
+            state: config.state,
+            history: config.history,
+            lastEvaluatedAt: config.lastEvaluatedAt || null,
+            metrics: alerts.listMetrics(),
+            notifierTypes: alerts.listNotifierTypes()
+        };
+    }
+
+    // GET /api/alerts/:newsletter — rules, notifiers and alert history
+    async function getAlerts({ match }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+        return json(200, await alertsPayload(newsletter));
+    }
+
+    // PUT /api/alerts/:newsletter — replace rules and notifiers, then
+    // re-evaluate against the stored dashboard so the history is current
+    async function putAlerts({ match, readBody }) {
+        const newsletter = dataNewsletter(match);
+        if (!newsletter) return json(400, { error: `Invalid newsletter: ${match[1]}` });
+
+        let body;
+        try {
+            body = await readBody();
+        } catch (e) {
+            return json(400, { error: e.message });
+        }
+
+        const normalized = alerts.normalizeConfig(body);
+        if (normalized.error) return json(400, { error: normalized.error });
+
+        const current = await alerts.readAlerts(storage, newsletter);
+        const kept = new Set(normalized.rules.map(rule => rule.id));
+        const state = Object.fromEntries(Object.entries(current.state).filter(([id]) => kept.has(id)));
+        await storage.writeDocument(newsletter, 'alerts', { ...current, ...normalized, state });
+        console.log(`[ALERTS] Saved ${normalized.rules.length} rule(s) for ${newsletter}`);
+
+        await alerts.evaluateAlerts(storage, newsletter, await storage.readDocument(newsletter, 'dashboard'));
+        return json(200, await alertsPayload(newsletter));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SCHEDULED SYNC STATUS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    // GET /api/sync/status[?newsletter=…] — last run, next run and errors
+    async function getSyncStatus({ params }) {
+        const newsletter = params.get('newsletter');
+        if (newsletter && !isValidId(newsletter)) {
+            return json(400, { error: `Invalid newsletter: ${newsletter}` });
+        }
+
+        const ids = newsletter ? [newsletter] : await storage.listNewsletters();
+        const statuses = await Promise.all(ids.map(id => storage.readDocument(id, 'sync-status')));
+
+        return json(200, {
+            enabled: !!(syncScheduler && syncScheduler.isRunning()),
+            newsletters: ids
+                .map((id, i) => statuses[i] && { newsletter: id, ...statuses[i] })
+                .filter(Boolean)
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // ROUTE TABLE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const routes = [
+        { method: 'GET', path: '/api/beehiiv/posts', handler: getPosts },
+        { method: 'GET', pattern: /^\/api\/beehiiv\/posts\/([^/]+)\/clicks$/, handler: getPostClicks },
+        { method: 'GET', path: '/api/beehiiv/backfill', handler: backfill },
+        { method: 'POST', path: '/api/beehiiv/backfill', handler: backfill },
+        { method: 'GET', path: '/api/beehiiv/subscribers', handler: getSubscribers },
+        { method: 'GET', path: '/api/beehiiv/subscriptions', handler: getSubscriptions },
+        { method: 'GET', path: '/api/beehiiv/subscriptions/sources', handler: getSubscriptionSources },
+        { method: 'GET', path: '/api/beehiiv/subscriptions/engagement', handler: getEngagementTiers },
+        { method: 'GET', path: '/api/beehiiv/subscriptions/export', handler: exportTierSubscribers, private: true },
+        { method: 'GET', path: '/api/beehiiv/publications', handler: getPublications },
+        { method: 'GET', path: '/api/sync/status', handler: getSyncStatus },
+        { method: 'GET', pattern: /^\/api\/alerts\/([^/]+)$/, handler: getAlerts },
+        { method: 'PUT', pattern: /^\/api\/alerts\/([^/]+)$/, handler: putAlerts },
+        { method: 'GET', path: '/api/settings/newsletters', handler: getNewsletters },
+        { method: 'POST', path: '/api/settings/newsletters', handler: saveNewsletter },
+        { method: 'DELETE', path: '/api/settings/newsletters', handler: deleteNewsletter },
+        { method: 'GET', pattern: /^\/api\/data\/([^/]+)$/, handler: getData },
+        { method: 'PUT', pattern: /^\/api\/data\/([^/]+)$/, handler: putData },
+        { method: 'DELETE', pattern: /^\/api\/data\/([^/]+)$/, handler: deleteData },
+        { method: 'GET', pattern: /^\/api\/data\/([^/]+)\/(goals|annotations)$/, handler: getSettings },
+        { method: 'PUT', pattern: /^\/api\/data\/([^/]+)\/(goals|annotations)$/, handler: putSettings },
+        { method: 'GET', pattern: /^\/api\/data\/([^/]+)\/snapshots$/, handler: getSnapshots },
+        { method: 'POST', pattern: /^\/api\/data\/([^/]+)\/snapshots\/([^/]+)\/restore$/, handler: restoreSnapshot }
+    ];
+
+    function matchPath(route, pathname) {
+        if (route.path) return route.path === pathname ? [pathname] : null;
+        return pathname.match(route.pattern);
+    }
+
+    /**
+     * Dispatch a normalized request
+     * @param {Object} request
+     * @param {string} request.method
+     * @param {string} request.pathname - e.g. '/api/data/roko-basilisk'
+     * @param {URLSearchParams} request.params
+     * @param {Function} request.readBody - async () => parsed JSON body
+     * @param {Object} [request.headers] - lowercased request headers
+     * @param {string|null} [request.remoteAddress] - client address when the
+     *   adapter knows it (local server only)
+     * @returns {Promise<{statusCode, headers, body, cors}>} cors is false for
+     *   private routes, whose responses must not be readable cross-origin
+     */
+    async function handle({ method, pathname, params, readBody, headers = {}, remoteAddress = null }) {
+        const candidates = routes
+            .map(route => ({ route, match: matchPath(route, pathname) }))
+            .filter(c => c.match);
+
+        if (candidates.length === 0) {
+            return json(404, { error: 'Unknown API route' });
+        }
+
+        const found = candidates.find(c => c.route.method === method);
+        if (!found) {
+            return json(405, { error: 'Method not allowed' });
+        }
+
+        let result;
+        try {
+            result = await found.route.handler({ method, params, match: found.match, readBody, headers, remoteAddress });
+        } catch (err) {
+            console.error('Beehiiv proxy error:', err);
+            result = errorResponse(err);
+        }
+        return found.route.private ? { ...result, cors: false } : result;
+    }
+
+    return { handle, resolvePublicationId };
+}
+
+module.exports = { createApiRouter, PUB_PREFIX_MAP };
@@ -0,0 +1,246 @@
+const { beehiivFetch } = require('./_beehiiv-client');
+const sync = require('./_sync');
+const alerts = require('./_alerts');
+const snapshots = require('./_snapshots');
+const BeehiivAPI = require('../scripts/beehiiv-api');
+
+// Scheduled Beehiiv syncs for the long-running local server (server.js).
+//
+// Every newsletter whose stored dashboard came from the Beehiiv API is
+// re-synced on its own schedule — often right after a send, while opens and
+// clicks are still coming in, and daily otherwise. Results are written to the
+// same 'dashboard' document the browser loads, and each newsletter's run
+// history is kept in its 'sync-status' document for GET /api/sync/status.
+//
+// Environment:
+//   SYNC_SCHEDULE_ENABLED       — 'false' turns the scheduler off (default on)
+//   SYNC_HOT_INTERVAL_MINUTES   — interval right after a send (default 60)
+//   SYNC_IDLE_INTERVAL_MINUTES  — interval otherwise (default 1440)
+//   SYNC_HOT_WINDOW_HOURS       — how long a send counts as recent (default 48)
+
+const MINUTE_MS = 60 * 1000;
+
+// How often due newsletters are checked for (not the sync interval itself)
+const TICK_MS = MINUTE_MS;
+
+// Matches the browser sync (BeehiivAPI.fetchPosts)
+const RECENT_STATS = 60;
+
+function readMinutes(value, fallback) {
+    const parsed = parseFloat(value);
+    return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Read the schedule from the environment
+ * @returns {{ enabled, hotIntervalMs, idleIntervalMs, hotWindowMs }}
+ */
+function readScheduleConfig(env = process.env) {
+    return {
+        enabled: env.SYNC_SCHEDULE_ENABLED !== 'false',
+        hotIntervalMs: readMinutes(env.SYNC_HOT_INTERVAL_MINUTES, 60) * MINUTE_MS,
+        idleIntervalMs: readMinutes(env.SYNC_IDLE_INTERVAL_MINUTES, 24 * 60) * MINUTE_MS,
+        hotWindowMs: readMinutes(env.SYNC_HOT_WINDOW_HOURS, 48) * 60 * MINUTE_MS
+    };
+}
+
+/**
+ * Create the scheduler
+ * @param {Object} options
+ * @param {Object} options.storage - storage backend (see api/_storage.js)
+ * @param {Function} options.resolvePublicationId - async (newsletter) → pubId | null
+ * @param {Object} [options.config] - overrides readScheduleConfig()
+ */
+function createSyncScheduler({ storage, resolvePublicationId, config = readScheduleConfig() }) {
+    let timer = null;
+    let ticking = false;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SCHEDULE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Pick the interval from the most recent send in the stored posts
+     */
+    function intervalFor(posts) {
+        const lastSend = (posts || []).reduce((max, p) => Math.max(max, new Date(p.date).getTime() || 0), 0);
+        return Date.now() - lastSend <= config.hotWindowMs ? config.hotIntervalMs : config.idleIntervalMs;
+    }
+
+    /**
+     * Newsletters eligible for scheduled syncs: a Beehiiv-sourced dashboard
+     * (imported spreadsheets are never overwritten) and a known publication
+     */
+    async function listScheduled() {
+        const newsletters = await storage.listNewsletters();
+        const scheduled = [];
+
+        for (const newsletter of newsletters) {
+            const dashboard = await storage.readDocument(newsletter, 'dashboard');
+            if (!dashboard || dashboard.source !== 'beehiiv-api') continue;
+
+            const pubId = await resolvePublicationId(newsletter);
+            if (pubId) scheduled.push({ newsletter, pubId, dashboard });
+        }
+
+        return scheduled;
+    }
+
+    async function updateStatus(newsletter, changes) {
+        const current = await storage.readDocument(newsletter, 'sync-status') || {};
+        const status = { ...current, ...changes };
+        await storage.writeDocument(newsletter, 'sync-status', status);
+        return status;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SYNC RUN
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Sync one newsletter and store the result as its dashboard document,
+     * exactly as the browser's Sync button would
+     */
+    async function runSync(newsletter, pubId) {
+        const startedAt = new Date().toISOString();
+        await updateStatus(newsletter, { running: true, lastRunAt: startedAt });
+        console.log(`[SCHEDULER] Syncing "${newsletter}"…`);
+
+        try {
+            const result = await sync.syncPosts(storage, newsletter, pubId, { recentStats: RECENT_STATS });
+            if (result.error) throw toSyncError(result.error, result.page);
+
+            const subscribers = await beehiivFetch(`/v2/publications/${pubId}?expand[]=stats`);
+            if (subscribers.statusCode !== 200) throw toSyncError(subscribers);
+
+            const pubResponse = JSON.parse(subscribers.body);
+            const pubData = pubResponse.data || pubResponse;
+            const posts = BeehiivAPI.transformPosts(result.posts, pubData.stats || {});
+            const now = new Date().toISOString();
+
+            const dashboard = {
+                posts,
+                growth: BeehiivAPI.deriveGrowth(posts),
+                audience: BeehiivAPI.buildAudience(pubResponse, posts),
+                lastUpdated: now,
+                source: 'beehiiv-api',
+                savedAt: now
+            };
+            await storage.writeDocument(newsletter, 'dashboard', dashboard);
+            await snapshots.recordSnapshot(storage, newsletter, dashboard);
+            await alerts.evaluateAlerts(storage, newsletter, dashboard);
+
+            // Older posts still on estimates → keep the backfill going
+            const job = sync.getBackfillJob(newsletter);
+            if (posts.some(p => p.isEstimated) && !(job && job.state === 'running')) {
+                sync.runBackfill(storage, newsletter, pubId);
+            }
+
+            const intervalMs = intervalFor(posts);
+            console.log(`[SCHEDULER] ✅ "${newsletter}": ${posts.length} posts, ${result.sync.newPosts} new`);
+            return updateStatus(newsletter, {
+                running: false,
+                lastSuccessAt: now,
+                lastResult: { ...result.sync, posts: posts.length },
+                lastError: null,
+                intervalMinutes: intervalMs / MINUTE_MS,
+                nextRunAt: new Date(Date.now() + intervalMs).toISOString()
+            });
+        } catch (err) {
+            // Retry on the short interval, or once Beehiiv's rate limit lifts
+            const retryMs = Math.max(config.hotIntervalMs, (err.retryAfter || 0) * 1000);
+            console.error(`[SCHEDULER] ❌ "${newsletter}": ${err.message}`);
+            return updateStatus(newsletter, {
+                running: false,
+                lastError: { message: err.message, code: err.code || null, at: new Date().toISOString() },
+                nextRunAt: new Date(Date.now() + retryMs).toISOString()
+            });
+        }
+    }
+
+    /**
+     * Run every newsletter that is due, one at a time so scheduled syncs
+     * never compete with each other for the Beehiiv rate limit
+     */
+    async function tick() {
+        if (ticking) return;
+        ticking = true;
+
+        try {
+            const scheduled = await listScheduled();
+            for (const { newsletter, pubId, dashboard } of scheduled) {
+                const status = await storage.readDocument(newsletter, 'sync-status');
+
+                // First sighting: schedule from the last time the data was saved
+                if (!status || !status.nextRunAt) {
+                    const savedAt = new Date(dashboard.savedAt || 0).getTime();
+                    const intervalMs = intervalFor(dashboard.posts);
+                    await updateStatus(newsletter, {
+                        running: false,
+                        intervalMinutes: intervalMs / MINUTE_MS,
+                        nextRunAt: new Date(Math.max(Date.now(), savedAt + intervalMs)).toISOString()
+                    });
+                    continue;
+                }
+
+                if (new Date(status.nextRunAt).getTime() <= Date.now()) {
+                    await runSync(newsletter, pubId);
+                }
+            }
+        } catch (err) {
+            console.error('[SCHEDULER] Tick failed:', err.message);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // LIFECYCLE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async function start() {
+        if (!config.enabled || timer) return;
+
+        // A run interrupted by a restart should not look busy forever
+        for (const newsletter of await storage.listNewsletters()) {
+            const status = await storage.readDocument(newsletter, 'sync-status');
+            if (status && status.running) await updateStatus(newsletter, { running: false });
+        }
+
+        timer = setInterval(tick, TICK_MS);
+        timer.unref();
+        tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        start,
+        stop,
+        tick,
+        runSync,
+        isRunning: () => !!timer,
+        config
+    };
+}
+
+/**
+ * Turn a failed Beehiiv response ({ statusCode, body }) into an Error
+ */
+function toSyncError(response, page = null) {
+    let message = `Beehiiv returned HTTP ${response.statusCode}${page ? ` for posts page ${page}` : ''}`;
+    try {
+        const body = JSON.parse(response.body);
+        const detail = body.errors?.[0]?.message || body.message || body.error;
+        if (detail) message += `: ${detail}`;
+    } catch (e) { /* not JSON */ }
+
+    const err = new Error(message);
+    err.code = response.statusCode === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR';
+    return err;
+}
+
+module.exports = { createSyncScheduler, readScheduleConfig };
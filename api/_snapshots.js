@@ -0,0 +1,145 @@
+// Versioned dashboard snapshots for the shared route layer.
+//
+// Every save of a newsletter's 'dashboard' document (import, browser sync,
+// scheduled sync or rollback) is also kept as a snapshot so a bad import can
+// be undone. The 'snapshots' document indexes the versions, newest first:
+//   { versions: [{ id, source, fileName, counts, lastUpdated, savedAt, restoredFrom }] }
+// and each version's stores live in their own 'snapshot-<id>' document, so
+// listing the history never loads the posts themselves.
+
+// Scheduled syncs can run hourly — cap them separately so they never push
+// imports out of the history
+const MAX_VERSIONS = 30;
+const MAX_SYNC_VERSIONS = 10;
+
+const SYNC_SOURCES = ['beehiiv-api'];
+
+function documentName(id) {
+    return `snapshot-${id}`;
+}
+
+function emptyIndex() {
+    return { versions: [] };
+}
+
+async function readIndex(storage, newsletter) {
+    return { ...emptyIndex(), ...(await storage.readDocument(newsletter, 'snapshots')) };
+}
+
+function countRows(rows) {
+    return Array.isArray(rows) ? rows.length : 0;
+}
+
+/**
+ * Split the index into versions to keep and versions to drop
+ */
+function prune(versions) {
+    let syncs = 0;
+    const kept = [];
+    const dropped = [];
+
+    versions.forEach(version => {
+        const isSync = SYNC_SOURCES.includes(version.source);
+        if (isSync) syncs++;
+        if (kept.length >= MAX_VERSIONS || (isSync && syncs > MAX_SYNC_VERSIONS)) {
+            dropped.push(version);
+        } else {
+            kept.push(version);
+        }
+    });
+
+    return { kept, dropped };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECORDING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Store a saved dashboard as the newest version
+ * @param {Object} storage
+ * @param {string} newsletter
+ * @param {Object} dashboard - the document just written as 'dashboard'
+ * @returns {Promise<Object>} the version entry
+ */
+async function recordSnapshot(storage, newsletter, dashboard) {
+    const savedAt = dashboard.savedAt || new Date().toISOString();
+    const version = {
+        id: `v${new Date(savedAt).getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        source: dashboard.source || null,
+        fileName: dashboard.fileName || null,
+        counts: {
+            posts: countRows(dashboard.posts),
+            growth: countRows(dashboard.growth),
+            audience: countRows(dashboard.audience)
+        },
+        lastUpdated: dashboard.lastUpdated || null,
+        savedAt,
+        restoredFrom: dashboard.restoredFrom || null
+    };
+
+    await storage.writeDocument(newsletter, documentName(version.id), {
+        posts: dashboard.posts || null,
+        growth: dashboard.growth || null,
+        audience: dashboard.audience || null
+    });
+
+    const index = await readIndex(storage, newsletter);
+    const { kept, dropped } = prune([version, ...index.versions]);
+    await storage.writeDocument(newsletter, 'snapshots', { ...index, versions: kept });
+
+    for (const old of dropped) {
+        await storage.deleteDocument(newsletter, documentName(old.id));
+    }
+
+    return version;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HISTORY & ROLLBACK
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Version history, newest first; the first entry matches the current dashboard
+ */
+async function listSnapshots(storage, newsletter) {
+    return (await readIndex(storage, newsletter)).versions;
+}
+
+/**
+ * Make a previous version the current dashboard again. The rollback is
+ * itself recorded as a version, so it can be undone the same way.
+ * @returns {Promise<Object|null>} the restored dashboard, or null when the
+ *   version doesn't exist
+ */
+async function restoreSnapshot(storage, newsletter, id) {
+    const index = await readIndex(storage, newsletter);
+    const version = index.versions.find(v => v.id === id);
+    if (!version) return null;
+
+    const stores = await storage.readDocument(newsletter, documentName(id));
+    if (!stores) return null;
+
+    const dashboard = {
+        posts: stores.posts,
+        growth: stores.growth,
+        audience: stores.audience,
+        lastUpdated: version.lastUpdated,
+        source: version.source,
+        fileName: version.fileName,
+        restoredFrom: id,
+        savedAt: new Date().toISOString()
+    };
+    await storage.writeDocument(newsletter, 'dashboard', dashboard);
+    await recordSnapshot(storage, newsletter, dashboard);
+
+    return dashboard;
+}
+
+module.exports = {
+    recordSnapshot,
+    listSnapshots,
+    restoreSnapshot,
+    MAX_VERSIONS,
+    MAX_SYNC_VERSIONS
+};
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable storage for the shared route layer (api/_routes.js).
+//
+// Every backend implements the same async interface:
+//   readDocument(newsletter, name)        → data | null
+//   writeDocument(newsletter, name, data)
+//   deleteDocument(newsletter, name)
+//   deleteNewsletter(newsletter)          — every document of the newsletter
+//   listNewsletters()                     → [newsletter]
+//   readConfig(name)                      → data | null
+//   writeConfig(name, data)
+//
+// Documents are per-newsletter (synced stores, caches, history); config is
+// app-wide (e.g. user-configured newsletters).
+
+// Newsletter IDs are slugs (e.g. 'roko-basilisk', 'my-letter-lq3abc5') —
+// anything else is rejected so keys can never escape the storage root.
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function assertKey(...parts) {
+    parts.forEach(part => {
+        if (!isValidId(part)) throw new Error(`Invalid storage key: ${parts.join('/')}`);
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FILE BACKEND
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * JSON files on disk.
+ * Documents: <dataDir>/<newsletter>/<name>.json
+ * Config:    <configDir>/<name>.json (newsletters.json lives at the repo root)
+ */
+function createFileStorage({ dataDir, configDir }) {
+    function readJSON(file) {
+        try {
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            console.warn(`[STORE] Failed to read ${file}:`, e.message);
+            return null;
+        }
+    }
+
+    // Temp file + rename so a crash mid-write never leaves a truncated file
+    function writeJSON(file, data, indent) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify(data, null, indent), 'utf8');
+        fs.renameSync(tmp, file);
+    }
+
+    function documentPath(newsletter, name) {
+        assertKey(newsletter, name);
+        return path.join(dataDir, newsletter, `${name}.json`);
+    }
+
+    function configPath(name) {
+        assertKey(name);
+        return path.join(configDir, `${name}.json`);
+    }
+
+    return {
+        type: 'file',
+
+        async readDocument(newsletter, name) {
+            return readJSON(documentPath(newsletter, name));
+        },
+
+        async writeDocument(newsletter, name, data) {
+            writeJSON(documentPath(newsletter, name), data);
+        },
+
+        async deleteDocument(newsletter, name) {
+            const file = documentPath(newsletter, name);
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        },
+
+        async deleteNewsletter(newsletter) {
+            assertKey(newsletter);
+            fs.rmSync(path.join(dataDir, newsletter), { recursive: true, force: true });
+        },
+
+        async listNewsletters() {
+            try {
+                if (!fs.existsSync(dataDir)) return [];
+                return fs.readdirSync(dataDir, { withFileTypes: true })
+                    .filter(entry => entry.isDirectory() && isValidId(entry.name))
+                    .map(entry => entry.name);
+            } catch (e) {
+                console.warn('[STORE] Failed to list data directory:', e.message);
+                return [];
+            }
+        },
+
+        async readConfig(name) {
+            return readJSON(configPath(name));
+        },
+
+        async writeConfig(name, data) {
+            // Config is hand-editable, so keep it readable
+            writeJSON(configPath(name), data, 2);
+        }
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MEMORY BACKEND
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * In-process maps — nothing survives a restart. Useful for previews and
+ * serverless instances without a writable disk.
+ */
+function createMemoryStorage() {
+    const documents = new Map();
+    const config = new Map();
+
+    // Deep copies keep callers from mutating stored state by reference
+    const clone = data => (data === undefined || data === null) ? null : JSON.parse(JSON.stringify(data));
+
+    return {
+        type: 'memory',
+
+        async readDocument(newsletter, name) {
+            assertKey(newsletter, name);
+            return clone(documents.get(`${newsletter}/${name}`));
+        },
+
+        async writeDocument(newsletter, name, data) {
+            assertKey(newsletter, name);
+            documents.set(`${newsletter}/${name}`, clone(data));
+        },
+
+        async deleteDocument(newsletter, name) {
+            assertKey(newsletter, name);
+            documents.delete(`${newsletter}/${name}`);
+        },
+
+        async deleteNewsletter(newsletter) {
+            assertKey(newsletter);
+            [...documents.keys()]
+                .filter(key => key.startsWith(`${newsletter}/`))
+                .forEach(key => documents.delete(key));
+        },
+
+        async listNewsletters() {
+            return [...new Set([...documents.keys()].map(key => key.split('/')[0]))];
+        },
+
+        async readConfig(name) {
+            assertKey(name);
+            return clone(config.get(name));
+        },
+
+        async writeConfig(name, data) {
+            assertKey(name);
+            config.set(name, clone(data));
+        }
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// KV BACKEND
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Redis over the Upstash REST API (what Vercel KV speaks), shared by every
+ * serverless instance.
+ * Documents: <prefix>:doc:<newsletter>:<name>
+ * Config:    <prefix>:config:<name>
+ * Newsletters with documents are tracked in the <prefix>:newsletters set.
+ */
+function createKVStorage({ url, token, prefix = 'newsletter-dashboard' }) {
+    async function command(...args) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok || body.error) {
+            throw new Error(`KV ${args[0]} failed: ${body.error || res.status}`);
+        }
+        return body.result;
+    }
+
+    async function readJSON(key) {
+        const value = await command('GET', key);
+        return value === null || value === undefined ? null : JSON.parse(value);
+    }
+
+    function documentKey(newsletter, name) {
+        assertKey(newsletter, name);
+        return `${prefix}:doc:${newsletter}:${name}`;
+    }
+
+    function configKey(name) {
+        assertKey(name);
+        return `${prefix}:config:${name}`;
+    }
+
+    return {
+        type: 'kv',
+
+        async readDocument(newsletter, name) {
+            return readJSON(documentKey(newsletter, name));
+        },
+
+        async writeDocument(newsletter, name, data) {
+            await command('SET', documentKey(newsletter, name), JSON.stringify(data));
+            await command('SADD', `${prefix}:newsletters`, newsletter);
+        },
+
+        async deleteDocument(newsletter, name) {
+            await command('DEL', documentKey(newsletter, name));
+        },
+
+        async deleteNewsletter(newsletter) {
+            assertKey(newsletter);
+            // Keys are found with SCAN, so snapshot-<id> documents go too
+            let cursor = '0';
+            do {
+                const [next, keys] = await command('SCAN', cursor, 'MATCH', `${prefix}:doc:${newsletter}:*`, 'COUNT', 100);
+                if (keys.length > 0) await command('DEL', ...keys);
+                cursor = String(next);
+            } while (cursor !== '0');
+            await command('SREM', `${prefix}:newsletters`, newsletter);
+        },
+
+        async listNewsletters() {
+            const members = await command('SMEMBERS', `${prefix}:newsletters`);
+            return (members || []).filter(isValidId);
+        },
+
+        async readConfig(name) {
+            return readJSON(configKey(name));
+        },
+
+        async writeConfig(name, data) {
+            await command('SET', configKey(name), JSON.stringify(data));
+        }
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// UNAVAILABLE BACKEND
+// ─────────────────────────────────────────────────────────────────────────────
+
+function createStorageUnavailableError(message) {
+    const err = new Error(message);
+    err.code = 'STORAGE_UNAVAILABLE';
+    err.statusCode = 503;
+    err.isStorageError = true;
+    return err;
+}
+
+/**
+ * Stands in when there is nowhere durable to write (Vercel without KV):
+ * reads find nothing and writes fail loudly instead of landing in an
+ * instance's /tmp, where other functions never see them.
+ */
+function createUnavailableStorage(reason) {
+    const refuse = async () => { throw createStorageUnavailableError(reason); };
+
+    return {
+        type: 'unavailable',
+        async readDocument() { return null; },
+        writeDocument: refuse,
+        deleteDocument: refuse,
+        deleteNewsletter: refuse,
+        async listNewsletters() { return []; },
+        async readConfig() { return null; },
+        writeConfig: refuse
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BACKEND SELECTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pick a backend from the environment.
+ *   STORAGE_BACKEND   — 'file', 'memory' or 'kv'; defaults to 'kv' when KV
+ *                       credentials are set, 'file' otherwise
+ *   KV_REST_API_URL / KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL /
+ *   UPSTASH_REDIS_REST_TOKEN) — the shared store for serverless deployments
+ *   KV_PREFIX         — key prefix, to share one database between deployments
+ *   DATA_DIR          — root for file documents (default ./data)
+ *
+ * Vercel functions don't share a disk, so there the file backend is only
+ * used when DATA_DIR is set explicitly; without KV, writes are refused.
+ */
+function createStorage(env = process.env) {
+    const kv = {
+        url: env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL,
+        token: env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN,
+        prefix: env.KV_PREFIX || undefined
+    };
+    const backend = env.STORAGE_BACKEND || (kv.url && kv.token ? 'kv' : 'file');
+
+    if (backend === 'memory') {
+        return createMemoryStorage();
+    }
+
+    if (backend === 'kv') {
+        if (!kv.url || !kv.token) {
+            return createUnavailableStorage('STORAGE_BACKEND=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+        }
+        return createKVStorage(kv);
+    }
+
+    if (env.VERCEL && !env.DATA_DIR) {
+        return createUnavailableStorage('No shared storage configured: Vercel functions don\'t share a disk. ' +
+            'Connect a KV store (KV_REST_API_URL / KV_REST_API_TOKEN) to save data.');
+    }
+
+    const root = path.join(__dirname, '..');
+    const dataDir = env.DATA_DIR || path.join(root, 'data');
+    const configDir = env.VERCEL ? dataDir : root;
+    return createFileStorage({ dataDir, configDir });
+}
+
+module.exports = {
+    isValidId,
+    createFileStorage,
+    createMemoryStorage,
+    createKVStorage,
+    createUnavailableStorage,
+    createStorage
+};
@@ -0,0 +1,443 @@
+const { beehiivFetch } = require('./_beehiiv-client');
+const engagement = require('./_engagement');
+
+// Subscription records for cohort retention, the acquisition source
+// breakdown and engagement tiers (shared route layer).
+//
+// Beehiiv lists every subscription with its created date, current status and
+// UTM fields, but no unsubscribe date. Each sync therefore compares statuses
+// with the stored copy and stamps `endedAt` when an active subscription turns
+// inactive, so churn timing gets more precise the longer syncs run.
+//
+// The per-publication copy lives in the 'subscriptions' document:
+//   { pubId, lastSyncedAt, subscriptions: { [id]: { created, status, source, utmSource,
+//     referringSite, channel, emailsReceived, openRate, ctr, tiers, endedAt } } }
+// Emails are never stored; the dormant export looks them up per subscriber.
+//
+// Paging a large list takes longer than an HTTP request may, so a sync is a
+// resumable job like the stats backfill: the pages fetched so far are
+// checkpointed in the 'subscriptions-sync' document
+//   { pubId, page, cursor, totalPages, pages, records: { [id]: record }, startedAt }
+// and the long-running server finishes it in the background while
+// serverless requests each advance it by SLICE_PAGES.
+
+const PAGE_LIMIT = 100;
+
+// A stored copy younger than this is served without calling Beehiiv
+const MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Background-style wait budget: a full list can be hundreds of pages
+const PAGE_MAX_WAIT_MS = 60 * 1000;
+
+// Pages per request when jobs can't outlive the request (serverless)
+const SLICE_PAGES = 10;
+
+// Background syncs save their progress this often
+const CHECKPOINT_PAGES = 10;
+
+// A background sync gets this long to finish before the request answers
+// with progress instead (small lists still load in one request)
+const HEAD_START_MS = 5000;
+
+// Subscribers whose email the tier export looks up per request
+const EXPORT_SLICE = 25;
+
+// Statuses of subscribers who were actually on the list
+const COUNTED_STATUSES = ['active', 'inactive', 'needs_attention'];
+
+// Source breakdown: named groups beyond this are folded into "Other"
+const MAX_SOURCE_GROUPS = 8;
+const SOURCE_MONTHS = 12;
+
+// Ways to group signups for the source breakdown. Beehiiv tags signups from
+// the referral program with utm_channel 'referral'.
+const SOURCE_DIMENSIONS = {
+    source: { label: 'UTM source', value: sub => sub.utmSource || '(none)' },
+    site: { label: 'Referring site', value: sub => sub.referringSite || '(direct)' },
+    channel: {
+        label: 'Channel',
+        value: sub => sub.channel === 'referral' ? 'Referral program' : (sub.channel || '(unknown)')
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FETCHING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fetch one page of subscriptions for a sync in progress
+ * @returns {Promise<Object>} parsed page, or { error } with the Beehiiv response
+ */
+async function fetchSubscriptionPage(pubId, progress) {
+    const query = progress.cursor ? `cursor=${encodeURIComponent(progress.cursor)}` : `page=${progress.page}`;
+    const result = await beehiivFetch(
+        `/v2/publications/${pubId}/subscriptions?limit=${PAGE_LIMIT}&expand[]=stats&${query}`,
+        { maxWaitMs: PAGE_MAX_WAIT_MS }
+    );
+    if (result.statusCode !== 200) return { error: result };
+    return JSON.parse(result.body);
+}
+
+/**
+ * Keep only what the cohort, source and tier views need
+ */
+function normalizeSubscription(sub) {
+    const created = typeof sub.created === 'number'
+        ? new Date(sub.created * 1000).toISOString()
+        : sub.created || null;
+    const referringSite = siteName(sub.referring_site);
+    const stats = sub.stats || {};
+
+    return {
+        created,
+        status: sub.status || 'unknown',
+        source: sub.utm_source || referringSite || sub.utm_channel || 'direct',
+        utmSource: sub.utm_source || null,
+        referringSite,
+        channel: sub.utm_channel || null,
+        emailsReceived: stats.emails_received || 0,
+        openRate: typeof stats.open_rate === 'number' ? stats.open_rate : null,
+        ctr: typeof stats.click_through_rate === 'number' ? stats.click_through_rate : null
+    };
+}
+
+/**
+ * Referring site as a bare hostname ('https://www.x.com/a' → 'x.com')
+ */
+function siteName(referrer) {
+    if (!referrer) return null;
+    try {
+        return new URL(referrer.includes('://') ? referrer : `https://${referrer}`).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return String(referrer);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SYNC
+// ─────────────────────────────────────────────────────────────────────────────
+
+function newProgress(pubId) {
+    return { pubId, page: 1, cursor: null, totalPages: null, pages: 0, records: {}, startedAt: new Date().toISOString() };
+}
+
+/**
+ * Progress as reported to the dashboard
+ */
+function describeProgress(progress, state) {
+    return {
+        state,
+        pages: progress.pages,
+        totalPages: progress.totalPages,
+        records: Object.keys(progress.records).length,
+        startedAt: progress.startedAt
+    };
+}
+
+/**
+ * Fetch (or continue fetching) every subscription, then replace the stored
+ * copy. With `maxPages` the job stops after that many pages and leaves its
+ * progress in 'subscriptions-sync' for the next call.
+ * @param {Function} [options.onProgress] - called with describeProgress() after each page
+ * @returns {Object} { progress, document } — document only once the sync
+ *   finished — or { error }
+ */
+async function syncSubscriptions(storage, newsletter, pubId, { maxPages = Infinity, onProgress = null } = {}) {
+    let progress = await storage.readDocument(newsletter, 'subscriptions-sync');
+    if (!progress || progress.pubId !== pubId) progress = newProgress(pubId);
+    const resumed = progress.pages > 0;
+
+    console.log(`[PROXY] ${resumed ? 'Resuming' : 'Fetching'} subscriptions for "${newsletter}"${resumed ? ` at page ${progress.page}` : ''}…`);
+
+    let done = false;
+    let pagesThisRun = 0;
+    try {
+        while (!done && pagesThisRun < maxPages) {
+            const json = await fetchSubscriptionPage(pubId, progress);
+            if (json.error) {
+                // A saved cursor can expire between requests — start over once
+                const status = json.error.statusCode;
+                if (resumed && pagesThisRun === 0 && status >= 400 && status < 500 && status !== 429) {
+                    console.log(`[PROXY] Saved subscriptions cursor rejected (${status}) — restarting sync`);
+                    await storage.deleteDocument(newsletter, 'subscriptions-sync');
+                    return syncSubscriptions(storage, newsletter, pubId, { maxPages, onProgress });
+                }
+                return { error: json.error };
+            }
+
+            (json.data || []).forEach(sub => {
+                if (sub.id) progress.records[sub.id] = normalizeSubscription(sub);
+            });
+            pagesThisRun++;
+            progress.pages++;
+            progress.totalPages = json.total_pages || progress.totalPages;
+            console.log(`[PROXY] Subscriptions page ${progress.page}${json.total_pages ? `/${json.total_pages}` : ''} — ${Object.keys(progress.records).length} records`);
+
+            if (json.next_cursor && json.has_more !== false) {
+                progress.cursor = json.next_cursor;
+            } else if (progress.cursor || !json.total_pages || progress.page >= json.total_pages) {
+                done = true;
+            }
+            progress.page++;
+
+            if (onProgress) onProgress(describeProgress(progress, done ? 'done' : 'running'));
+            if (!done && pagesThisRun % CHECKPOINT_PAGES === 0) {
+                await storage.writeDocument(newsletter, 'subscriptions-sync', progress);
+            }
+        }
+    } finally {
+        if (!done && pagesThisRun > 0) {
+            await storage.writeDocument(newsletter, 'subscriptions-sync', progress);
+        }
+    }
+
+    if (!done) return { progress: describeProgress(progress, 'running') };
+
+    const document = await finishSync(storage, newsletter, pubId, progress.records);
+    await storage.deleteDocument(newsletter, 'subscriptions-sync');
+    return { progress: describeProgress(progress, 'done'), document };
+}
+
+/**
+ * Replace the stored subscriptions with a completed fetch, stamping endedAt
+ * on active → inactive transitions since the last sync. Subscriptions
+ * already inactive the first time they are seen keep endedAt null (churn
+ * date unknown).
+ */
+async function finishSync(storage, newsletter, pubId, records) {
+    const cached = await storage.readDocument(newsletter, 'subscriptions');
+    const known = cached && cached.pubId === pubId ? cached.subscriptions : {};
+
+    const now = new Date().toISOString();
+    const subscriptions = {};
+    let ended = 0;
+
+    Object.entries(records).forEach(([id, fetched]) => {
+        const record = { ...fetched };
+        const previous = known[id];
+
+        if (record.status === 'active') {
+            record.endedAt = null;
+        } else if (previous && previous.status === 'active') {
+            record.endedAt = now;
+            ended++;
+        } else {
+            record.endedAt = previous ? previous.endedAt || null : null;
+        }
+
+        const tiers = COUNTED_STATUSES.includes(record.status) && engagement.nextTierHistory(record, previous && previous.tiers);
+        if (tiers) record.tiers = tiers;
+        subscriptions[id] = record;
+    });
+
+    const document = { pubId, lastSyncedAt: now, subscriptions };
+    await storage.writeDocument(newsletter, 'subscriptions', document);
+    console.log(`[PROXY] ✅ ${Object.keys(subscriptions).length} subscriptions stored, ${ended} newly inactive`);
+
+    return document;
+}
+
+// Background syncs per newsletter — the cohort, source and tier views load
+// together, and a second paging run would only double the API calls
+const inFlight = {};
+const jobProgress = {};
+
+function syncInBackground(storage, newsletter, pubId) {
+    if (!inFlight[newsletter]) {
+        inFlight[newsletter] = syncSubscriptions(storage, newsletter, pubId, {
+            onProgress: progress => { jobProgress[newsletter] = progress; }
+        })
+            .catch(err => ({ error: err }))
+            .finally(() => {
+                delete inFlight[newsletter];
+                delete jobProgress[newsletter];
+            });
+    }
+    return inFlight[newsletter];
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Stored subscriptions. A sync starts when the copy is older than
+ * MAX_AGE_MS (or on `refresh`) and continues on every call until it
+ * finishes; meanwhile the previous copy is served with the sync's progress.
+ * @param {boolean} [options.background] - true when the process outlives the
+ *   request; otherwise each call fetches at most SLICE_PAGES pages
+ * @returns {Object} { subscriptions: [{ id, ...record }], lastSyncedAt, cached, sync },
+ *   { pending: true, sync } while the first copy is still being fetched,
+ *   or { error }
+ */
+async function getSubscriptions(storage, newsletter, pubId, { refresh = false, background = true } = {}) {
+    let document = await storage.readDocument(newsletter, 'subscriptions');
+    if (document && document.pubId !== pubId) document = null;
+    const fresh = !!document && Date.now() - new Date(document.lastSyncedAt).getTime() < MAX_AGE_MS;
+
+    const saved = await storage.readDocument(newsletter, 'subscriptions-sync');
+    const resuming = !!saved && saved.pubId === pubId;
+
+    let sync = null;
+    if (refresh || !fresh || resuming || inFlight[newsletter]) {
+        let result;
+        if (background) {
+            const job = syncInBackground(storage, newsletter, pubId);
+            result = await Promise.race([job, sleep(HEAD_START_MS).then(() => null)]);
+            if (!result) sync = jobProgress[newsletter] || { state: 'running', pages: 0, totalPages: null, records: 0 };
+        } else {
+            result = await syncSubscriptions(storage, newsletter, pubId, { maxPages: SLICE_PAGES });
+        }
+
+        if (result && result.error) {
+            // A stale copy is still better than nothing
+            if (!document) {
+                if (result.error instanceof Error) throw result.error;
+                return { error: result.error };
+            }
+            console.warn(`[PROXY] Subscription sync failed for "${newsletter}", serving stored copy`);
+        } else if (result) {
+            if (result.document) document = result.document;
+            else sync = result.progress;
+        }
+    }
+
+    if (!document) return { pending: true, sync };
+
+    const subscriptions = Object.entries(document.subscriptions)
+        .filter(([, sub]) => sub.created && COUNTED_STATUSES.includes(sub.status))
+        .map(([id, sub]) => ({ id, ...sub }));
+
+    return { subscriptions, lastSyncedAt: document.lastSyncedAt, cached: fresh && !refresh && !sync, sync };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SOURCE BREAKDOWN
+// ─────────────────────────────────────────────────────────────────────────────
+
+function monthKey(iso) {
+    return iso.slice(0, 7);
+}
+
+/**
+ * Group subscriptions by acquisition source
+ * @param {Array} subscriptions - normalized records
+ * @param {string} by - 'source' | 'site' | 'channel' (see SOURCE_DIMENSIONS)
+ * @param {Date} [now]
+ * @returns {Object} { by, label, total, sources: [{ name, signups, active, share, retention }],
+ *   months: ['YYYY-MM'], series: { [name]: [signups per month] } }
+ */
+function aggregateSources(subscriptions, by, now = new Date()) {
+    const dimension = SOURCE_DIMENSIONS[by];
+    const groups = {};
+
+    subscriptions.forEach(sub => {
+        const name = dimension.value(sub);
+        (groups[name] = groups[name] || []).push(sub);
+    });
+
+    // Largest groups by name, the rest as "Other"
+    const names = Object.keys(groups).sort((a, b) => groups[b].length - groups[a].length);
+    const named = names.slice(0, MAX_SOURCE_GROUPS);
+    const rest = names.slice(MAX_SOURCE_GROUPS);
+    if (rest.length > 0) {
+        groups.Other = rest.reduce((all, name) => all.concat(groups[name]), named.includes('Other') ? groups.Other : []);
+        if (!named.includes('Other')) named.push('Other');
+    }
+
+    const total = subscriptions.length;
+    const sources = named.map(name => {
+        const subs = groups[name];
+        const active = subs.filter(sub => sub.status !== 'inactive').length;
+        return {
+            name,
+            signups: subs.length,
+            active,
+            share: total > 0 ? Math.round((subs.length / total) * 10000) / 100 : 0,
+            retention: subs.length > 0 ? Math.round((active / subs.length) * 10000) / 100 : 0
+        };
+    });
+
+    // Signups per month for the last SOURCE_MONTHS months (current month included)
+    const months = [];
+    for (let i = SOURCE_MONTHS - 1; i >= 0; i--) {
+        const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+        months.push(d.toISOString().slice(0, 7));
+    }
+    const series = {};
+    named.forEach(name => {
+        const counts = Object.fromEntries(months.map(m => [m, 0]));
+        groups[name].forEach(sub => {
+            const key = monthKey(sub.created);
+            if (key in counts) counts[key]++;
+        });
+        series[name] = months.map(m => counts[m]);
+    });
+
+    return { by, label: dimension.label, total, sources, months, series };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TIER EXPORT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Active subscribers in the given tiers, with emails. Tiers come from the
+ * stored copy (kept up to date like every other subscription view); emails
+ * are looked up for EXPORT_SLICE subscribers per call and never written to
+ * storage. Callers page on with `offset` until `next` is null.
+ * @param {Array<string>} tierIds - e.g. ['dormant', 'never_opened']
+ * @param {number} [options.offset] - position in the tier list to continue at
+ * @param {boolean} [options.background] - see getSubscriptions
+ * @returns {Object} { subscribers: [{ email, created, emailsReceived, openRate, source, tier }],
+ *   total, next, lastSyncedAt }, { pending: true, sync } or { error }
+ */
+async function listSubscribersByTier(storage, newsletter, pubId, tierIds, { offset = 0, background = true } = {}) {
+    const stored = await getSubscriptions(storage, newsletter, pubId, { background });
+    if (stored.error || stored.pending) return stored;
+
+    // Sorted by id so offsets stay put between calls
+    const members = stored.subscriptions
+        .filter(sub => sub.status === 'active')
+        .map(sub => ({ ...sub, tier: engagement.classifyTier(sub) }))
+        .filter(sub => tierIds.includes(sub.tier))
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const slice = members.slice(offset, offset + EXPORT_SLICE);
+
+    const subscribers = [];
+    for (const sub of slice) {
+        const result = await beehiivFetch(`/v2/publications/${pubId}/subscriptions/${encodeURIComponent(sub.id)}`);
+        // Deleted since the last sync
+        if (result.statusCode === 404) continue;
+        if (result.statusCode !== 200) return { error: result };
+
+        const live = JSON.parse(result.body).data || {};
+        if (live.status !== 'active' || !live.email) continue;
+
+        subscribers.push({
+            email: live.email,
+            created: sub.created,
+            emailsReceived: sub.emailsReceived,
+            openRate: sub.openRate,
+            source: sub.source,
+            tier: sub.tier
+        });
+    }
+
+    const end = offset + slice.length;
+    return {
+        subscribers,
+        total: members.length,
+        next: end < members.length ? end : null,
+        lastSyncedAt: stored.lastSyncedAt
+    };
+}
+
+module.exports = {
+    SOURCE_DIMENSIONS,
+    listSubscribersByTier,
+    aggregateSources,
+    getSubscriptions,
+    syncSubscriptions,
+    normalizeSubscription
+};
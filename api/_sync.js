@@ -0,0 +1,361 @@
+const { beehiivFetch } = require('./_beehiiv-client');
+
+// Post sync and stats backfill for the shared route layer.
+// The per-publication archive lives in the 'beehiiv-posts' document:
+//   { pubId, lastPublishDate, lastSyncedAt, posts: { [postId]: post } }
+
+// Opens and clicks keep trickling in for about a week after a send, so posts
+// published within this window are re-fetched on every sync until they settle.
+const MATURING_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+// Background jobs can sit out long Retry-After windows instead of failing
+const BACKGROUND_MAX_WAIT_MS = 5 * 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STATS FETCHING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fetch stats for individual posts in controlled batches
+ * The single-post endpoint with expand[]=stats returns ~5KB (safe),
+ * unlike the list endpoint which can return 20MB+ causing 500 errors.
+ * `onBatch(batchResults, completed, total)` is called after every batch.
+ */
+async function fetchPostStatsInBatches(pubId, posts, concurrency = 3, onBatch) {
+    const results = [...posts]; // clone
+    let completed = 0;
+
+    // Process in batches of `concurrency`
+    for (let i = 0; i < posts.length; i += concurrency) {
+        const batch = posts.slice(i, i + concurrency);
+        const promises = batch.map(async (post, batchIdx) => {
+            const idx = i + batchIdx;
+            try {
+                const result = await beehiivFetch(
+                    `/v2/publications/${pubId}/posts/${post.id}?expand[]=stats`,
+                    { maxWaitMs: BACKGROUND_MAX_WAIT_MS }
+                );
+                if (result.statusCode === 200) {
+                    const detailed = JSON.parse(result.body);
+                    results[idx] = detailed.data || detailed;
+                }
+            } catch (err) {
+                // Keep original post without stats on failure
+                console.log(`[PROXY] Stats fetch failed for post ${post.id}: ${err.message}`);
+            }
+            completed++;
+        });
+        await Promise.all(promises);
+
+        // Log progress every 10 posts
+        if (completed % 10 === 0 || completed === posts.length) {
+            console.log(`[PROXY] Stats progress: ${completed}/${posts.length}`);
+        }
+
+        if (onBatch) {
+            await onBatch(results.slice(i, i + concurrency), completed, posts.length);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Fetch stats for the given posts in parallel batches of 5.
+ * Only stats.email and stats.web are kept — stats.clicks is heavy.
+ * @returns {Object} map of post ID → { email, web }
+ */
+async function fetchStatsMap(pubId, posts) {
+    const BATCH = 5;
+    const statsMap = {};
+
+    for (let i = 0; i < posts.length; i += BATCH) {
+        const batch = posts.slice(i, i + BATCH);
+        const results = await Promise.all(batch.map(async (post) => {
+            try {
+                const r = await beehiivFetch(
+                    `/v2/publications/${pubId}/posts/${post.id}?expand[]=stats`
+                );
+                if (r.statusCode === 200) {
+                    const d = JSON.parse(r.body);
+                    const fullPost = d.data || d;
+                    return {
+                        id: post.id,
+                        stats: {
+                            email: (fullPost.stats && fullPost.stats.email) || {},
+                            web: (fullPost.stats && fullPost.stats.web) || {}
+                        }
+                    };
+                }
+            } catch (err) {
+                // A long rate-limit window fails the whole sync so the dashboard can wait it out
+                if (err.code === 'RATE_LIMITED') throw err;
+                console.log(`[PROXY] Stats failed for ${post.id}: ${err.message}`);
+            }
+            return null;
+        }));
+
+        results.filter(Boolean).forEach(r => { statsMap[r.id] = r.stats; });
+        console.log(`[PROXY] Stats batch ${Math.ceil((i + 1) / BATCH)}/${Math.ceil(posts.length / BATCH)} done`);
+    }
+
+    return statsMap;
+}
+
+function hasRealStats(post) {
+    return !!(post.stats && post.stats.email && Object.keys(post.stats.email).length > 0);
+}
+
+/**
+ * Published posts whose stats were never fetched. Posts Beehiiv returned
+ * without email stats (web-only posts) carry statsFetchedAt and are done.
+ */
+function needsStats(post) {
+    return !!post.publish_date && !hasRealStats(post) && !post.statsFetchedAt;
+}
+
+/**
+ * Count archived posts still waiting for real stats (null if never synced)
+ */
+function countPendingStats(archive) {
+    if (!archive) return null;
+    return Object.values(archive.posts).filter(needsStats).length;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INCREMENTAL POST SYNC
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Page through the posts list, newest first. When `stopBefore` is set,
+ * paging stops once a page reaches posts published before that timestamp.
+ * Any failed page fails the whole fetch: a partial list would drop older
+ * posts from a full sync, or leave a gap behind an incremental one.
+ * @returns {Object} { posts, pages } or { error, page }
+ */
+async function fetchPostPages(pubId, stopBefore) {
+    let posts = [];
+    let page = 1;
+
+    while (true) {
+        const result = await beehiivFetch(
+            `/v2/publications/${pubId}/posts?limit=100&page=${page}&order_by=publish_date&direction=desc`
+        );
+
+        if (result.statusCode !== 200) {
+            return { error: result, page };
+        }
+
+        const json = JSON.parse(result.body);
+        const pagePosts = json.data || [];
+        posts = posts.concat(pagePosts);
+        console.log(`[PROXY] Page ${page}/${json.total_pages || '?'} — ${posts.length} posts`);
+
+        const reachedKnown = stopBefore && pagePosts.some(p => p.publish_date && p.publish_date < stopBefore);
+        if (reachedKnown || !json.total_pages || page >= json.total_pages) break;
+        page++;
+    }
+
+    return { posts, pages: page };
+}
+
+/**
+ * Sync a publication's posts into the stored history.
+ *
+ * The first sync (or `full`) downloads every post and fetches stats for the
+ * `recentStats` most recent. Later syncs only page back to the last-seen
+ * publish_date minus the maturing window, fetch stats for new and maturing
+ * posts, and merge them into the cached archive.
+ */
+async function syncPosts(storage, newsletter, pubId, { full = false, recentStats = 0 } = {}) {
+    const cached = await storage.readDocument(newsletter, 'beehiiv-posts');
+    const incremental = !full && cached && cached.pubId === pubId && cached.lastPublishDate;
+    const cutoff = incremental ? cached.lastPublishDate - MATURING_WINDOW_SECONDS : null;
+
+    console.log(`[PROXY] Fetching posts for "${newsletter}" (${incremental ? 'incremental' : 'full'} sync)…`);
+    const fetched = await fetchPostPages(pubId, cutoff);
+    if (fetched.error) {
+        // The stored archive and its lastPublishDate stay as they were
+        console.warn(`[PROXY] Posts page ${fetched.page} failed (${fetched.error.statusCode}) — sync aborted, archive kept`);
+        return { error: fetched.error, page: fetched.page };
+    }
+
+    // Stats already cached for this publication stay valid on a full sync too
+    const known = cached && cached.pubId === pubId ? cached.posts : {};
+    const archive = incremental ? { ...known } : {};
+    const newIds = fetched.posts.filter(p => !known[p.id]).map(p => p.id);
+
+    // Carry cached stats forward so posts outside the window keep them
+    fetched.posts.forEach(post => {
+        const previous = known[post.id];
+        archive[post.id] = previous && previous.stats && !post.stats
+            ? { ...post, stats: previous.stats, statsFetchedAt: previous.statsFetchedAt }
+            : post;
+    });
+
+    // Stats: new + still-maturing posts, or the N most recent on a full sync
+    const published = fetched.posts
+        .filter(p => p.publish_date)
+        .sort((a, b) => b.publish_date - a.publish_date);
+    const toFetch = incremental
+        ? published.filter(p => p.publish_date >= cutoff || newIds.includes(p.id))
+        : published.slice(0, recentStats);
+
+    let statsMap = {};
+    if (toFetch.length > 0) {
+        console.log(`[PROXY] Fetching real stats for ${toFetch.length} posts…`);
+        statsMap = await fetchStatsMap(pubId, toFetch);
+        const fetchedAt = new Date().toISOString();
+        Object.keys(statsMap).forEach(id => {
+            archive[id] = { ...archive[id], stats: statsMap[id], statsFetchedAt: fetchedAt };
+        });
+        console.log(`[PROXY] ✅ Merged real stats for ${Object.keys(statsMap).length} posts`);
+    }
+
+    // A backfill may have cached more stats while we were fetching — keep them
+    const latest = await storage.readDocument(newsletter, 'beehiiv-posts');
+    if (latest && latest.pubId === pubId) {
+        Object.keys(archive).forEach(id => {
+            const stored = latest.posts[id];
+            if (stored && !needsStats(stored) && needsStats(archive[id])) {
+                archive[id] = { ...archive[id], stats: stored.stats, statsFetchedAt: stored.statsFetchedAt };
+            }
+        });
+    }
+
+    const posts = Object.values(archive);
+    const lastPublishDate = posts.reduce((max, p) => Math.max(max, p.publish_date || 0), 0);
+
+    await storage.writeDocument(newsletter, 'beehiiv-posts', {
+        pubId,
+        lastPublishDate,
+        lastSyncedAt: new Date().toISOString(),
+        posts: archive
+    });
+
+    const sync = {
+        mode: incremental ? 'incremental' : 'full',
+        pagesFetched: fetched.pages,
+        newPosts: newIds.length,
+        statsRefreshed: Object.keys(statsMap).length
+    };
+    console.log(`[PROXY] ✅ ${sync.mode} sync: ${posts.length} posts stored, ${sync.newPosts} new, ${sync.pagesFetched} page(s) fetched`);
+
+    return { posts, sync };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STATS BACKFILL JOBS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// One job per newsletter, kept in memory for progress polling
+const backfillJobs = {};
+
+// The run in progress per newsletter, so overlapping requests share it
+const backfillRuns = {};
+
+// Checkpoint stats to storage every N posts so a restart loses little work
+const BACKFILL_CHECKPOINT = 30;
+
+function getBackfillJob(newsletter) {
+    return backfillJobs[newsletter] || null;
+}
+
+/**
+ * Merge fetched stats into the stored archive. Re-reads the document so
+ * posts added by a sync that ran meanwhile aren't overwritten.
+ */
+async function mergeArchiveStats(storage, newsletter, statsMap) {
+    if (Object.keys(statsMap).length === 0) return;
+
+    const cached = await storage.readDocument(newsletter, 'beehiiv-posts');
+    if (!cached) return;
+
+    const fetchedAt = new Date().toISOString();
+    Object.keys(statsMap).forEach(id => {
+        if (cached.posts[id]) {
+            cached.posts[id] = { ...cached.posts[id], stats: statsMap[id], statsFetchedAt: fetchedAt };
+        }
+    });
+    await storage.writeDocument(newsletter, 'beehiiv-posts', cached);
+}
+
+/**
+ * Walk archived posts that still lack real stats and fetch them (newest
+ * first). Stats are cached permanently in the archive. With a `limit` the
+ * job stops after that many posts in state 'paused' so callers without a
+ * long-lived process (serverless) can continue it with another request.
+ * The job is registered before anything is awaited; a call while one is
+ * running returns that run instead of starting another.
+ * @returns {Promise<Object>} the finished job
+ */
+function runBackfill(storage, newsletter, pubId, { limit = Infinity } = {}) {
+    if (!backfillRuns[newsletter]) {
+        backfillJobs[newsletter] = {
+            state: 'running',
+            total: 0,
+            completed: 0,
+            filled: 0,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        backfillRuns[newsletter] = backfillPosts(storage, newsletter, pubId, backfillJobs[newsletter], limit)
+            .finally(() => { delete backfillRuns[newsletter]; });
+    }
+    return backfillRuns[newsletter];
+}
+
+async function backfillPosts(storage, newsletter, pubId, job, limit) {
+    let buffer = {};
+    try {
+        const cached = await storage.readDocument(newsletter, 'beehiiv-posts');
+        const pending = Object.values(cached.posts)
+            .filter(needsStats)
+            .sort((a, b) => b.publish_date - a.publish_date);
+        const slice = pending.slice(0, limit);
+        const requested = new Set(slice);
+        job.total = pending.length;
+
+        console.log(`[BACKFILL] ${newsletter}: ${pending.length} posts need stats${slice.length < pending.length ? ` (processing ${slice.length})` : ''}`);
+
+        await fetchPostStatsInBatches(pubId, slice, 3, async (batchResults, completed) => {
+            batchResults.forEach(post => {
+                // Failed fetches come back as the archived post — retried next run
+                if (requested.has(post)) return;
+
+                const stats = post.stats || {};
+                buffer[post.id] = {
+                    email: stats.email || {},
+                    web: stats.web || {}
+                };
+                if (hasRealStats(post)) job.filled++;
+            });
+            job.completed = completed;
+
+            if (Object.keys(buffer).length >= BACKFILL_CHECKPOINT) {
+                await mergeArchiveStats(storage, newsletter, buffer);
+                buffer = {};
+            }
+        });
+
+        await mergeArchiveStats(storage, newsletter, buffer);
+        job.state = slice.length < pending.length ? 'paused' : 'done';
+        console.log(`[BACKFILL] ✅ ${newsletter}: filled ${job.filled}/${job.total} posts (${job.state})`);
+    } catch (err) {
+        await mergeArchiveStats(storage, newsletter, buffer);
+        job.state = 'failed';
+        job.error = err.message;
+        console.error(`[BACKFILL] ${newsletter} failed:`, err.message);
+    }
+    job.finishedAt = new Date().toISOString();
+    return job;
+}
+
+module.exports = {
+    syncPosts,
+    runBackfill,
+    getBackfillJob,
+    countPendingStats,
+    fetchPostStatsInBatches
+};
@@ -0,0 +1,3 @@
+const { createVercelHandler } = require('../../../_helpers');
+
+module.exports = createVercelHandler();
@@ -0,0 +1,227 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   ACQUISITION — Newsletter Analytics Dashboard
+   Where subscribers come from: signups by UTM source, referring site or
+   channel (incl. the referral program), and monthly signups per source
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const Acquisition = (function () {
+    'use strict';
+
+    const COLORS = ['#C2EE6B', '#6C9FFF', '#E879F9', '#F59E0B', '#22D3EE', '#F87171', '#A78BFA', '#34D399', '#94A3B8'];
+
+    let container = null;
+    let chart = null;
+    let newsletterId = null;
+    let by = 'source';
+    let loading = false;
+
+    // Aggregates per newsletter and grouping, so tab switches don't refetch
+    const cache = {};
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('acquisition-breakdown');
+        if (!container) {
+            console.warn('Acquisition: #acquisition-breakdown container not found');
+            return;
+        }
+
+        const toggle = document.getElementById('acquisition-by');
+        if (toggle) {
+            toggle.addEventListener('toggle:change', (e) => {
+                by = e.detail.value;
+                update(newsletterId);
+            });
+        }
+
+        console.log('🧭 Acquisition initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // LOADING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function cacheKey(id) {
+        return `${id}:${by}`;
+    }
+
+    /**
+     * Show the breakdown for a newsletter, fetching it on first use.
+     * Like the cohort view, nothing is fetched while the Growth tab is hidden.
+     */
+    function update(id) {
+        newsletterId = id;
+        if (!container) return;
+        if (!id) {
+            render(null);
+            return;
+        }
+
+        const entry = cache[cacheKey(id)];
+        const visible = document.getElementById('tab-growth')?.classList.contains('tab-panel--active');
+        if (!entry && visible && !loading) {
+            load(id);
+        } else {
+            render(entry);
+        }
+    }
+
+    async function load(id) {
+        const key = cacheKey(id);
+        loading = true;
+        setStatus('Loading acquisition sources from Beehiiv…');
+
+        try {
+            cache[key] = await BeehiivAPI.fetchSubscriptionSources(id, by, {
+                onProgress: sync => setStatus(BeehiivAPI.describeSubscriptionSync(sync))
+            });
+        } catch (err) {
+            console.warn('Acquisition: failed to load sources:', err.message);
+            cache[key] = {
+                error: err.status === 400 && !err.code
+                    ? 'Source breakdown needs a Beehiiv publication ID for this newsletter (Settings)'
+                    : `Couldn't load acquisition sources: ${err.message}`
+            };
+        } finally {
+            loading = false;
+        }
+
+        // The user may have switched newsletter or grouping meanwhile
+        if (key === cacheKey(newsletterId)) render(cache[key]);
+        else update(newsletterId);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function setStatus(text) {
+        container.innerHTML = `<div class="acquisition__empty">${escapeHtml(text)}</div>`;
+        destroyChart();
+    }
+
+    function render(data) {
+        if (!container) return;
+
+        const meta = document.getElementById('acquisition-meta');
+        if (meta) meta.textContent = data && data.total ? `${data.total.toLocaleString()} signups` : '';
+
+        if (!data) {
+            setStatus(newsletterId ? 'Open this tab to load acquisition sources' : 'Select a newsletter to see acquisition sources');
+            return;
+        }
+        if (data.error) {
+            setStatus(data.error);
+            return;
+        }
+        if (!data.sources || data.sources.length === 0) {
+            setStatus('No subscriptions to break down yet');
+            return;
+        }
+
+        const max = Math.max(...data.sources.map(s => s.signups));
+        container.innerHTML = `
+            <div class="acquisition__list">
+                ${data.sources.map((s, i) => `
+                    <div class="acquisition__row">
+                        <span class="acquisition__swatch" style="background: ${COLORS[i % COLORS.length]}"></span>
+                        <span class="acquisition__name" title="${escapeHtml(s.name)}">${escapeHtml(s.name)}</span>
+                        <span class="acquisition__bar"><span style="width: ${((s.signups / max) * 100).toFixed(1)}%; background: ${COLORS[i % COLORS.length]}"></span></span>
+                        <span class="acquisition__value">${s.signups.toLocaleString()}</span>
+                        <span class="acquisition__share">${s.share.toFixed(1)}%</span>
+                        <span class="acquisition__active" title="${s.active.toLocaleString()} of ${s.signups.toLocaleString()} still subscribed">${s.retention.toFixed(0)}% active</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        renderChart(data);
+    }
+
+    /**
+     * Stacked monthly signups per source (last 12 months)
+     */
+    function renderChart(data) {
+        const canvas = document.getElementById('acquisition-canvas');
+        if (!canvas || typeof Chart === 'undefined') return;
+        destroyChart();
+
+        const light = document.documentElement.getAttribute('data-theme') === 'light';
+        const axisColor = light ? 'rgba(28, 30, 27, 0.48)' : 'rgba(255, 255, 255, 0.5)';
+        const gridColor = light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)';
+
+        chart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: data.months.map(formatMonth),
+                datasets: data.sources.map((s, i) => ({
+                    label: s.name,
+                    data: data.series[s.name] || [],
+                    backgroundColor: COLORS[i % COLORS.length],
+                    maxBarThickness: 32,
+                    stack: 'signups'
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'bottom',
+                        labels: { boxWidth: 12, boxHeight: 12, usePointStyle: true }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        filter: (item) => item.raw > 0,
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${item.raw.toLocaleString()}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { stacked: true, grid: { display: false }, ticks: { color: axisColor } },
+                    y: { stacked: true, beginAtZero: true, grid: { color: gridColor }, ticks: { color: axisColor, precision: 0 } }
+                }
+            }
+        });
+    }
+
+    function destroyChart() {
+        if (chart) {
+            chart.destroy();
+            chart = null;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatMonth(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        // Also safe inside quoted attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update
+    };
+
+})();
+
+window.Acquisition = Acquisition;
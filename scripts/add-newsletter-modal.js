@@ -179,14 +179,11 @@ const AddNewsletterModal = (function () {
                     }
 
                     if (confirm(`Delete "${nl.name}" dashboard? This will remove all imported data.`)) {
-                        try {
-                            localStorage.removeItem(`newsletter_data_${id}`);
-                            localStorage.removeItem(`newsletter_posts_${id}`);
-                            localStorage.removeItem(`newsletter_growth_${id}`);
-                            localStorage.removeItem(`newsletter_audience_${id}`);
-                            localStorage.removeItem(`newsletter_meta_${id}`);
-                        } catch (e) { /* ignore */ }
-
+                        // The server store outlives browser caches, so it gets its own confirmation
+                        if (confirm(`Also permanently delete everything stored on the server for "${nl.name}" — data, import history, goals, notes, alert rules and sync caches?\n\nThis cannot be undone.`)) {
+                            NewsletterManager.deleteServerData(id);
+                        }
+                        NewsletterManager.clearXLSXData(id);
                         NewsletterManager.remove(id);
 
                         const remaining = NewsletterManager.getAll();
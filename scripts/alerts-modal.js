@@ -0,0 +1,320 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   ALERTS MODAL — Newsletter Analytics Dashboard
+   Threshold alert rules, delivery channels and alert history per newsletter
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const AlertsModal = (function () {
+    'use strict';
+
+    const BADGE_POLL_MS = 60 * 1000;
+
+    let overlay = null;
+    let badgeTimer = null;
+
+    // Working copy of the active newsletter's alerts (GET /api/alerts/:id)
+    let current = null;
+    let newsletterId = null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        overlay = document.getElementById('alerts-modal');
+        if (!overlay) return;
+
+        overlay.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        overlay.querySelector('[data-action="add-rule"]')?.addEventListener('click', addRule);
+        overlay.querySelector('[data-action="save"]')?.addEventListener('click', save);
+
+        // Rule edits are read back from the DOM on save
+        const rulesEl = overlay.querySelector('.alerts-rules');
+        rulesEl?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-action="remove-rule"]');
+            if (!removeBtn) return;
+            readRules();
+            current.rules.splice(parseInt(removeBtn.dataset.index, 10), 1);
+            renderRules();
+        });
+
+        // Switching metric changes the unit shown next to the threshold
+        rulesEl?.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('alerts-rule__metric')) return;
+            readRules();
+            renderRules();
+        });
+
+        document.getElementById('alerts-btn')?.addEventListener('click', open);
+
+        refreshBadge();
+        console.log('🔔 AlertsModal initialized');
+    }
+
+    async function open() {
+        const newsletter = NewsletterManager.getActive();
+        if (!overlay || !newsletter) return;
+
+        newsletterId = newsletter.id;
+        overlay.querySelector('.alerts-modal__newsletter').textContent = newsletter.name;
+        overlay.classList.add('is-open');
+
+        setMessage('Loading alerts…');
+        try {
+            current = await fetchAlerts(newsletterId);
+            setMessage('');
+            render();
+        } catch (err) {
+            setMessage(`❌ Failed to load alerts: ${err.message}`, true);
+        }
+    }
+
+    function close() {
+        if (overlay) overlay.classList.remove('is-open');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async function fetchAlerts(id) {
+        const res = await fetch(`/api/alerts/${encodeURIComponent(id)}`);
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        return body;
+    }
+
+    async function save() {
+        if (!current) return;
+        readRules();
+        readNotifiers();
+
+        const saveBtn = overlay.querySelector('[data-action="save"]');
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving…';
+
+        try {
+            const res = await fetch(`/api/alerts/${encodeURIComponent(newsletterId)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rules: current.rules, notifiers: current.notifiers })
+            });
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+
+            current = body;
+            render();
+            updateBadge(body);
+            setMessage('✅ Alert rules saved and checked against the latest data');
+        } catch (err) {
+            setMessage(`❌ ${err.message}`, true);
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Rules';
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // HEADER BADGE (rules currently breaching)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Re-check the active newsletter's breaching rules; polls while the page
+     * is open so alerts raised by scheduled syncs show up without a reload
+     */
+    async function refreshBadge() {
+        clearTimeout(badgeTimer);
+        badgeTimer = setTimeout(refreshBadge, BADGE_POLL_MS);
+
+        const newsletter = window.NewsletterManager?.getActive();
+        if (!newsletter) {
+            updateBadge(null);
+            return;
+        }
+
+        try {
+            const data = await fetchAlerts(newsletter.id);
+            if (NewsletterManager.getActive()?.id === newsletter.id) updateBadge(data);
+        } catch (err) {
+            updateBadge(null);
+        }
+    }
+
+    function updateBadge(data) {
+        const badge = document.getElementById('alerts-badge');
+        if (!badge) return;
+
+        const breaching = data ? activeRules(data).filter(rule => data.state[rule.id]?.breached).length : 0;
+        badge.textContent = breaching;
+        badge.style.display = breaching > 0 ? '' : 'none';
+        document.getElementById('alerts-btn')?.classList.toggle('has-alerts', breaching > 0);
+    }
+
+    function activeRules(data) {
+        return (data.rules || []).filter(rule => rule.enabled);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function render() {
+        renderRules();
+        renderNotifiers();
+        renderHistory();
+    }
+
+    function renderRules() {
+        const container = overlay.querySelector('.alerts-rules');
+
+        if (current.rules.length === 0) {
+            container.innerHTML = '<div class="alerts-empty">No alert rules yet. Add one to get notified after each sync.</div>';
+            return;
+        }
+
+        container.innerHTML = current.rules.map((rule, index) => {
+            const state = current.state[rule.id];
+            const metric = current.metrics.find(m => m.key === rule.metric);
+            const status = !rule.enabled || !state
+                ? ''
+                : state.breached
+                    ? `<span class="alerts-rule__status alerts-rule__status--breached" title="Currently breaching">● ${formatValue(metric, state.value)}</span>`
+                    : `<span class="alerts-rule__status" title="Latest value">${state.value === null ? 'No data' : formatValue(metric, state.value)}</span>`;
+
+            return `
+                <div class="alerts-rule" data-index="${index}" data-rule-id="${escapeHtml(rule.id || '')}">
+                    <input type="checkbox" class="alerts-rule__enabled" ${rule.enabled ? 'checked' : ''} aria-label="Enabled">
+                    <select class="form-input alerts-rule__metric" aria-label="Metric">
+                        ${current.metrics.map(m => `<option value="${m.key}" ${m.key === rule.metric ? 'selected' : ''}>${m.label}</option>`).join('')}
+                    </select>
+                    <select class="form-input alerts-rule__operator" aria-label="Condition">
+                        <option value="below" ${rule.operator === 'below' ? 'selected' : ''}>below</option>
+                        <option value="above" ${rule.operator === 'above' ? 'selected' : ''}>above</option>
+                    </select>
+                    <input type="number" step="any" class="form-input alerts-rule__threshold" value="${rule.threshold}" aria-label="Threshold">
+                    <span class="alerts-rule__unit">${metric && metric.unit === '%' ? '%' : ''}</span>
+                    <span class="alerts-rule__label">over</span>
+                    <input type="number" min="1" max="365" class="form-input alerts-rule__window" value="${rule.windowDays}" aria-label="Window in days">
+                    <span class="alerts-rule__label">days</span>
+                    ${status}
+                    <button class="alerts-rule__remove" data-action="remove-rule" data-index="${index}" aria-label="Remove rule">🗑️</button>
+                </div>`;
+        }).join('');
+    }
+
+    function renderNotifiers() {
+        const find = (type) => current.notifiers.find(n => n.type === type);
+        overlay.querySelector('#alerts-notify-console').checked = !!find('console');
+        overlay.querySelector('#alerts-notify-webhook').value = find('webhook')?.url || '';
+        overlay.querySelector('#alerts-notify-email').value = find('email')?.to || '';
+    }
+
+    function renderHistory() {
+        const container = overlay.querySelector('.alerts-history');
+
+        if (current.history.length === 0) {
+            container.innerHTML = '<div class="alerts-empty">No alerts have fired for this newsletter.</div>';
+            return;
+        }
+
+        container.innerHTML = current.history.map(alert => {
+            const failed = (alert.deliveries || []).filter(d => !d.ok);
+            return `
+                <div class="alerts-history__item ${alert.resolvedAt ? 'is-resolved' : ''}">
+                    <div class="alerts-history__message">${escapeHtml(alert.message)}</div>
+                    <div class="alerts-history__meta">
+                        ${formatDateTime(alert.triggeredAt)} · ${escapeHtml(alert.rule)}
+                        ${alert.resolvedAt ? ` · <span class="alerts-history__resolved">resolved ${formatDateTime(alert.resolvedAt)}</span>` : ' · <span class="alerts-history__open">open</span>'}
+                        ${failed.length > 0 ? ` · <span class="alerts-history__failed" title="${escapeHtml(failed.map(f => `${f.type}: ${f.error}`).join('\n'))}">⚠️ ${failed.map(f => f.type).join(', ')} delivery failed</span>` : ''}
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    function setMessage(text, isError) {
+        const el = overlay.querySelector('.alerts-modal__message');
+        el.textContent = text;
+        el.classList.toggle('alerts-modal__message--error', !!isError);
+        el.style.display = text ? '' : 'none';
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // EDITING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function addRule() {
+        if (!current) return;
+        readRules();
+        current.rules.push({ metric: 'openRate', operator: 'below', threshold: 40, windowDays: 7, enabled: true });
+        renderRules();
+    }
+
+    /**
+     * Copy the rule rows back into the working copy
+     */
+    function readRules() {
+        const rows = overlay.querySelectorAll('.alerts-rule');
+        current.rules = Array.from(rows).map(row => ({
+            id: row.dataset.ruleId || undefined,
+            enabled: row.querySelector('.alerts-rule__enabled').checked,
+            metric: row.querySelector('.alerts-rule__metric').value,
+            operator: row.querySelector('.alerts-rule__operator').value,
+            threshold: parseFloat(row.querySelector('.alerts-rule__threshold').value),
+            windowDays: parseInt(row.querySelector('.alerts-rule__window').value, 10)
+        }));
+    }
+
+    function readNotifiers() {
+        const notifiers = [];
+        const webhookUrl = overlay.querySelector('#alerts-notify-webhook').value.trim();
+        const emailTo = overlay.querySelector('#alerts-notify-email').value.trim();
+
+        if (overlay.querySelector('#alerts-notify-console').checked) notifiers.push({ type: 'console' });
+        if (webhookUrl) notifiers.push({ type: 'webhook', url: webhookUrl });
+        if (emailTo) notifiers.push({ type: 'email', to: emailTo });
+
+        // Keep channels this form doesn't edit (added via registerNotifier on the server)
+        current.notifiers
+            .filter(n => !['console', 'webhook', 'email'].includes(n.type))
+            .forEach(n => notifiers.push(n));
+
+        current.notifiers = notifiers;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatValue(metric, value) {
+        if (typeof value !== 'number') return '—';
+        if (metric && metric.unit === '%') return `${value.toFixed(2)}%`;
+        return `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+    }
+
+    function formatDateTime(iso) {
+        if (!iso) return '—';
+        return new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        open,
+        close,
+        refreshBadge
+    };
+})();
+
+window.AlertsModal = AlertsModal;
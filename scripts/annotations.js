@@ -0,0 +1,360 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   ANNOTATIONS — Newsletter Analytics Dashboard
+   Dated notes per newsletter (launches, sponsor runs, incidents) stored on the
+   server (see NewsletterManager), drawn as markers on the time-series charts
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const Annotations = (function () {
+    'use strict';
+
+    const CATEGORIES = {
+        launch: { label: 'Launch', icon: '🚀', color: '#6C9FFF' },
+        sponsor: { label: 'Sponsor run', icon: '💰', color: '#E879F9' },
+        incident: { label: 'Incident', icon: '⚠️', color: '#F87171' },
+        note: { label: 'Note', icon: '📌', color: '#F59E0B' }
+    };
+
+    const MAX_TEXT_LENGTH = 140;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let overlay = null;
+
+    // Range the note bars were last rendered for
+    let activeRange = null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        overlay = document.getElementById('annotations-modal');
+        if (overlay) {
+            overlay.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close();
+            });
+            overlay.querySelector('[data-action="save"]')?.addEventListener('click', save);
+
+            overlay.querySelector('.annotations-list')?.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-remove]');
+                const newsletter = NewsletterManager.getActive();
+                if (!button || !newsletter) return;
+                const result = await remove(newsletter.id, button.dataset.remove);
+                if (result.error) {
+                    setMessage(`❌ ${result.error}`, true);
+                    return;
+                }
+                renderList();
+                notifyChange();
+            });
+
+            const select = overlay.querySelector('[data-field="category"]');
+            if (select) {
+                select.innerHTML = Object.entries(CATEGORIES).map(([id, c]) => `
+                    <option value="${id}">${c.icon} ${c.label}</option>
+                `).join('');
+            }
+        }
+
+        document.querySelectorAll('[data-annotations-bar]').forEach(bar => {
+            bar.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="add-annotation"], .annotation')) open();
+            });
+        });
+
+        console.log('📌 Annotations initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // STORAGE (server document, copied on the newsletter config)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Annotations of a newsletter (defaults to the active one), oldest first
+     * @returns {Array} [{ id, date: 'YYYY-MM-DD', text, category }]
+     */
+    function list(id) {
+        const newsletter = id ? NewsletterManager.get(id) : NewsletterManager.getActive();
+        return (newsletter?.annotations || [])
+            .slice()
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Validate and store a new annotation on the server
+     * @returns {Promise<{ annotation } | { error }>}
+     */
+    async function add(id, input) {
+        const date = String(input.date || '').trim();
+        const text = String(input.text || '').trim();
+        const category = CATEGORIES[input.category] ? input.category : 'note';
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(toDate(date).getTime())) return { error: 'Pick a date for the note' };
+        if (!text) return { error: 'Write what happened' };
+        if (text.length > MAX_TEXT_LENGTH) return { error: `Keep notes under ${MAX_TEXT_LENGTH} characters` };
+
+        const annotation = {
+            id: `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            date,
+            text,
+            category
+        };
+
+        if (!await NewsletterManager.saveSetting(id, 'annotations', [...list(id), annotation])) {
+            return { error: 'Could not save the note on the server — try again' };
+        }
+        return { annotation };
+    }
+
+    /**
+     * @returns {Promise<{ removed: true } | { error }>}
+     */
+    async function remove(id, annotationId) {
+        if (!await NewsletterManager.saveSetting(id, 'annotations', list(id).filter(a => a.id !== annotationId))) {
+            return { error: 'Could not delete the note on the server — try again' };
+        }
+        return { removed: true };
+    }
+
+    /**
+     * Annotations of the active newsletter inside a date range
+     * @param {Object|null} dateRange - { startDate, endDate }, null = all time
+     */
+    function inRange(dateRange) {
+        if (!dateRange) return list();
+        const start = dayKey(dateRange.startDate);
+        const end = dayKey(dateRange.endDate);
+        return list().filter(a => a.date >= start && a.date <= end);
+    }
+
+    /**
+     * Notes currently shown under the charts (active newsletter and range)
+     */
+    function visible() {
+        return NewsletterManager.getActive() ? inRange(activeRange) : [];
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // MODAL
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function open() {
+        const newsletter = NewsletterManager.getActive();
+        if (!overlay || !newsletter) return;
+
+        overlay.querySelector('.annotations-modal__newsletter').textContent = newsletter.name;
+        overlay.querySelector('[data-field="date"]').value = dayKey(new Date());
+        overlay.querySelector('[data-field="text"]').value = '';
+        setMessage('');
+        renderList();
+        overlay.classList.add('is-open');
+        overlay.querySelector('[data-field="text"]').focus();
+    }
+
+    function close() {
+        if (overlay) overlay.classList.remove('is-open');
+    }
+
+    async function save() {
+        const newsletter = NewsletterManager.getActive();
+        if (!newsletter) return;
+
+        const input = {};
+        overlay.querySelectorAll('[data-field]').forEach(el => { input[el.dataset.field] = el.value; });
+
+        const result = await add(newsletter.id, input);
+        if (result.error) {
+            setMessage(`❌ ${result.error}`, true);
+            return;
+        }
+
+        overlay.querySelector('[data-field="text"]').value = '';
+        setMessage('');
+        renderList();
+        notifyChange();
+    }
+
+    function notifyChange() {
+        overlay.dispatchEvent(new CustomEvent('annotations:change', { bubbles: true }));
+    }
+
+    function setMessage(text, isError) {
+        const el = overlay.querySelector('.annotations-modal__message');
+        el.textContent = text;
+        el.classList.toggle('annotations-modal__message--error', !!isError);
+        el.style.display = text ? '' : 'none';
+    }
+
+    function renderList() {
+        const container = overlay.querySelector('.annotations-list');
+        const items = list().reverse();
+
+        container.innerHTML = items.length === 0
+            ? '<div class="annotations-list__empty">No notes yet</div>'
+            : items.map(a => `
+                <div class="annotations-list__item">
+                    <span class="annotations-list__icon" title="${CATEGORIES[a.category].label}">${CATEGORIES[a.category].icon}</span>
+                    <span class="annotations-list__date">${formatDate(a.date, true)}</span>
+                    <span class="annotations-list__text">${escapeHtml(a.text)}</span>
+                    <button class="btn btn--ghost btn--sm" data-remove="${a.id}" aria-label="Delete note">✕</button>
+                </div>
+            `).join('');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // ANNOTATION BARS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Re-render the note pills under the charts
+     * @param {Object|null} dateRange - active range, null = all time
+     */
+    function update(dateRange) {
+        activeRange = dateRange;
+        const hasNewsletter = !!NewsletterManager.getActive();
+        const items = visible();
+
+        document.querySelectorAll('[data-annotations-bar]').forEach(bar => {
+            bar.innerHTML = `
+                <span class="annotations-bar__label">📌</span>
+                ${items.map(a => `
+                    <span class="annotation" style="--annotation-color: ${CATEGORIES[a.category].color}" title="${CATEGORIES[a.category].label}">
+                        <span class="annotation__icon">${CATEGORIES[a.category].icon}</span>
+                        <span class="annotation__date">${formatDate(a.date)}:</span>
+                        ${escapeHtml(a.text)}
+                    </span>
+                `).join('')}
+                <button class="btn btn--ghost btn--sm annotations-bar__add" data-action="add-annotation"
+                    ${hasNewsletter ? '' : 'disabled'}>+ Add note</button>
+            `;
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // CHART MARKERS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Index of the chart bucket a date falls in: the last bucket starting on
+     * or before it. Dates past the last bucket only count while they are
+     * within one typical bucket width of it.
+     * @param {Array} dates - start date of each bucket/point, ascending
+     */
+    function bucketIndex(dates, date) {
+        const times = dates.map(d => new Date(d).getTime());
+        const t = date.getTime();
+        if (times.length === 0 || t < times[0]) return -1;
+
+        let index = 0;
+        while (index + 1 < times.length && times[index + 1] <= t) index++;
+
+        if (index === times.length - 1) {
+            const gaps = times.slice(1).map((time, i) => time - times[i]).sort((a, b) => a - b);
+            const width = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 31 * DAY_MS;
+            if (t - times[index] >= width) return -1;
+        }
+        return index;
+    }
+
+    /**
+     * Markers for one chart
+     * @param {Array} dates - bucket dates matching the chart's labels
+     * @returns {Object|null} { plugin, afterBody } — a Chart.js plugin drawing
+     *   a dashed line per annotated bucket, and a tooltip callback listing
+     *   the notes; null when no note falls on the chart
+     */
+    function forChart(dates) {
+        if (!dates || dates.length === 0 || !NewsletterManager.getActive()) return null;
+
+        const byIndex = {};
+        list().forEach(a => {
+            const index = bucketIndex(dates, toDate(a.date));
+            if (index === -1) return;
+            (byIndex[index] || (byIndex[index] = [])).push(a);
+        });
+        if (Object.keys(byIndex).length === 0) return null;
+
+        const plugin = {
+            id: 'annotationMarkers',
+            afterDatasetsDraw(chart) {
+                const { ctx, chartArea, scales } = chart;
+                if (!scales.x) return;
+
+                Object.entries(byIndex).forEach(([index, notes]) => {
+                    const x = scales.x.getPixelForValue(Number(index));
+                    if (x < chartArea.left || x > chartArea.right) return;
+                    const color = CATEGORIES[notes[0].category].color;
+
+                    ctx.save();
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 1.5;
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(x, chartArea.top);
+                    ctx.lineTo(x, chartArea.bottom);
+                    ctx.stroke();
+
+                    ctx.setLineDash([]);
+                    ctx.fillStyle = color;
+                    ctx.beginPath();
+                    ctx.arc(x, chartArea.top, 4, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.restore();
+                });
+            }
+        };
+
+        const afterBody = (items) => {
+            const notes = items.length > 0 ? byIndex[items[0].dataIndex] : null;
+            return notes ? ['', ...notes.map(a => `${CATEGORIES[a.category].icon} ${formatDate(a.date)}: ${a.text}`)] : [];
+        };
+
+        return { plugin, afterBody };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function toDate(day) {
+        return new Date(`${day}T00:00:00`);
+    }
+
+    function dayKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function formatDate(day, withYear) {
+        return toDate(day).toLocaleDateString('en-US', withYear
+            ? { month: 'short', day: 'numeric', year: 'numeric' }
+            : { month: 'short', day: 'numeric' });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        open,
+        list,
+        add,
+        remove,
+        inRange,
+        visible,
+        forChart,
+        CATEGORIES
+    };
+
+})();
+
+window.Annotations = Annotations;
@@ -7,36 +7,196 @@
 const BeehiivAPI = (function () {
     'use strict';
 
+    // Failed syncs are retried when the proxy reports a transient error code
+    const RETRYABLE_CODES = ['RATE_LIMITED', 'UPSTREAM_ERROR', 'TIMEOUT'];
+    const MAX_SYNC_RETRIES = 3;
+    const DEFAULT_RETRY_SECONDS = 20;
+
+    // Poll interval while the server is still fetching a subscription list
+    const SUBSCRIPTION_POLL_MS = 2000;
+
     // ─────────────────────────────────────────────────────────────────────────
-    // PROXY ENDPOINTS (calls go to our server.js, never directly to Beehiiv)
+    // PROXY ENDPOINTS (calls go to our API routes, never directly to Beehiiv)
     // ─────────────────────────────────────────────────────────────────────────
 
-    async function fetchPosts(newsletterId) {
-        const res = await fetch(`/api/beehiiv/posts?newsletter=${encodeURIComponent(newsletterId)}&recentStats=60`);
-        if (!res.ok) {
-            const err = await res.json().catch(() => ({ error: res.statusText }));
-            throw new Error(err.error || `HTTP ${res.status}`);
-        }
+    /**
+     * Build an Error from a failed proxy response, keeping the structured
+     * `code` and `retryAfter` (seconds) the server sends for Beehiiv failures
+     */
+    async function toSyncError(res) {
+        const body = await res.json().catch(() => ({ error: res.statusText }));
+        const err = new Error(body.error || `HTTP ${res.status}`);
+        err.status = res.status;
+        err.code = body.code || null;
+        err.retryAfter = body.retryAfter || parseInt(res.headers.get('Retry-After'), 10) || null;
+        return err;
+    }
+
+    /**
+     * Fetch posts — incremental by default (server merges new and still-maturing
+     * posts into its stored history); `full` re-downloads the whole archive
+     */
+    async function fetchPosts(newsletterId, { full = false } = {}) {
+        const fullParam = full ? '&full=1' : '';
+        const res = await fetch(`/api/beehiiv/posts?newsletter=${encodeURIComponent(newsletterId)}&recentStats=60${fullParam}`);
+        if (!res.ok) throw await toSyncError(res);
         return res.json();
     }
 
     async function fetchSubscriberStats(newsletterId) {
         const res = await fetch(`/api/beehiiv/subscribers?newsletter=${encodeURIComponent(newsletterId)}`);
-        if (!res.ok) {
-            const err = await res.json().catch(() => ({ error: res.statusText }));
-            throw new Error(err.error || `HTTP ${res.status}`);
+        if (!res.ok) throw await toSyncError(res);
+        return res.json();
+    }
+
+    /**
+     * GET a route backed by the stored subscription list. Fetching a large
+     * list spans several requests, so the server answers 202 with progress
+     * until its first copy is ready (and a refresh keeps reporting progress
+     * while it runs); poll until then. The refresh flag is only sent once —
+     * later polls just continue the sync it started.
+     * @param {Function} [onProgress] - called with { pages, totalPages, records }
+     */
+    async function fetchSubscriptionRoute(path, { refresh = false, onProgress = null } = {}) {
+        let url = refresh ? `${path}&refresh=1` : path;
+
+        while (true) {
+            const res = await fetch(url);
+            if (!res.ok) throw await toSyncError(res);
+            const body = await res.json();
+
+            const syncing = body.sync && body.sync.state === 'running';
+            if (res.status !== 202 && !(refresh && syncing)) return body;
+
+            if (onProgress && body.sync) onProgress(body.sync);
+            await new Promise(resolve => setTimeout(resolve, SUBSCRIPTION_POLL_MS));
+            url = path;
+        }
+    }
+
+    /**
+     * Subscription records for cohort retention (stored server-side and
+     * re-fetched from Beehiiv when stale, or on `refresh`)
+     * @returns {Object} { data: [{ created, status, source, channel, endedAt }], total, lastSyncedAt, cached }
+     */
+    async function fetchSubscriptions(newsletterId, { refresh = false, onProgress = null } = {}) {
+        return fetchSubscriptionRoute(`/api/beehiiv/subscriptions?newsletter=${encodeURIComponent(newsletterId)}`, { refresh, onProgress });
+    }
+
+    /**
+     * Signups grouped by acquisition source, aggregated server-side
+     * @param {string} by - 'source' (UTM) | 'site' (referring site) | 'channel' (incl. referral program)
+     * @returns {Object} { by, label, total, sources: [{ name, signups, active, share, retention }], months, series, lastSyncedAt }
+     */
+    async function fetchSubscriptionSources(newsletterId, by = 'source', { refresh = false, onProgress = null } = {}) {
+        return fetchSubscriptionRoute(`/api/beehiiv/subscriptions/sources?newsletter=${encodeURIComponent(newsletterId)}&by=${encodeURIComponent(by)}`, { refresh, onProgress });
+    }
+
+    /**
+     * Subscriber engagement tiers (highly engaged, casual, dormant, never
+     * opened) with per-month sizes and month-over-month migration
+     * @returns {Object} { tiers, history, migration, labels, thresholds, lastSyncedAt }
+     */
+    async function fetchEngagementTiers(newsletterId, { onProgress = null } = {}) {
+        return fetchSubscriptionRoute(`/api/beehiiv/subscriptions/engagement?newsletter=${encodeURIComponent(newsletterId)}`, { onProgress });
+    }
+
+    /**
+     * Status line for a subscription list still being fetched
+     */
+    function describeSubscriptionSync(sync) {
+        const pages = sync.totalPages ? ` (page ${sync.pages} of ${sync.totalPages})` : '';
+        return `Fetching subscribers from Beehiiv… ${sync.records.toLocaleString()} so far${pages}`;
+    }
+
+    /**
+     * Active subscribers in the given tiers, with emails. The server looks
+     * emails up a slice at a time, so this keeps asking until the list is
+     * complete (and waits out a first subscription sync).
+     * Deployed servers only answer with their SUBSCRIBER_EXPORT_TOKEN.
+     * @param {string} [token] - sent as X-Export-Token
+     * @param {Function} [onProgress] - called with { exported, total } after each slice
+     * @returns {Object} { tiers, data: [{ email, created, emailsReceived, openRate, source, tier }], total }
+     */
+    async function fetchTierSubscribers(newsletterId, tiers = ['dormant'], token = null, { onProgress = null } = {}) {
+        const path = `/api/beehiiv/subscriptions/export?newsletter=${encodeURIComponent(newsletterId)}&tiers=${encodeURIComponent(tiers.join(','))}`;
+        const headers = token ? { 'X-Export-Token': token } : {};
+        let data = [];
+        let offset = 0;
+        let lastSyncedAt = null;
+
+        while (true) {
+            const res = await fetch(`${path}&offset=${offset}`, { headers });
+            if (!res.ok) throw await toSyncError(res);
+            const body = await res.json();
+
+            if (res.status === 202) {
+                await new Promise(resolve => setTimeout(resolve, SUBSCRIPTION_POLL_MS));
+                continue;
+            }
+
+            // A sync finished mid-export and may have moved subscribers between tiers — start over
+            if (lastSyncedAt && body.lastSyncedAt !== lastSyncedAt) {
+                data = [];
+                offset = 0;
+                lastSyncedAt = null;
+                continue;
+            }
+            lastSyncedAt = body.lastSyncedAt;
+
+            data = data.concat(body.data);
+            if (body.next === null) return { tiers: body.tiers, data, total: data.length };
+            if (onProgress) onProgress({ exported: body.next, total: body.total });
+            offset = body.next;
         }
+    }
+
+    /**
+     * Start the server-side stats backfill for every post still on estimates
+     * @returns {Object} { job, remaining }
+     */
+    async function startBackfill(newsletterId) {
+        const res = await fetch(`/api/beehiiv/backfill?newsletter=${encodeURIComponent(newsletterId)}`, { method: 'POST' });
+        if (!res.ok) throw await toSyncError(res);
+        return res.json();
+    }
+
+    async function getBackfillStatus(newsletterId) {
+        const res = await fetch(`/api/beehiiv/backfill?newsletter=${encodeURIComponent(newsletterId)}`);
+        if (!res.ok) throw await toSyncError(res);
+        return res.json();
+    }
+
+    /**
+     * Per-link click breakdown for one post (fetched on demand)
+     * @returns {Object} { postId, title, links: [{ url, totalClicks, uniqueClicks, verifiedClicks, share }], totals }
+     */
+    async function fetchPostClicks(newsletterId, postId) {
+        const res = await fetch(`/api/beehiiv/posts/${encodeURIComponent(postId)}/clicks?newsletter=${encodeURIComponent(newsletterId)}`);
+        if (!res.ok) throw await toSyncError(res);
         return res.json();
     }
 
+    /**
+     * Scheduled sync status for one newsletter (local server only)
+     * @returns {Object} { enabled, status } — status is null until the
+     *   scheduler has picked the newsletter up
+     */
+    async function fetchSyncStatus(newsletterId) {
+        const res = await fetch(`/api/sync/status?newsletter=${encodeURIComponent(newsletterId)}`);
+        if (!res.ok) throw await toSyncError(res);
+        const body = await res.json();
+        return { enabled: body.enabled, status: body.newsletters[0] || null };
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // DATA TRANSFORMERS
     // ─────────────────────────────────────────────────────────────────────────
 
     /**
      * Transform Beehiiv posts → dashboard posts store
-     * Posts come WITHOUT per-post stats (for speed).
-     * Publication-level aggregate stats are applied to populate KPI fields.
+     * Posts whose stats haven't been fetched yet fall back to publication-level
+     * averages and are flagged `isEstimated` until the backfill reaches them.
      */
     function transformPosts(apiPosts, pubStats) {
         const stats = pubStats || {};
@@ -53,6 +213,7 @@ const BeehiivAPI = (function () {
             .map(post => {
                 // Check if this post has individual stats (stats.email)
                 const emailStats = (post.stats && post.stats.email) || null;
+                const webStats = (post.stats && post.stats.web) || null;
                 const timestamp = post.publish_date || post.displayed_date || post.created;
                 const date = new Date(timestamp * 1000);
 
@@ -66,12 +227,20 @@ const BeehiivAPI = (function () {
                 const uniqueClicks = emailStats ? (emailStats.unique_clicks || 0) : avgClicked;
                 const verifiedClicks = emailStats ? (emailStats.unique_verified_clicks || emailStats.verified_clicks || 0) : 0;
                 const unsubscribed = emailStats ? (emailStats.unsubscribes || 0) : 0;
+                const spamReported = emailStats ? (emailStats.spam_reports || 0) : null;
 
                 const deliveryRate = sent > 0 ? (delivered / sent) * 100 : 0;
                 const unsubscribeRate = sent > 0 ? (unsubscribed / sent) * 100 : 0;
                 const verifiedCtr = uniqueOpens > 0 ? (verifiedClicks / uniqueOpens) * 100 : 0;
+                const spamRate = spamReported !== null && delivered > 0 ? (spamReported / delivered) * 100 : null;
+
+                // Web stats have no publication-level fallback, so estimated posts have none
+                const webViews = webStats ? (webStats.views || 0) : null;
+                const webClicks = webStats ? (webStats.clicks || 0) : null;
+                const webClickRate = webViews > 0 ? (webClicks / webViews) * 100 : null;
 
                 return {
+                    postId: post.id,
                     date,
                     title: post.title || post.subject_line || 'Untitled',
                     sent,
@@ -85,8 +254,15 @@ const BeehiivAPI = (function () {
                     verifiedCtr: round2(verifiedCtr),
                     unsubscribed,
                     unsubscribeRate: round2(unsubscribeRate),
+                    spamReported,
+                    // Complaint rates live in hundredths of a percent, so keep 4 decimals
+                    spamRate: spamRate === null ? null : Math.round(spamRate * 10000) / 10000,
                     deliveryRate: round2(deliveryRate),
-                    contentTags: (post.content_tags || []).join(', ') || null
+                    webViews,
+                    webClicks,
+                    webClickRate: webClickRate === null ? null : round2(webClickRate),
+                    contentTags: (post.content_tags || []).join(', ') || null,
+                    isEstimated: !emailStats
                 };
             })
             .sort((a, b) => a.date - b.date);
@@ -177,16 +353,18 @@ const BeehiivAPI = (function () {
     /**
      * Sync all data for a newsletter from Beehiiv
      * @param {string} newsletterId - Newsletter slug (e.g. 'roko-basilisk')
-     * @returns {Object} { posts, growth, audience, lastUpdated, success, warnings }
+     * @param {Object} [options] - { full: true } forces a full re-download;
+     *   onStatus({ code, retryIn }) is called every second while waiting to retry
+     * @returns {Object} { posts, growth, audience, lastUpdated, success, warnings, delta }
      */
-    async function sync(newsletterId) {
+    async function sync(newsletterId, options = {}) {
         const warnings = [];
 
         // Fetch posts and subscriber stats in parallel (both are fast)
-        const [postsResponse, subsResponse] = await Promise.all([
-            fetchPosts(newsletterId),
+        const [postsResponse, subsResponse] = await withRetry(() => Promise.all([
+            fetchPosts(newsletterId, options),
             fetchSubscriberStats(newsletterId)
-        ]);
+        ]), options.onStatus);
 
         // Extract publication-level aggregate stats
         const pubData = subsResponse.data || subsResponse;
@@ -217,6 +395,7 @@ const BeehiivAPI = (function () {
             lastUpdated: new Date().toISOString(),
             success: true,
             warnings,
+            delta: postsResponse.sync || null,
             source: 'beehiiv-api'
         };
     }
@@ -229,6 +408,32 @@ const BeehiivAPI = (function () {
         return Math.round(value * 100) / 100;
     }
 
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Run `task`, waiting out rate limits and transient upstream failures.
+     * The wait honours the proxy's retryAfter and counts down via onStatus.
+     */
+    async function withRetry(task, onStatus) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (err) {
+                if (!RETRYABLE_CODES.includes(err.code) || attempt >= MAX_SYNC_RETRIES) throw err;
+
+                const waitSeconds = err.retryAfter || DEFAULT_RETRY_SECONDS;
+                console.warn(`Beehiiv ${err.code}, retrying in ${waitSeconds}s (attempt ${attempt + 1}/${MAX_SYNC_RETRIES})`);
+                for (let remaining = waitSeconds; remaining > 0; remaining--) {
+                    if (onStatus) onStatus({ code: err.code, retryIn: remaining });
+                    await sleep(1000);
+                }
+                if (onStatus) onStatus({ code: null, retryIn: 0 });
+            }
+        }
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // PUBLIC API
     // ─────────────────────────────────────────────────────────────────────────
@@ -237,6 +442,15 @@ const BeehiivAPI = (function () {
         sync,
         fetchPosts,
         fetchSubscriberStats,
+        fetchSubscriptions,
+        fetchSubscriptionSources,
+        fetchEngagementTiers,
+        describeSubscriptionSync,
+        fetchTierSubscribers,
+        startBackfill,
+        getBackfillStatus,
+        fetchPostClicks,
+        fetchSyncStatus,
         transformPosts,
         deriveGrowth,
         buildAudience
@@ -244,4 +458,9 @@ const BeehiivAPI = (function () {
 
 })();
 
-window.BeehiivAPI = BeehiivAPI;
+// The transformers are shared with the server's scheduled sync (api/_scheduler.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeehiivAPI;
+} else {
+    window.BeehiivAPI = BeehiivAPI;
+}
@@ -66,6 +66,45 @@ const Charts = (function () {
         Chart.defaults.plugins.tooltip.titleFont = { weight: '600' };
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // COMPARISON GHOST SERIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Dashed line for the comparison period. Buckets line up by position
+     * (1st month vs 1st month…); each bucket's own label is kept for the tooltip.
+     * @param {Array} values - comparison series values
+     * @param {Array} labels - comparison series labels
+     * @param {number} length - number of buckets in the current series
+     */
+    function buildGhostDataset(values, labels, length) {
+        const label = DataService.getComparisonLabel() || '';
+        const color = isLightTheme() ? 'rgba(28, 30, 27, 0.35)' : 'rgba(255, 255, 255, 0.35)';
+
+        return {
+            label: label.charAt(0).toUpperCase() + label.slice(1),
+            data: Array.from({ length }, (_, i) => values[i] ?? null),
+            ghostLabels: labels,
+            type: 'line',
+            borderColor: color,
+            borderDash: [4, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            pointHoverBackgroundColor: color,
+            tension: 0.3,
+            fill: false,
+            spanGaps: true,
+            order: -1 // draw on top of bars
+        };
+    }
+
+    function ghostTooltipLabel(item) {
+        const bucket = item.dataset.ghostLabels[item.dataIndex];
+        const value = item.raw === null ? '—' : Math.abs(item.raw).toLocaleString();
+        return `${item.dataset.label}${bucket ? ` (${bucket})` : ''}: ${value}`;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // CHART INSTANCES (for cleanup/updates)
     // ─────────────────────────────────────────────────────────────────────────
@@ -88,6 +127,7 @@ const Charts = (function () {
 
         const ctx = canvas.getContext('2d');
         const data = DataService.getTimeSeries('verifiedClicks', currentPeriod);
+        const ghost = DataService.getComparisonTimeSeries('verifiedClicks', currentPeriod);
 
         // Destroy existing chart if present
         if (performanceChart) {
@@ -105,19 +145,29 @@ const Charts = (function () {
         const axisColor = light ? 'rgba(28, 30, 27, 0.48)' : 'rgba(255, 255, 255, 0.5)';
         const gridColor = light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)';
 
+        const datasets = [{
+            label: 'Verified Clicks',
+            data: data.data,
+            backgroundColor: gradient,
+            borderRadius: 6,
+            borderSkipped: false,
+            barThickness: 'flex',
+            maxBarThickness: 48
+        }];
+        if (ghost) {
+            datasets.push(buildGhostDataset(ghost.data, ghost.labels, data.labels.length));
+        }
+
+        // Dated notes as markers (see annotations.js)
+        const markers = window.Annotations ? Annotations.forChart(data.dates) : null;
+
         performanceChart = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: data.labels,
-                datasets: [{
-                    data: data.data,
-                    backgroundColor: gradient,
-                    borderRadius: 6,
-                    borderSkipped: false,
-                    barThickness: 'flex',
-                    maxBarThickness: 48
-                }]
+                datasets
             },
+            plugins: markers ? [markers.plugin] : [],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -125,7 +175,10 @@ const Charts = (function () {
                     tooltip: {
                         callbacks: {
                             title: (items) => items[0].label,
-                            label: (item) => `Verified Clicks: ${item.raw.toLocaleString()}`
+                            label: (item) => item.dataset.ghostLabels
+                                ? ghostTooltipLabel(item)
+                                : `Verified Clicks: ${item.raw.toLocaleString()}`,
+                            afterBody: markers ? markers.afterBody : undefined
                         }
                     }
                 },
@@ -168,6 +221,7 @@ const Charts = (function () {
 
         const ctx = canvas.getContext('2d');
         const data = DataService.getGrowthData(currentPeriod);
+        const ghost = DataService.getComparisonGrowthData(currentPeriod);
 
         // Destroy existing chart if present
         if (growthChart) {
@@ -180,9 +234,11 @@ const Charts = (function () {
         const light = isLightTheme();
         const axisColor = light ? 'rgba(28, 30, 27, 0.48)' : 'rgba(255, 255, 255, 0.5)';
         const gridColor = light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)';
+        const markers = window.Annotations ? Annotations.forChart(data.dates) : null;
 
         growthChart = new Chart(ctx, {
             type: 'bar',
+            plugins: markers ? [markers.plugin] : [],
             data: {
                 labels: data.labels,
                 datasets: [
@@ -218,7 +274,11 @@ const Charts = (function () {
                         pointHoverBackgroundColor: light ? '#1C1E1B' : '#fff',
                         tension: 0.3,
                         fill: false
-                    }
+                    },
+                    ...(ghost ? [{
+                        ...buildGhostDataset(ghost.netGrowth, ghost.labels, data.labels.length),
+                        label: `Net Growth (${DataService.getComparisonLabel()})`
+                    }] : [])
                 ]
             },
             options: {
@@ -228,9 +288,11 @@ const Charts = (function () {
                     tooltip: {
                         callbacks: {
                             label: (item) => {
+                                if (item.dataset.ghostLabels) return ghostTooltipLabel(item);
                                 const value = Math.abs(item.raw);
                                 return `${item.dataset.label}: ${value.toLocaleString()}`;
-                            }
+                            },
+                            afterBody: markers ? markers.afterBody : undefined
                         }
                     }
                 },
@@ -271,11 +333,17 @@ const Charts = (function () {
 
         const ctx = canvas.getContext('2d');
         const audienceData = DataService.getAudienceData(currentPeriod);
+        const ghost = DataService.getComparisonAudienceData(currentPeriod);
         const data = {
             labels: audienceData.labels || [],
             data: audienceData.activeSubscribers || []
         };
 
+        // Subscriber forecast continuing from the last reading (see forecast.js)
+        const projection = window.Forecast && data.data.length > 0
+            ? Forecast.getChartProjection(audienceData.lastDate)
+            : null;
+
         // Destroy existing chart if present
         if (audienceChart) {
             audienceChart.destroy();
@@ -288,10 +356,23 @@ const Charts = (function () {
         areaGradient.addColorStop(0, lineColor + (light ? '1F' : '4D'));
         areaGradient.addColorStop(1, lineColor + '00');
 
+        const forecastDatasets = projection ? buildForecastDatasets(projection, data.data.length, lineColor) : [];
+        const labels = projection
+            ? [...data.labels, ...projection.points.map(p => formatForecastLabel(p.date))]
+            : data.labels;
+
+        // Subscriber target across history and forecast (see goals.js)
+        const goalDataset = window.Goals && data.data.length > 0
+            ? Goals.lineDataset('activeSubscribers', labels.length)
+            : null;
+
+        const markers = window.Annotations ? Annotations.forChart(audienceData.dates) : null;
+
         audienceChart = new Chart(ctx, {
             type: 'line',
+            plugins: markers ? [markers.plugin] : [],
             data: {
-                labels: data.labels,
+                labels,
                 datasets: [{
                     data: data.data,
                     borderColor: lineColor,
@@ -306,16 +387,28 @@ const Charts = (function () {
                     pointHoverRadius: 6,
                     pointHoverBackgroundColor: lineColor,
                     pointHoverBorderColor: light ? '#1E1036' : '#fff'
-                }]
+                }, ...forecastDatasets, ...(goalDataset ? [goalDataset] : []), ...(ghost ? [buildGhostDataset(ghost.activeSubscribers, ghost.labels, data.labels.length)] : [])]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
                     tooltip: {
+                        // Band edges are folded into the forecast line's label
+                        filter: (item) => !item.dataset.isForecastBand && (item.raw !== null || !!item.dataset.ghostLabels)
+                            && !(item.dataset.isForecast && item.dataIndex < data.data.length),
                         callbacks: {
                             title: (items) => items[0].label,
-                            label: (item) => `Subscribers: ${item.raw.toLocaleString()}`
+                            label: (item) => {
+                                if (item.dataset.ghostLabels) return ghostTooltipLabel(item);
+                                if (item.dataset.isGoal) return `Goal: ${item.raw.toLocaleString()}`;
+                                if (item.dataset.isForecast) {
+                                    const point = projection.points[item.dataIndex - data.data.length];
+                                    return `Forecast: ${point.value.toLocaleString()} (${point.lower.toLocaleString()}–${point.upper.toLocaleString()})`;
+                                }
+                                return `Subscribers: ${item.raw.toLocaleString()}`;
+                            },
+                            afterBody: markers ? markers.afterBody : undefined
                         }
                     }
                 },
@@ -347,6 +440,53 @@ const Charts = (function () {
         });
     }
 
+    /**
+     * Dashed forecast line plus an 80% band, all starting at the last reading
+     * so they join the history line
+     * @param {Object} projection - Forecast.getChartProjection()
+     * @param {number} historyLength - number of plotted readings
+     */
+    function buildForecastDatasets(projection, historyLength, lineColor) {
+        const pad = Array(historyLength - 1).fill(null);
+        const start = projection.anchor.value;
+        const series = (key) => [...pad, start, ...projection.points.map(p => p[key])];
+
+        const band = {
+            borderWidth: 0,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            tension: 0.3,
+            isForecastBand: true
+        };
+
+        return [
+            {
+                label: 'Forecast',
+                data: series('value'),
+                borderColor: lineColor,
+                borderDash: [6, 4],
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                pointHoverBackgroundColor: lineColor,
+                tension: 0.3,
+                fill: false,
+                isForecast: true
+            },
+            { ...band, label: 'Forecast high', data: series('upper'), fill: false },
+            { ...band, label: 'Forecast low', data: series('lower'), fill: '-1', backgroundColor: lineColor + '26' }
+        ];
+    }
+
+    /**
+     * Forecast x-axis labels in the style of the current period's buckets
+     */
+    function formatForecastLabel(date) {
+        return currentPeriod === 'weekly'
+            ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+            : `${date.getMonth() + 1}/${date.getDate()}`;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // ENGAGEMENT DONUT CHART
     // ─────────────────────────────────────────────────────────────────────────
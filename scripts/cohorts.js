@@ -0,0 +1,376 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   COHORTS — Newsletter Analytics Dashboard
+   Retention by signup month from Beehiiv subscription records: the share of
+   each cohort still subscribed 1/2/3/6 months later, overall or per source
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const Cohorts = (function () {
+    'use strict';
+
+    // Months after signup a cohort's retention is measured at
+    const HORIZONS = [1, 2, 3, 6];
+
+    // Signup months shown in the table, newest first
+    const MAX_COHORTS = 18;
+
+    // Sources with fewer signups are folded into "All sources" only
+    const MIN_SOURCE_SIGNUPS = 20;
+    const MAX_SOURCES = 8;
+
+    // The "by source" comparison looks at signups from this many recent months
+    const RECENT_MONTHS = 12;
+
+    let container = null;
+    let sourceSelect = null;
+    let newsletterId = null;
+    let source = '';
+    let loading = false;
+
+    // Loaded records per newsletter, so tab switches don't refetch
+    const cache = {};
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('cohort-table');
+        if (!container) {
+            console.warn('Cohorts: #cohort-table container not found');
+            return;
+        }
+
+        sourceSelect = document.getElementById('cohort-source');
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', () => {
+                source = sourceSelect.value;
+                render();
+            });
+        }
+
+        document.getElementById('cohort-refresh')?.addEventListener('click', () => {
+            if (newsletterId) load(newsletterId, { refresh: true });
+        });
+
+        console.log('👥 Cohorts initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // COHORT MATH
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    function addMonths(date, months) {
+        const d = new Date(date);
+        d.setMonth(d.getMonth() + months);
+        return d;
+    }
+
+    /**
+     * Whether a subscriber was still on the list `months` after signing up.
+     * Beehiiv has no unsubscribe dates; endedAt is stamped by the server when
+     * a sync sees the status flip, so inactive records without it count as
+     * lost at every horizon (retention is then a lower bound).
+     */
+    function retainedAt(sub, months) {
+        if (sub.status !== 'inactive') return true;
+        if (!sub.endedAt) return false;
+        return new Date(sub.endedAt) >= addMonths(sub.created, months);
+    }
+
+    /**
+     * Group subscription records by signup month
+     * @param {Array} records - { created, status, source, endedAt }
+     * @param {Object} [options] - { source, now }
+     * @returns {Array} cohorts, newest first:
+     *   { key, label, signups, retention: { [months]: { eligible, retained, rate } | null } }
+     */
+    function build(records, { source: onlySource = '', now = new Date() } = {}) {
+        const groups = {};
+
+        (records || []).forEach(record => {
+            if (onlySource && record.source !== onlySource) return;
+            const created = new Date(record.created);
+            if (isNaN(created.getTime())) return;
+
+            const key = monthKey(created);
+            (groups[key] = groups[key] || []).push({ ...record, created });
+        });
+
+        return Object.keys(groups).sort().reverse().map(key => {
+            const subs = groups[key];
+            const [year, month] = key.split('-').map(Number);
+            const retention = {};
+
+            HORIZONS.forEach(months => {
+                // Only subscribers who have been around long enough to be measured
+                const eligible = subs.filter(sub => addMonths(sub.created, months) <= now);
+                if (eligible.length === 0) {
+                    retention[months] = null;
+                    return;
+                }
+                const retained = eligible.filter(sub => retainedAt(sub, months)).length;
+                retention[months] = {
+                    eligible: eligible.length,
+                    retained,
+                    rate: (retained / eligible.length) * 100
+                };
+            });
+
+            return {
+                key,
+                label: new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+                signups: subs.length,
+                retention
+            };
+        });
+    }
+
+    /**
+     * Retention across several cohorts, weighted by eligible subscribers
+     */
+    function combine(cohorts) {
+        const retention = {};
+        HORIZONS.forEach(months => {
+            const measured = cohorts.map(c => c.retention[months]).filter(Boolean);
+            const eligible = measured.reduce((sum, r) => sum + r.eligible, 0);
+            const retained = measured.reduce((sum, r) => sum + r.retained, 0);
+            retention[months] = eligible > 0 ? { eligible, retained, rate: (retained / eligible) * 100 } : null;
+        });
+        return {
+            signups: cohorts.reduce((sum, c) => sum + c.signups, 0),
+            retention
+        };
+    }
+
+    /**
+     * Sources with enough signups to compare, largest first
+     */
+    function listSources(records) {
+        const counts = {};
+        (records || []).forEach(record => { counts[record.source] = (counts[record.source] || 0) + 1; });
+        return Object.keys(counts)
+            .filter(name => counts[name] >= MIN_SOURCE_SIGNUPS)
+            .sort((a, b) => counts[b] - counts[a])
+            .slice(0, MAX_SOURCES)
+            .map(name => ({ name, count: counts[name] }));
+    }
+
+    /**
+     * Recent signups per source and their combined retention — shows whether
+     * newer acquisition channels bring subscribers who stay
+     */
+    function compareSources(records, now = new Date()) {
+        const since = addMonths(now, -RECENT_MONTHS);
+        const recent = (records || []).filter(record => new Date(record.created) >= since);
+
+        return listSources(records).map(({ name }) => ({
+            name,
+            ...combine(build(recent, { source: name, now }))
+        }));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // LOADING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Show cohorts for a newsletter, fetching its subscriptions on first use.
+     * Called on newsletter switches and when the Growth tab opens; nothing is
+     * fetched while the tab is hidden.
+     */
+    function update(id) {
+        if (id !== newsletterId) {
+            newsletterId = id;
+            source = '';
+        }
+        if (!container || !id) {
+            render();
+            return;
+        }
+
+        const visible = document.getElementById('tab-growth')?.classList.contains('tab-panel--active');
+        if (!cache[id] && visible && !loading) {
+            load(id);
+        } else {
+            render();
+        }
+    }
+
+    async function load(id, { refresh = false } = {}) {
+        loading = true;
+        setStatus(refresh ? 'Refreshing subscriptions from Beehiiv…' : 'Loading subscriptions from Beehiiv…');
+
+        try {
+            const result = await BeehiivAPI.fetchSubscriptions(id, {
+                refresh,
+                onProgress: sync => setStatus(BeehiivAPI.describeSubscriptionSync(sync))
+            });
+            cache[id] = { records: result.data || [], lastSyncedAt: result.lastSyncedAt };
+        } catch (err) {
+            console.warn('Cohorts: failed to load subscriptions:', err.message);
+            cache[id] = {
+                records: [],
+                error: err.status === 400
+                    ? 'Cohorts need a Beehiiv publication ID for this newsletter (Settings)'
+                    : `Couldn't load subscriptions: ${err.message}`
+            };
+        } finally {
+            loading = false;
+        }
+
+        // The user may have switched newsletters while this was loading
+        if (id === newsletterId) render();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function setStatus(text) {
+        if (!container) return;
+        container.innerHTML = `<div class="cohort__empty">${escapeHtml(text)}</div>`;
+        renderSources(null);
+    }
+
+    function render() {
+        if (!container) return;
+
+        const entry = newsletterId ? cache[newsletterId] : null;
+        const meta = document.getElementById('cohort-meta');
+        if (meta) {
+            meta.textContent = entry && entry.lastSyncedAt
+                ? `${entry.records.length.toLocaleString()} subscribers · synced ${new Date(entry.lastSyncedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`
+                : '';
+        }
+
+        if (!entry) {
+            setStatus(newsletterId ? 'Open this tab to load subscription cohorts' : 'Select a newsletter to see cohorts');
+            renderSourceOptions([]);
+            return;
+        }
+        if (entry.error) {
+            setStatus(entry.error);
+            renderSourceOptions([]);
+            return;
+        }
+
+        const sources = listSources(entry.records);
+        renderSourceOptions(sources);
+
+        const cohorts = build(entry.records, { source }).slice(0, MAX_COHORTS);
+        if (cohorts.length === 0) {
+            setStatus('No subscriptions to group into cohorts yet');
+            return;
+        }
+
+        const total = combine(cohorts);
+        const header = HORIZONS.map(months => `<th class="cohort__num">${months} mo</th>`).join('');
+
+        container.innerHTML = `
+            <table class="cohort__table">
+                <thead>
+                    <tr><th>Signup month</th><th class="cohort__num">Signups</th>${header}</tr>
+                </thead>
+                <tbody>
+                    ${cohorts.map(cohort => `
+                        <tr>
+                            <td>${cohort.label}</td>
+                            <td class="cohort__num">${cohort.signups.toLocaleString()}</td>
+                            ${HORIZONS.map(months => retentionCell(cohort.retention[months])).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td>All shown</td>
+                        <td class="cohort__num">${total.signups.toLocaleString()}</td>
+                        ${HORIZONS.map(months => retentionCell(total.retention[months])).join('')}
+                    </tr>
+                </tfoot>
+            </table>
+            <div class="cohort__note">
+                Beehiiv doesn't report unsubscribe dates. Churn is dated when a sync sees a subscriber turn
+                inactive; subscribers already inactive before the first sync count as lost, so older cohorts
+                read as a lower bound.
+            </div>
+        `;
+
+        renderSources(compareSources(entry.records));
+    }
+
+    function retentionCell(r) {
+        if (!r) return '<td class="cohort__num cohort__cell cohort__cell--pending" title="Cohort too recent">—</td>';
+        return `
+            <td class="cohort__num cohort__cell" style="--retention: ${(r.rate / 100).toFixed(2)}"
+                title="${r.retained.toLocaleString()} of ${r.eligible.toLocaleString()} still subscribed">${r.rate.toFixed(0)}%</td>
+        `;
+    }
+
+    function renderSourceOptions(sources) {
+        if (!sourceSelect) return;
+        if (source && !sources.some(s => s.name === source)) source = '';
+
+        sourceSelect.innerHTML = `<option value="">All sources</option>` + sources.map(s => `
+            <option value="${escapeHtml(s.name)}" ${s.name === source ? 'selected' : ''}>${escapeHtml(s.name)} (${s.count.toLocaleString()})</option>
+        `).join('');
+        sourceSelect.disabled = sources.length === 0;
+    }
+
+    function renderSources(rows) {
+        const el = document.getElementById('cohort-sources');
+        if (!el) return;
+
+        if (!rows || rows.length === 0) {
+            el.innerHTML = '';
+            return;
+        }
+
+        el.innerHTML = `
+            <div class="cohort__sources-title">Signups in the last ${RECENT_MONTHS} months by source</div>
+            <table class="cohort__table cohort__table--sources">
+                <thead>
+                    <tr><th>Source</th><th class="cohort__num">Signups</th>${HORIZONS.map(m => `<th class="cohort__num">${m} mo</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.name === source ? 'is-selected' : ''}">
+                            <td>${escapeHtml(row.name)}</td>
+                            <td class="cohort__num">${row.signups.toLocaleString()}</td>
+                            ${HORIZONS.map(months => retentionCell(row.retention[months])).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        // Also safe inside quoted attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        build,
+        combine,
+        compareSources
+    };
+
+})();
+
+window.Cohorts = Cohorts;
@@ -0,0 +1,514 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   COLUMN MAPPER — Newsletter Analytics Dashboard
+   Maps unrecognised CSV/XLSX sheets and columns onto dashboard fields, and
+   keeps the mappings as reusable per-source profiles
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const ColumnMapper = (function () {
+    'use strict';
+
+    const STORAGE_KEY = 'import_mapping_profiles';
+
+    const STORES = {
+        posts: 'Campaign posts',
+        growth: 'Subscriber growth',
+        audience: 'Audience history'
+    };
+
+    // Fields a column can be mapped to. `xlsx` / `csv` are the headers
+    // XLSXParser and CSVParser read the field from in a Beehiiv export —
+    // mapped values are handed to the parsers under those headers.
+    const FIELDS = {
+        posts: [
+            { key: 'date', label: 'Send date', type: 'date', xlsx: 'date', csv: 'Date' },
+            { key: 'title', label: 'Subject / title', type: 'text', xlsx: 'subject_or_title', csv: 'Subject or Title' },
+            { key: 'postId', label: 'Post ID', type: 'text', xlsx: 'post_id', csv: 'Post ID' },
+            { key: 'sent', label: 'Sent', type: 'number', xlsx: 'sent', csv: 'Sent' },
+            { key: 'delivered', label: 'Delivered', type: 'number', xlsx: 'delivered', csv: 'Delivered' },
+            { key: 'totalOpens', label: 'Total opens', type: 'number', xlsx: 'total_opens', csv: 'Total Opens' },
+            { key: 'uniqueOpens', label: 'Unique opens', type: 'number', xlsx: 'unique_opens', csv: 'Unique Opens' },
+            { key: 'openRate', label: 'Open rate', type: 'percent', xlsx: 'open_rate', csv: 'Open Rate' },
+            { key: 'uniqueClicks', label: 'Unique clicks', type: 'number', xlsx: 'unique_clicks', csv: 'Unique Clicks' },
+            { key: 'ctr', label: 'Click-through rate', type: 'percent', xlsx: 'click_through_rate', csv: 'Click-Through Rate' },
+            { key: 'verifiedClicks', label: 'Verified clicks', type: 'number', xlsx: 'verified_unique_clicks', csv: 'Verified Unique Clicks' },
+            { key: 'verifiedCtr', label: 'Verified CTR', type: 'percent', xlsx: 'verified_click_through_rate', csv: 'Verified Click-Through Rate' },
+            { key: 'unsubscribed', label: 'Unsubscribes', type: 'number', xlsx: 'unsubscribed', csv: 'Unsubscribed' },
+            { key: 'unsubscribeRate', label: 'Unsubscribe rate', type: 'percent', xlsx: 'unsubscribe_rate', csv: 'Unsubscribe Rate' },
+            { key: 'spamReported', label: 'Spam reports', type: 'number', xlsx: 'spam_reported', csv: 'Spam Reported' },
+            { key: 'deliveryRate', label: 'Delivery rate', type: 'percent', xlsx: 'delivery_rate', csv: 'Delivery Rate' },
+            { key: 'webViews', label: 'Web views', type: 'number', xlsx: 'web_views', csv: 'Web Views' },
+            { key: 'webClicks', label: 'Web clicks', type: 'number', xlsx: 'web_clicks_unique', csv: 'Web Clicks Unique' },
+            { key: 'webClickRate', label: 'Web click rate', type: 'percent', xlsx: 'web_click_rate', csv: 'Web Click Rate' },
+            { key: 'contentTags', label: 'Content tags', type: 'text', xlsx: 'content_tags', csv: 'Content Tags' }
+        ],
+        growth: [
+            { key: 'date', label: 'Month', type: 'date', xlsx: 'date' },
+            { key: 'subscribed', label: 'New subscribers', type: 'number', xlsx: 'subscribed' },
+            { key: 'unsubscribed', label: 'Unsubscribes', type: 'number', xlsx: 'unsubscribed' },
+            { key: 'net', label: 'Net growth', type: 'number', xlsx: 'net' }
+        ],
+        audience: [
+            { key: 'date', label: 'Date', type: 'date', xlsx: 'date' },
+            { key: 'activeSubscribers', label: 'Active subscribers', type: 'number', xlsx: 'active_subscribers' }
+        ]
+    };
+
+    // How a column's values are read, per field type
+    const FORMATS = {
+        date: [{ id: 'date', label: 'Date (serial, ISO or "May 28, 2025")' }],
+        text: [{ id: 'text', label: 'Text' }],
+        number: [{ id: 'number', label: 'Number (1,234)' }],
+        percent: [
+            { id: 'percent', label: 'Percent (68.2 or 68.2%)' },
+            { id: 'fraction', label: 'Fraction (0.682)' }
+        ]
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Days between the Excel epoch and 1970-01-01 (see XLSXParser.excelDateToJS)
+    const EXCEL_EPOCH_OFFSET = 25569;
+
+    // Wizard being shown in the import modal
+    let wizard = null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // FIELDS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function getField(store, key) {
+        return (FIELDS[store] || []).find(f => f.key === key) || null;
+    }
+
+    /**
+     * Header the parser reads a field from
+     * @param {string} target - 'xlsx' or 'csv'
+     */
+    function targetHeader(store, key, target) {
+        const field = getField(store, key);
+        return field ? field[target] : null;
+    }
+
+    function isKnown(format, store, header) {
+        return format === 'csv' ? CSVParser.isKnownColumn(header) : XLSXParser.isKnownColumn(store, header);
+    }
+
+    /**
+     * Best-guess format for a column from one of its values
+     */
+    function guessFormat(type, sample) {
+        if (type !== 'percent') return type;
+        const value = toNumber(sample);
+        return value !== null && value <= 1 && !String(sample).includes('%') ? 'fraction' : 'percent';
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // VALUE CONVERSION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return value;
+        const num = parseFloat(String(value).replace(/[,%\s]/g, ''));
+        return isNaN(num) ? null : num;
+    }
+
+    /**
+     * Excel serial for a date value, so XLSXParser reads it like a native
+     * date cell. Date-only values become whole days; values with a time of
+     * day keep it as local wall-clock time, which is how serials are read.
+     */
+    function toExcelSerial(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return value;
+
+        const text = String(value).trim();
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00`) : new Date(text);
+        if (isNaN(date.getTime())) return null;
+
+        const hasTime = date.getHours() || date.getMinutes() || date.getSeconds();
+        const wall = Date.UTC(
+            date.getFullYear(), date.getMonth(), date.getDate(),
+            hasTime ? date.getHours() : 0, date.getMinutes(), date.getSeconds()
+        );
+        return wall / DAY_MS + EXCEL_EPOCH_OFFSET;
+    }
+
+    /**
+     * Convert a mapped value into what the parser expects from a Beehiiv
+     * export: XLSX rates are fractions and dates Excel serials; CSV values
+     * stay strings with rates in percent
+     * @param {Object} entry - { field, format }
+     * @param {string} target - 'xlsx' or 'csv'
+     */
+    function convert(value, entry, target) {
+        const xlsx = target === 'xlsx';
+        const empty = xlsx ? null : '';
+
+        switch (entry.format) {
+            case 'date':
+                if (xlsx) return toExcelSerial(value);
+                return value === null || value === undefined ? empty : String(value);
+            case 'percent':
+            case 'fraction': {
+                const num = toNumber(value);
+                if (num === null) return empty;
+                const percent = entry.format === 'fraction' ? num * 100 : num;
+                return xlsx ? percent / 100 : String(percent);
+            }
+            case 'number': {
+                const num = toNumber(value);
+                if (num === null) return empty;
+                return xlsx ? num : String(num);
+            }
+            default:
+                return value === null || value === undefined ? empty : String(value);
+        }
+    }
+
+    /**
+     * Add a sheet row's mapped columns under the headers XLSXParser reads.
+     * Mapped keys come first so they win over a same-named column.
+     * @param {Object} row - sheet_to_json row
+     * @param {Object} columns - { [header]: { field, format } }
+     */
+    function remapRow(row, store, columns) {
+        const result = {};
+        Object.entries(columns).forEach(([header, entry]) => {
+            const target = targetHeader(store, entry.field, 'xlsx');
+            if (!target || !(header in row)) return;
+            result[target] = convert(row[header], entry, 'xlsx');
+        });
+        Object.entries(row).forEach(([key, value]) => {
+            if (!(key in result)) result[key] = value;
+        });
+        return result;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // MAPPINGS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function emptyMapping() {
+        return { sheets: {}, columns: {} };
+    }
+
+    /**
+     * Sheet a store is read from: the mapped one, else the one the built-in
+     * tab aliases recognise
+     * @param {Array} sheets - [{ name, store, headers, samples }]
+     */
+    function sheetFor(sheets, mapping, store) {
+        const name = mapping.sheets?.[store];
+        return (name && sheets.find(s => s.name === name)) || sheets.find(s => s.store === store) || null;
+    }
+
+    /**
+     * What the parsers won't pick up on their own
+     * @returns {Object} { sheets: [name], columns: { [store]: [header] } }
+     */
+    function unrecognised(format, sheets, mapping) {
+        const assigned = Object.values(mapping.sheets || {});
+        const result = {
+            sheets: sheets.filter(s => !s.store && s.name !== null).map(s => s.name),
+            columns: {}
+        };
+
+        Object.keys(STORES).forEach(store => {
+            const sheet = sheetFor(sheets, mapping, store);
+            if (!sheet) return;
+            const headers = sheet.headers.filter(h => !isKnown(format, store, h));
+            if (headers.length > 0) result.columns[store] = headers;
+        });
+
+        result.unassigned = result.sheets.filter(name => !assigned.includes(name));
+        return result;
+    }
+
+    function countEntries(mapping) {
+        return Object.keys(mapping.sheets || {}).length +
+            Object.values(mapping.columns || {}).reduce((sum, cols) => sum + Object.keys(cols).length, 0);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PROFILES (localStorage)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function loadProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (e) {
+            console.warn('Failed to load column mapping profiles');
+            return [];
+        }
+    }
+
+    function storeProfiles(profiles) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+        } catch (e) {
+            console.warn('Failed to save column mapping profiles');
+        }
+    }
+
+    /**
+     * Save a mapping under a source name; an existing profile with the same
+     * name and format is replaced
+     * @returns {{ profile } | { error }}
+     */
+    function saveProfile(name, format, mapping) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return { error: 'Name the source this mapping is for' };
+        if (countEntries(mapping) === 0) return { error: 'Map at least one sheet or column first' };
+
+        const profiles = loadProfiles();
+        const existing = profiles.find(p => p.format === format && p.name.toLowerCase() === trimmed.toLowerCase());
+        const profile = {
+            id: existing ? existing.id : `map-${Date.now().toString(36)}`,
+            name: trimmed,
+            format,
+            mapping,
+            updatedAt: new Date().toISOString()
+        };
+
+        storeProfiles([...profiles.filter(p => p !== existing), profile]);
+        return { profile };
+    }
+
+    function deleteProfile(id) {
+        storeProfiles(loadProfiles().filter(p => p.id !== id));
+    }
+
+    /**
+     * Saved profile that fits a file: every sheet and column it maps exists.
+     * When several fit, the most specific one wins.
+     */
+    function findProfile(format, sheets) {
+        let best = null;
+
+        loadProfiles().filter(p => p.format === format).forEach(profile => {
+            const { mapping } = profile;
+            const sheetsFit = Object.values(mapping.sheets || {}).every(name => sheets.some(s => s.name === name));
+            const columnsFit = Object.entries(mapping.columns || {}).every(([store, columns]) => {
+                const sheet = sheetFor(sheets, mapping, store);
+                return sheet && Object.keys(columns).every(header => sheet.headers.includes(header));
+            });
+
+            if (sheetsFit && columnsFit && countEntries(mapping) > 0 &&
+                (!best || countEntries(mapping) > countEntries(best.mapping))) {
+                best = profile;
+            }
+        });
+
+        return best;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // WIZARD (import modal)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Render the mapping wizard for an inspected file
+     * @param {HTMLElement} container
+     * @param {Object} options - { format, sheets, mapping, profile, open }
+     * @param {Function} onChange - called with the new mapping on every edit
+     * @returns {boolean} whether there is anything to map
+     */
+    function renderWizard(container, options, onChange) {
+        wizard = {
+            ...options,
+            mapping: JSON.parse(JSON.stringify(options.mapping || emptyMapping())),
+            container,
+            onChange,
+            rows: []
+        };
+
+        if (!container._hasMappingListeners) {
+            container._hasMappingListeners = true;
+            container.addEventListener('change', (e) => {
+                if (!wizard || wizard.container !== container || !e.target.closest('select')) return;
+                wizard.mapping = readWizard();
+                drawWizard();
+                wizard.onChange(wizard.mapping);
+            });
+            container.addEventListener('click', (e) => {
+                if (wizard && e.target.closest('[data-action="save-profile"]')) handleSaveProfile();
+            });
+        }
+
+        return drawWizard();
+    }
+
+    function drawWizard() {
+        const { format, sheets, mapping, profile, container } = wizard;
+        const found = unrecognised(format, sheets, mapping);
+        const storesWithColumns = Object.keys(found.columns);
+
+        if (found.sheets.length === 0 && storesWithColumns.length === 0) {
+            container.innerHTML = '';
+            return false;
+        }
+
+        const details = container.querySelector('.import-mapping');
+        const open = details ? details.open : wizard.open;
+        const profileName = container.querySelector('[data-role="profile-name"]')?.value ?? (profile ? profile.name : '');
+        const mappedCount = countEntries(mapping);
+
+        wizard.rows = [];
+        const sheetRows = found.sheets.map(name => {
+            const assigned = Object.keys(STORES).find(store => mapping.sheets[store] === name) || '';
+            const index = wizard.rows.push({ sheet: name }) - 1;
+            return `
+                <div class="import-mapping__row import-mapping__row--sheet">
+                    <span class="import-mapping__source">📄 ${escapeHtml(name)}</span>
+                    <select class="form-input" data-row="${index}" data-role="sheet">
+                        <option value="">Ignore sheet</option>
+                        ${Object.entries(STORES).map(([store, label]) => `
+                            <option value="${store}" ${assigned === store ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>`;
+        }).join('');
+
+        const groups = storesWithColumns.map(store => {
+            const sheet = sheetFor(sheets, mapping, store);
+            const rows = found.columns[store].map(header => {
+                const entry = mapping.columns[store]?.[header];
+                const field = entry ? getField(store, entry.field) : null;
+                const index = wizard.rows.push({ store, header }) - 1;
+                return `
+                    <div class="import-mapping__row">
+                        <span class="import-mapping__source" title="${escapeHtml(header)}">${escapeHtml(header)}</span>
+                        <span class="import-mapping__sample" title="Sample value">${escapeHtml(formatSample(sheet.samples[header]))}</span>
+                        <select class="form-input" data-row="${index}" data-role="field">
+                            <option value="">Ignore</option>
+                            ${FIELDS[store].map(f => `
+                                <option value="${f.key}" ${field && field.key === f.key ? 'selected' : ''}>${f.label}</option>
+                            `).join('')}
+                        </select>
+                        <select class="form-input" data-row="${index}" data-role="format" ${field ? '' : 'disabled'}>
+                            ${(field ? FORMATS[field.type] : [{ id: '', label: '—' }]).map(f => `
+                                <option value="${f.id}" ${entry && entry.format === f.id ? 'selected' : ''}>${f.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>`;
+            }).join('');
+
+            return `
+                <div class="import-mapping__group">
+                    <div class="import-mapping__group-title">
+                        ${STORES[store]}${sheet.name !== null ? ` · ${escapeHtml(sheet.name)}` : ''}
+                    </div>
+                    ${rows}
+                </div>`;
+        }).join('');
+
+        const meta = [
+            found.unassigned.length > 0 ? `${found.unassigned.length} unassigned sheet${found.unassigned.length === 1 ? '' : 's'}` : null,
+            `${mappedCount} mapped`,
+            profile ? `profile “${escapeHtml(profile.name)}”` : null
+        ].filter(Boolean).join(' · ');
+
+        container.innerHTML = `
+            <details class="import-mapping" ${open ? 'open' : ''}>
+                <summary class="import-mapping__summary">
+                    🧩 Column mapping <span class="import-mapping__meta">${meta}</span>
+                </summary>
+                <p class="import-mapping__hint">
+                    Columns and sheets the dashboard doesn't recognise. Map them to a field to import them.
+                </p>
+                ${sheetRows ? `<div class="import-mapping__group">${sheetRows}</div>` : ''}
+                ${groups}
+                <div class="import-mapping__profile">
+                    <input type="text" class="form-input" data-role="profile-name" maxlength="60"
+                        placeholder="Source name, e.g. Mailchimp export" value="${escapeHtml(profileName)}">
+                    <button class="btn btn--ghost btn--sm" data-action="save-profile">Save profile</button>
+                    <span class="import-mapping__status"></span>
+                </div>
+            </details>`;
+
+        return true;
+    }
+
+    /**
+     * Build the mapping from the wizard's selects
+     */
+    function readWizard() {
+        const { container, sheets } = wizard;
+        const mapping = emptyMapping();
+
+        container.querySelectorAll('[data-role="sheet"]').forEach(select => {
+            if (select.value) mapping.sheets[select.value] = wizard.rows[select.dataset.row].sheet;
+        });
+
+        container.querySelectorAll('[data-role="field"]').forEach(select => {
+            const { store, header } = wizard.rows[select.dataset.row];
+            const field = getField(store, select.value);
+            if (!field) return;
+
+            // Keep the chosen format while it fits the field's type
+            const formatSelect = container.querySelector(`[data-role="format"][data-row="${select.dataset.row}"]`);
+            const sheet = sheetFor(sheets, mapping, store) || sheetFor(sheets, wizard.mapping, store);
+            const format = FORMATS[field.type].some(f => f.id === formatSelect.value)
+                ? formatSelect.value
+                : guessFormat(field.type, sheet ? sheet.samples[header] : null);
+
+            (mapping.columns[store] || (mapping.columns[store] = {}))[header] = { field: field.key, format };
+        });
+
+        return mapping;
+    }
+
+    function handleSaveProfile() {
+        const name = wizard.container.querySelector('[data-role="profile-name"]').value;
+        const result = saveProfile(name, wizard.format, wizard.mapping);
+        const status = wizard.container.querySelector('.import-mapping__status');
+
+        if (result.error) {
+            status.textContent = `❌ ${result.error}`;
+            status.classList.add('import-mapping__status--error');
+            return;
+        }
+
+        wizard.profile = result.profile;
+        drawWizard();
+        wizard.container.querySelector('.import-mapping__status').textContent = '✅ Saved — applied automatically next time';
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatSample(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        const text = String(value);
+        return text.length > 24 ? `${text.slice(0, 23)}…` : text;
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        emptyMapping,
+        targetHeader,
+        convert,
+        remapRow,
+        unrecognised,
+        findProfile,
+        saveProfile,
+        deleteProfile,
+        listProfiles: loadProfiles,
+        renderWizard,
+        STORES,
+        FIELDS
+    };
+})();
+
+window.ColumnMapper = ColumnMapper;
@@ -43,15 +43,24 @@ const CSVParser = (function () {
     /**
      * Parse CSV string into array of objects
      * @param {string} csvText - Raw CSV content
+     * @param {Object} [columns] - column mapping from the wizard; mapped
+     *   columns are appended under their Beehiiv header (see ColumnMapper)
      * @returns {Object} { headers, rows, errors }
      */
-    function parse(csvText) {
+    function parse(csvText, columns) {
         const lines = csvText.split(/\r?\n/).filter(line => line.trim());
         if (lines.length < 2) {
             return { headers: [], rows: [], errors: ['CSV file is empty or has no data rows'] };
         }
 
-        const headers = parseCSVLine(lines[0]);
+        const fileHeaders = parseCSVLine(lines[0]);
+        const mapped = columns && window.ColumnMapper
+            ? Object.keys(columns).filter(header => fileHeaders.includes(header))
+            : [];
+        const headers = [
+            ...fileHeaders,
+            ...mapped.map(header => ColumnMapper.targetHeader('posts', columns[header].field, 'csv'))
+        ];
         const errors = validateHeaders(headers);
 
         if (errors.length > 0) {
@@ -61,7 +70,14 @@ const CSVParser = (function () {
         const rows = [];
         for (let i = 1; i < lines.length; i++) {
             try {
-                const values = parseCSVLine(lines[i]);
+                let values = parseCSVLine(lines[i]);
+                if (mapped.length > 0) {
+                    // Pad short rows so the mapped values line up with their headers
+                    values = [
+                        ...fileHeaders.map((header, index) => values[index]),
+                        ...mapped.map(header => ColumnMapper.convert(values[fileHeaders.indexOf(header)], columns[header], 'csv'))
+                    ];
+                }
                 const row = mapRowToObject(headers, values);
                 if (row) rows.push(row);
             } catch (e) {
@@ -97,6 +113,87 @@ const CSVParser = (function () {
         return result;
     }
 
+    /**
+     * Headers and the first row's values, for the column mapping wizard
+     * @returns {Object} { headers, samples }
+     */
+    function inspect(csvText) {
+        const lines = csvText.split(/\r?\n/).filter(line => line.trim());
+        const headers = lines.length > 0 ? parseCSVLine(lines[0]) : [];
+        const values = lines.length > 1 ? parseCSVLine(lines[1]) : [];
+        const samples = {};
+        headers.forEach((header, index) => { samples[header] = values[index] ?? null; });
+        return { headers, samples };
+    }
+
+    /**
+     * Rows keyed by their header with the values left as text, for the
+     * other platforms' exports (see PlatformImporters)
+     * @returns {Object} { headers, records }
+     */
+    function parseRecords(csvText) {
+        const rows = tokenize(csvText.replace(/^\uFEFF/, ''))
+            .filter(row => row.some(value => value.trim()));
+        if (rows.length === 0) return { headers: [], records: [] };
+
+        const headers = rows[0].map(header => header.trim());
+        const records = rows.slice(1).map(values => {
+            const record = {};
+            headers.forEach((header, index) => { record[header] = (values[index] ?? '').trim(); });
+            return record;
+        });
+        return { headers, records };
+    }
+
+    /**
+     * Split CSV text into rows of fields in one pass, so quoted fields may
+     * hold commas, newlines (notes, multi-line titles) and "" escaped quotes
+     */
+    function tokenize(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    function isKnownColumn(header) {
+        return Object.prototype.hasOwnProperty.call(COLUMN_MAP, header);
+    }
+
     /**
      * Validate required columns exist
      */
@@ -320,6 +417,7 @@ const CSVParser = (function () {
         const avgCtr = average(rows.map(r => r.ctr).filter(v => v != null));
         const avgVerifiedCtr = average(rows.map(r => r.verifiedCtr).filter(v => v != null));
         const avgDeliveryRate = average(rows.map(r => r.deliveryRate).filter(v => v != null));
+        const avgUnsubscribeRate = average(rows.map(r => r.unsubscribeRate).filter(v => v != null));
 
         return {
             activeSubscribers: latest.delivered || totalDelivered / rows.length,
@@ -327,6 +425,7 @@ const CSVParser = (function () {
             ctr: avgCtr,
             verifiedCtr: avgVerifiedCtr,
             deliveryRate: avgDeliveryRate,
+            unsubscribeRate: avgUnsubscribeRate,
             uniqueClicks: rows.length > 0 ? Math.round((totalClicks / rows.length) * 100) / 100 : 0,
             verifiedClicks: rows.length > 0 ? Math.round((totalVerifiedClicks / rows.length) * 100) / 100 : 0,
             totalUniqueClicks: totalClicks,
@@ -366,6 +465,8 @@ const CSVParser = (function () {
     function buildTimeSeries(aggregated) {
         return {
             labels: aggregated.map(a => a.label),
+            // First send of each bucket, for placing annotations
+            dates: aggregated.map(a => a.date),
             verifiedClicks: aggregated.map(a => a.verifiedClicks),
             uniqueClicks: aggregated.map(a => a.uniqueClicks),
             unsubscribed: aggregated.map(a => a.unsubscribed),
@@ -401,20 +502,26 @@ const CSVParser = (function () {
      * @returns {Promise<Object>} Parsed data
      */
     function readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+        return readText(file).then(text => {
+            const parsed = parse(text);
 
-            reader.onload = (e) => {
-                const text = e.target.result;
-                const parsed = parse(text);
-
-                if (parsed.errors.length > 0 && parsed.rows.length === 0) {
-                    reject(new Error(parsed.errors.join('\n')));
-                } else {
-                    resolve(parsed);
-                }
-            };
+            if (parsed.errors.length > 0 && parsed.rows.length === 0) {
+                throw new Error(parsed.errors.join('\n'));
+            }
+            return parsed;
+        });
+    }
 
+    /**
+     * Read a file's text once, so it can be inspected and re-parsed as the
+     * column mapping changes
+     * @param {File} file - File object from input
+     * @returns {Promise<string>}
+     */
+    function readText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsText(file);
         });
@@ -426,7 +533,11 @@ const CSVParser = (function () {
 
     return {
         parse,
+        parseRecords,
         readFile,
+        readText,
+        inspect,
+        isKnownColumn,
         aggregateByPeriod,
         transformToDashboardData,
         REQUIRED_COLUMNS
@@ -26,6 +26,13 @@ const DataService = (function () {
     }
     function weekLabel(key) {
         // key = "2025-W03"  →  "Jan 13" (Monday of that ISO week)
+        const monday = weekStart(key);
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        return `${months[monday.getMonth()]} ${monday.getDate()}`;
+    }
+
+    /** Local-midnight Monday of an ISO week key, e.g. "2025-W03" → Jan 13 2025 */
+    function weekStart(key) {
         const parts = key.split('-W');
         const year = parseInt(parts[0], 10);
         const week = parseInt(parts[1], 10);
@@ -34,8 +41,7 @@ const DataService = (function () {
         const dayOfWeek = jan4.getUTCDay() || 7; // Mon=1..Sun=7
         const monday = new Date(jan4);
         monday.setUTCDate(jan4.getUTCDate() - dayOfWeek + 1 + (week - 1) * 7);
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        return `${months[monday.getUTCMonth()]} ${monday.getUTCDate()}`;
+        return new Date(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate());
     }
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -46,6 +52,36 @@ const DataService = (function () {
     let xlsxData = null;  // 3-store model: { posts, growth, audience }
     let dateRangeFilter = null;  // { startDate: Date, endDate: Date } or null = show all
 
+    /**
+     * Resolve a date range selection ('30d' | '90d' | 'custom' | 'all') to
+     * { startDate, endDate }, or null for all time. A custom range runs to
+     * the end of its last day so posts sent that day are included.
+     */
+    function resolveDateRange(dateRange, customRange) {
+        const endDate = new Date();
+        const startDate = new Date();
+
+        switch (dateRange) {
+            case '30d':
+                startDate.setDate(endDate.getDate() - 30);
+                return { startDate, endDate };
+            case '90d':
+                startDate.setDate(endDate.getDate() - 90);
+                return { startDate, endDate };
+            case 'custom': {
+                if (!customRange) return null;
+                const customEnd = new Date(customRange.endDate);
+                customEnd.setHours(23, 59, 59, 999);
+                return {
+                    startDate: new Date(customRange.startDate),
+                    endDate: customEnd
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
     /** Filter an array of objects with .date by the current date range */
     function filterByDateRange(items) {
         if (!dateRangeFilter || !items) return items;
@@ -75,6 +111,58 @@ const DataService = (function () {
         });
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // COMPARISON PERIOD
+    // ─────────────────────────────────────────────────────────────────────────
+
+    let comparisonMode = 'off';  // 'off' | 'previous' | 'year'
+
+    const COMPARISON_LABELS = {
+        previous: 'previous period',
+        year: 'same period last year'
+    };
+
+    /**
+     * Shift a date range back by its own length ('previous') or by one
+     * year ('year'). Returns null when comparison is off or there is no
+     * range to shift (all time).
+     */
+    function getComparisonRange(range = dateRangeFilter, mode = comparisonMode) {
+        if (!range || !COMPARISON_LABELS[mode]) return null;
+        const { startDate, endDate } = range;
+
+        if (mode === 'year') {
+            const start = new Date(startDate);
+            const end = new Date(endDate);
+            start.setFullYear(start.getFullYear() - 1);
+            end.setFullYear(end.getFullYear() - 1);
+            return { startDate: start, endDate: end };
+        }
+
+        const span = endDate.getTime() - startDate.getTime();
+        return {
+            startDate: new Date(startDate.getTime() - span),
+            endDate: new Date(startDate.getTime() - 1)
+        };
+    }
+
+    /**
+     * Run a series getter against the comparison range instead of the
+     * active one, so ghost series are bucketed exactly like the real ones
+     */
+    function withComparisonRange(getter) {
+        const range = getComparisonRange();
+        if (!range || !xlsxData) return null;
+
+        const active = dateRangeFilter;
+        dateRangeFilter = range;
+        try {
+            return getter();
+        } finally {
+            dateRangeFilter = active;
+        }
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // DEFAULT DATA (no file imported = all zeros)
     // ─────────────────────────────────────────────────────────────────────────
@@ -222,7 +310,9 @@ const DataService = (function () {
                 const sorted = Object.keys(buckets).sort();
                 return {
                     labels: sorted.map(k => buckets[k].label),
-                    data: sorted.map(k => buckets[k].sum)
+                    data: sorted.map(k => buckets[k].sum),
+                    // Bucket start dates, for placing annotations
+                    dates: sorted.map(k => period === 'weekly' ? weekStart(k) : new Date(k + '-01T00:00:00'))
                 };
             }
 
@@ -231,9 +321,9 @@ const DataService = (function () {
             const series = data.timeSeries?.[metric];
             if (!series) {
                 console.warn(`No time series data for metric: ${metric}`);
-                return { labels: [], data: [] };
+                return { labels: [], data: [], dates: [] };
             }
-            return { labels: data.timeSeries.labels, data: series };
+            return { labels: data.timeSeries.labels, data: series, dates: data.timeSeries.dates || [] };
         },
 
         getSparkline: function (metric, period) {
@@ -338,7 +428,8 @@ const DataService = (function () {
                             labels: sorted.map(k => weekBuckets[k].label),
                             subscribed: sorted.map(k => weekBuckets[k].subscribed),
                             unsubscribed: sorted.map(k => weekBuckets[k].unsubscribed),
-                            netGrowth: sorted.map(k => weekBuckets[k].net)
+                            netGrowth: sorted.map(k => weekBuckets[k].net),
+                            dates: sorted.map(k => weekStart(k))
                         };
                     }
                     // Fall through to monthly labels if data lacks weekly granularity
@@ -347,7 +438,8 @@ const DataService = (function () {
                     labels: growthRows.map(g => g.month),
                     subscribed: growthRows.map(g => g.subscribed),
                     unsubscribed: growthRows.map(g => Math.abs(g.unsubscribed)),
-                    netGrowth: growthRows.map(g => g.net)
+                    netGrowth: growthRows.map(g => g.net),
+                    dates: growthRows.map(g => g.date)
                 };
             }
 
@@ -356,7 +448,8 @@ const DataService = (function () {
                 labels: data.timeSeries?.labels || [],
                 subscribed: data.timeSeries?.subscribed || [],
                 unsubscribed: data.timeSeries?.unsubscribed || [],
-                netGrowth: data.timeSeries?.netGrowth || []
+                netGrowth: data.timeSeries?.netGrowth || [],
+                dates: data.timeSeries?.dates || []
             };
         },
 
@@ -375,7 +468,9 @@ const DataService = (function () {
                     const weeks = Object.keys(weekBuckets).sort();
                     return {
                         labels: weeks.map(k => weekLabel(k)),
-                        activeSubscribers: weeks.map(k => weekBuckets[k])
+                        activeSubscribers: weeks.map(k => weekBuckets[k]),
+                        dates: weeks.map(k => weekStart(k)),
+                        lastDate: sorted.length ? sorted[sorted.length - 1].date : null
                     };
                 }
                 return {
@@ -383,18 +478,24 @@ const DataService = (function () {
                         const d = a.date;
                         return `${d.getMonth() + 1}/${d.getDate()}`;
                     }),
-                    activeSubscribers: audienceRows.map(a => a.activeSubscribers)
+                    activeSubscribers: audienceRows.map(a => a.activeSubscribers),
+                    dates: audienceRows.map(a => a.date),
+                    // Latest plotted reading, so a forecast can continue from it
+                    lastDate: audienceRows.reduce((max, a) => (!max || a.date > max ? a.date : max), null)
                 };
             }
 
             const data = getData();
             return {
                 labels: data.timeSeries?.labels || [],
-                activeSubscribers: data.timeSeries?.activeSubscribers || []
+                activeSubscribers: data.timeSeries?.activeSubscribers || [],
+                dates: data.timeSeries?.dates || []
             };
         },
 
         getAnnotations: function () {
+            // Notes live on the newsletter config (see annotations.js)
+            if (window.Annotations) return Annotations.list();
             const data = getData();
             return data.annotations || [];
         },
@@ -404,6 +505,8 @@ const DataService = (function () {
             return data.newsletter || mockData.newsletter;
         },
 
+        resolveDateRange,
+
         setDateRange: function (startDate, endDate) {
             dateRangeFilter = { startDate, endDate };
         },
@@ -412,6 +515,36 @@ const DataService = (function () {
             dateRangeFilter = null;
         },
 
+        setComparisonMode: function (mode) {
+            comparisonMode = COMPARISON_LABELS[mode] ? mode : 'off';
+        },
+
+        getComparisonMode: function () {
+            return comparisonMode;
+        },
+
+        /**
+         * Human label for the active comparison ("previous period"), or null
+         */
+        getComparisonLabel: function (mode = comparisonMode) {
+            return COMPARISON_LABELS[mode] || null;
+        },
+
+        getComparisonRange,
+
+        // Ghost series for the comparison period (null when comparison is off)
+        getComparisonTimeSeries: function (metric, period) {
+            return withComparisonRange(() => this.getTimeSeries(metric, period));
+        },
+
+        getComparisonGrowthData: function (period) {
+            return withComparisonRange(() => this.getGrowthData(period));
+        },
+
+        getComparisonAudienceData: function (period) {
+            return withComparisonRange(() => this.getAudienceData(period));
+        },
+
         clearXLSXData: function () {
             xlsxData = null;
         }
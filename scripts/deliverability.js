@@ -0,0 +1,449 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   DELIVERABILITY — Newsletter Analytics Dashboard
+   Composite health score from delivery rate, spam complaints, unsubscribes and
+   the bounce trend, its monthly history and the sends that pulled it down
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const Deliverability = (function () {
+    'use strict';
+
+    /**
+     * Each component scores 100 at `good` and 0 at `poor`, linearly in
+     * between. Weights are renormalized over the components with data, so an
+     * import without spam columns is scored on the other three.
+     */
+    const COMPONENTS = {
+        deliveryRate: { label: 'Delivery rate', good: 99, poor: 95, weight: 0.3 },
+        spamRate: { label: 'Spam complaint rate', good: 0.05, poor: 0.3, weight: 0.35 },
+        unsubscribeRate: { label: 'Unsubscribe rate', good: 0.3, poor: 1, weight: 0.2 },
+        bounceTrend: { label: 'Bounce trend', good: 0, poor: 1, weight: 0.15 }
+    };
+
+    const STATUSES = [
+        { id: 'healthy', label: 'Healthy', min: 80 },
+        { id: 'watch', label: 'Watch', min: 60 },
+        { id: 'at-risk', label: 'At risk', min: 0 }
+    ];
+
+    // The bounce trend compares two halves of the range, each at least this big
+    const MIN_TREND_POSTS = 3;
+
+    // Components scoring below this are named as the reason a send hurt
+    const REASON_SCORE = 50;
+
+    const OFFENDER_LIMIT = 5;
+
+    let container = null;
+    let chart = null;
+    let posts = [];
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('deliverability-panel');
+        if (!container) {
+            console.warn('Deliverability: #deliverability-panel container not found');
+            return;
+        }
+        console.log('📬 Deliverability initialized');
+    }
+
+    /**
+     * Refresh the panel
+     * @param {Array} rows - posts in the selected range
+     */
+    function update(rows) {
+        posts = (rows || []).filter(post => post.date);
+        render();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RATES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Weighted rates over a set of sends. Counts are preferred over the stored
+     * per-post rates (which round tiny complaint rates away); posts without
+     * counts fall back to the mean of their rates.
+     * @returns {Object} { deliveryRate, bounceRate, spamRate, unsubscribeRate } — null when unknown
+     */
+    function rates(rows) {
+        const counted = rows.filter(post => post.sent > 0);
+        const sent = sum(counted, 'sent');
+        const delivered = sum(counted, 'delivered');
+
+        const deliveryRate = sent > 0 ? (delivered / sent) * 100 : mean(rows.map(post => post.deliveryRate));
+
+        return {
+            deliveryRate,
+            bounceRate: isValid(deliveryRate) ? 100 - deliveryRate : null,
+            spamRate: countRate(rows, 'spamReported', 'spamRate'),
+            unsubscribeRate: countRate(rows, 'unsubscribed', 'unsubscribeRate')
+        };
+    }
+
+    /**
+     * Per-delivered rate of a count column, or the mean stored rate
+     */
+    function countRate(rows, countKey, rateKey) {
+        const counted = rows.filter(post => isValid(post[countKey]) && post.delivered > 0);
+        const delivered = sum(counted, 'delivered');
+        if (delivered > 0) return (sum(counted, countKey) / delivered) * 100;
+        return mean(rows.map(post => post[rateKey]));
+    }
+
+    /**
+     * Bounce rate of the later half of the sends minus the earlier half
+     * @returns {Object|null} { earlier, recent, change }
+     */
+    function bounceTrend(rows) {
+        const counted = rows.filter(post => post.sent > 0);
+        if (counted.length < MIN_TREND_POSTS * 2) return null;
+
+        const mid = Math.floor(counted.length / 2);
+        const earlier = rates(counted.slice(0, mid)).bounceRate;
+        const recent = rates(counted.slice(mid)).bounceRate;
+        return { earlier, recent, change: recent - earlier };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SCORING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function componentScore(value, component) {
+        const position = (value - component.poor) / (component.good - component.poor);
+        return Math.round(Math.min(1, Math.max(0, position)) * 100);
+    }
+
+    function statusOf(score) {
+        return STATUSES.find(status => score >= status.min);
+    }
+
+    /**
+     * Combine component values into a score
+     * @param {Object} values - { deliveryRate, spamRate, unsubscribeRate, bounceTrend } (null = no data)
+     * @returns {Object|null} { score, status, components: [{ id, label, value, score, good, poor, weight }] }
+     */
+    function combine(values) {
+        const components = Object.entries(COMPONENTS)
+            .filter(([id]) => isValid(values[id]))
+            .map(([id, component]) => ({
+                id,
+                ...component,
+                value: values[id],
+                score: componentScore(values[id], component)
+            }));
+
+        const weight = components.reduce((total, c) => total + c.weight, 0);
+        if (weight === 0) return null;
+
+        const score = Math.round(components.reduce((total, c) => total + c.score * c.weight, 0) / weight);
+        return { score, status: statusOf(score), components };
+    }
+
+    /**
+     * Deliverability health of a set of sends
+     * @param {Array} rows - posts
+     * @returns {Object|null} { score, status, components, rates, bounce }
+     */
+    function score(rows) {
+        const sends = (rows || [])
+            .filter(post => post.sent > 0 || isValid(post.deliveryRate))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (sends.length === 0) return null;
+
+        const sendRates = rates(sends);
+        const bounce = bounceTrend(sends);
+        const result = combine({ ...sendRates, bounceTrend: bounce ? bounce.change : null });
+        return result && { ...result, rates: sendRates, bounce };
+    }
+
+    /**
+     * Health score per calendar month. A month's bounce trend is its bounce
+     * rate against the previous month's.
+     * @returns {Array} [{ month: 'YYYY-MM', score, status, rates }]
+     */
+    function monthly(rows) {
+        const months = {};
+        rows.forEach(post => {
+            const d = new Date(post.date);
+            const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+            (months[key] || (months[key] = [])).push(post);
+        });
+
+        let previousBounce = null;
+        return Object.keys(months).sort().map(month => {
+            const monthRates = rates(months[month]);
+            const change = isValid(previousBounce) && isValid(monthRates.bounceRate) ? monthRates.bounceRate - previousBounce : null;
+            previousBounce = monthRates.bounceRate;
+
+            const result = combine({ ...monthRates, bounceTrend: change });
+            return { month, score: result ? result.score : null, status: result ? result.status : null, rates: monthRates };
+        });
+    }
+
+    /**
+     * Sends scoring below healthy on their own, worst first, with the
+     * components that dragged each one down
+     * @returns {Array} [{ post, score, reasons: [component] }]
+     */
+    function offenders(rows, limit = OFFENDER_LIMIT) {
+        return rows
+            .map(post => {
+                const result = combine(rates([post]));
+                if (!result) return null;
+                return {
+                    post,
+                    score: result.score,
+                    reasons: result.components.filter(c => c.score < REASON_SCORE)
+                };
+            })
+            .filter(entry => entry && entry.score < STATUSES[0].min)
+            .sort((a, b) => a.score - b.score)
+            .slice(0, limit);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function setStatus(text) {
+        container.innerHTML = `<div class="deliverability__empty">${escapeHtml(text)}</div>`;
+        destroyChart();
+    }
+
+    function render() {
+        if (!container) return;
+
+        const health = score(posts);
+        const meta = document.getElementById('deliverability-meta');
+        if (meta) meta.textContent = health ? `${posts.length} sends` : '';
+
+        if (!health) {
+            setStatus('Import data to see deliverability health');
+            return;
+        }
+
+        const missingSpam = !isValid(health.rates.spamRate);
+        const worst = offenders(posts);
+
+        container.innerHTML = `
+            <div class="deliverability">
+                <div class="deliverability__score deliverability__score--${health.status.id}">
+                    <span class="deliverability__score-value">${health.score}</span>
+                    <span class="deliverability__score-label">${health.status.label}</span>
+                </div>
+                <div class="deliverability__components">
+                    ${Object.keys(COMPONENTS).map(id => renderComponent(id, health)).join('')}
+                </div>
+            </div>
+            <div class="deliverability__trend">
+                <div class="deliverability__section-title">Health score by month</div>
+                <div class="chart-wrapper deliverability__chart"><canvas id="deliverability-canvas"></canvas></div>
+            </div>
+            <div class="deliverability__offenders">
+                <div class="deliverability__section-title">Sends that hurt it</div>
+                ${worst.length === 0
+                    ? '<div class="deliverability__empty">Every send in this range scores as healthy on its own</div>'
+                    : worst.map(renderOffender).join('')}
+            </div>
+            ${missingSpam ? `
+                <div class="deliverability__note">No spam complaint counts in this data — the score uses delivery, unsubscribes and bounces only.</div>
+            ` : ''}
+        `;
+
+        renderChart(monthly(posts));
+    }
+
+    function renderComponent(id, health) {
+        const component = COMPONENTS[id];
+        const scored = health.components.find(c => c.id === id);
+        const better = component.good < component.poor ? '≤' : '≥';
+        const target = `target ${better} ${formatValue(component.good, id)}`;
+
+        if (!scored) {
+            return `
+                <div class="deliverability__component is-missing">
+                    <span class="deliverability__component-label">${component.label}</span>
+                    <span class="deliverability__component-value">—</span>
+                    <span class="deliverability__component-bar"><span style="width: 0"></span></span>
+                    <span class="deliverability__component-target">${id === 'bounceTrend' ? `needs ${MIN_TREND_POSTS * 2}+ sends` : 'no data'}</span>
+                </div>
+            `;
+        }
+
+        const detail = id === 'bounceTrend'
+            ? `${formatPercent(health.bounce.earlier)} → ${formatPercent(health.bounce.recent)} bounced`
+            : target;
+
+        return `
+            <div class="deliverability__component deliverability__component--${statusOf(scored.score).id}"
+                title="Scores 100 at ${formatValue(component.good, id)}, 0 at ${formatValue(component.poor, id)}">
+                <span class="deliverability__component-label">${component.label}</span>
+                <span class="deliverability__component-value">${formatValue(scored.value, id)}</span>
+                <span class="deliverability__component-bar"><span style="width: ${scored.score}%"></span></span>
+                <span class="deliverability__component-target">${detail}</span>
+            </div>
+        `;
+    }
+
+    function renderOffender(entry) {
+        const reasons = entry.reasons.length > 0
+            ? entry.reasons.map(c => `${c.label} ${formatValue(c.value, c.id)}`).join(' · ')
+            : 'Below target on several metrics';
+
+        return `
+            <div class="deliverability__offender">
+                <span class="deliverability__offender-score deliverability__offender-score--${statusOf(entry.score).id}">${entry.score}</span>
+                <span class="deliverability__offender-title" title="${escapeHtml(entry.post.title || 'Untitled')}">${escapeHtml(entry.post.title || 'Untitled')}</span>
+                <span class="deliverability__offender-date">${formatDate(entry.post.date)}</span>
+                <span class="deliverability__offender-reasons">${reasons}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Monthly score line with the healthy / watch thresholds dashed behind it
+     */
+    function renderChart(months) {
+        const canvas = document.getElementById('deliverability-canvas');
+        if (!canvas || typeof Chart === 'undefined') return;
+        destroyChart();
+
+        const light = document.documentElement.getAttribute('data-theme') === 'light';
+        const axisColor = light ? 'rgba(28, 30, 27, 0.48)' : 'rgba(255, 255, 255, 0.5)';
+        const gridColor = light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)';
+        const threshold = (status, color) => ({
+            label: `${status.label} (${status.min}+)`,
+            data: months.map(() => status.min),
+            borderColor: color,
+            borderWidth: 1,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill: false,
+            isThreshold: true
+        });
+
+        chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: months.map(m => formatMonth(m.month)),
+                datasets: [
+                    {
+                        label: 'Health score',
+                        data: months.map(m => m.score),
+                        borderColor: '#C2EE6B',
+                        backgroundColor: 'rgba(194, 238, 107, 0.12)',
+                        borderWidth: 2,
+                        pointRadius: 3,
+                        tension: 0.3,
+                        fill: true,
+                        spanGaps: true
+                    },
+                    threshold(STATUSES[0], 'rgba(34, 197, 94, 0.6)'),
+                    threshold(STATUSES[1], 'rgba(245, 158, 11, 0.6)')
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: (item) => !item.dataset.isThreshold,
+                        callbacks: {
+                            label: (item) => `Health score: ${item.raw}`,
+                            afterLabel: (item) => {
+                                const r = months[item.dataIndex].rates;
+                                return [
+                                    `Delivered: ${formatPercent(r.deliveryRate)}`,
+                                    `Spam complaints: ${formatValue(r.spamRate, 'spamRate')}`,
+                                    `Unsubscribes: ${formatValue(r.unsubscribeRate, 'unsubscribeRate')}`
+                                ];
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: { grid: { display: false }, ticks: { color: axisColor } },
+                    y: { min: 0, max: 100, grid: { color: gridColor }, ticks: { color: axisColor, stepSize: 20 } }
+                }
+            }
+        });
+    }
+
+    function destroyChart() {
+        if (chart) {
+            chart.destroy();
+            chart = null;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function isValid(n) {
+        return typeof n === 'number' && !isNaN(n);
+    }
+
+    function sum(rows, key) {
+        return rows.reduce((total, row) => total + (row[key] || 0), 0);
+    }
+
+    function mean(values) {
+        const valid = values.filter(isValid);
+        return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+    }
+
+    function formatPercent(num) {
+        return isValid(num) ? num.toFixed(1) + '%' : '—';
+    }
+
+    /**
+     * Complaint rates need more precision than the other percentages
+     */
+    function formatValue(value, id) {
+        if (!isValid(value)) return '—';
+        if (id === 'bounceTrend') return `${value > 0 ? '+' : ''}${value.toFixed(2)} pts`;
+        return value.toFixed(id === 'spamRate' ? 3 : id === 'unsubscribeRate' ? 2 : 1) + '%';
+    }
+
+    function formatDate(date) {
+        return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    function formatMonth(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        // Also safe inside quoted attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        score,
+        monthly,
+        offenders,
+        COMPONENTS,
+        STATUSES
+    };
+
+})();
+
+window.Deliverability = Deliverability;
@@ -0,0 +1,354 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   ENGAGEMENT TIERS — Newsletter Analytics Dashboard
+   Audience split into highly engaged / casual / dormant / never opened from
+   subscriber-level stats, tier sizes per month, migration and dormant export
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const EngagementTiers = (function () {
+    'use strict';
+
+    const TIER_COLORS = {
+        highly_engaged: '#C2EE6B',
+        casual: '#6C9FFF',
+        dormant: '#F59E0B',
+        never_opened: '#F87171',
+        new: '#94A3B8',
+        unknown: '#CBD5E1',
+        unsubscribed: '#64748B'
+    };
+
+    let container = null;
+    let historyChart = null;
+    let newsletterId = null;
+    let loading = false;
+
+    // Export token entered this session (deployed servers only; never stored)
+    let exportToken = null;
+
+    // Summaries per newsletter, so tab switches don't refetch
+    const cache = {};
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('tiers-panel');
+        if (!container) {
+            console.warn('EngagementTiers: #tiers-panel container not found');
+            return;
+        }
+
+        document.getElementById('tiers-export')?.addEventListener('click', exportDormant);
+
+        console.log('🎚️ EngagementTiers initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // LOADING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Show tiers for a newsletter, fetching them the first time the
+     * Engagement tab is visible for it
+     */
+    function update(id) {
+        newsletterId = id;
+        if (!container) return;
+        if (!id) {
+            render(null);
+            return;
+        }
+
+        const visible = document.getElementById('tab-engagement')?.classList.contains('tab-panel--active');
+        if (!cache[id] && visible && !loading) {
+            load(id);
+        } else {
+            render(cache[id]);
+        }
+    }
+
+    async function load(id) {
+        loading = true;
+        setStatus('Loading subscriber engagement from Beehiiv…');
+
+        try {
+            cache[id] = await BeehiivAPI.fetchEngagementTiers(id, {
+                onProgress: sync => setStatus(BeehiivAPI.describeSubscriptionSync(sync))
+            });
+        } catch (err) {
+            console.warn('EngagementTiers: failed to load tiers:', err.message);
+            cache[id] = {
+                error: err.status === 400
+                    ? 'Engagement tiers need a Beehiiv publication ID for this newsletter (Settings)'
+                    : `Couldn't load engagement tiers: ${err.message}`
+            };
+        } finally {
+            loading = false;
+        }
+
+        if (id === newsletterId) render(cache[id]);
+        else update(newsletterId);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // EXPORT
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Tier subscribers, asking for the server's export token when it wants one
+     * @returns {Promise<Object|null>} null when the token prompt is cancelled
+     */
+    async function fetchSubscribers(tiers, options) {
+        try {
+            return await BeehiivAPI.fetchTierSubscribers(newsletterId, tiers, exportToken, options);
+        } catch (err) {
+            if (err.status !== 401) throw err;
+            const token = prompt(`${err.message}\n\nExport token:`);
+            if (!token) return null;
+            exportToken = token.trim();
+            return BeehiivAPI.fetchTierSubscribers(newsletterId, tiers, exportToken, options);
+        }
+    }
+
+    /**
+     * Download dormant (optionally also never-opened) subscribers as CSV
+     */
+    async function exportDormant() {
+        if (!newsletterId) return;
+
+        const button = document.getElementById('tiers-export');
+        const includeNever = document.getElementById('tiers-export-never')?.checked;
+        const tiers = includeNever ? ['dormant', 'never_opened'] : ['dormant'];
+        const label = button.textContent;
+
+        button.disabled = true;
+        button.textContent = 'Exporting…';
+        try {
+            const result = await fetchSubscribers(tiers, {
+                onProgress: ({ exported, total }) => { button.textContent = `Exporting… ${exported.toLocaleString()}/${total.toLocaleString()}`; }
+            });
+            if (!result) {
+                button.textContent = label;
+                return;
+            }
+            if (result.total === 0) {
+                button.textContent = 'No dormant subscribers';
+                setTimeout(() => { button.textContent = label; }, 2500);
+                return;
+            }
+
+            const rows = result.data.map(sub => [
+                sub.email,
+                sub.created ? sub.created.slice(0, 10) : '',
+                sub.emailsReceived,
+                sub.openRate === null ? '' : sub.openRate,
+                sub.source,
+                sub.tier
+            ]);
+            const csv = '\uFEFF' + [['email', 'subscribed', 'emails_received', 'open_rate', 'source', 'tier'], ...rows]
+                .map(row => row.map(csvCell).join(','))
+                .join('\n');
+
+            const filename = DownloadService.generateFilename('csv').replace(/\.csv$/, '-dormant.csv');
+            DownloadService.downloadBlob(new Blob([csv], { type: 'text/csv' }), filename);
+            button.textContent = label;
+        } catch (err) {
+            console.error('EngagementTiers: export failed:', err);
+            button.textContent = 'Export failed';
+            setTimeout(() => { button.textContent = label; }, 2500);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    function csvCell(value) {
+        const cell = value === null || value === undefined ? '' : String(value).replace(/"/g, '""');
+        return /[",\n]/.test(cell) ? `"${cell}"` : cell;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function setStatus(text) {
+        container.innerHTML = `<div class="tiers__empty">${escapeHtml(text)}</div>`;
+        destroyChart();
+    }
+
+    function render(data) {
+        if (!container) return;
+
+        const meta = document.getElementById('tiers-meta');
+        const total = data && data.tiers ? data.tiers.reduce((sum, t) => sum + t.count, 0) : 0;
+        if (meta) meta.textContent = total ? `${total.toLocaleString()} active subscribers` : '';
+
+        const exportButton = document.getElementById('tiers-export');
+        if (exportButton) exportButton.disabled = !data || !!data.error || total === 0;
+
+        if (!data) {
+            setStatus(newsletterId ? 'Open this tab to load engagement tiers' : 'Select a newsletter to see engagement tiers');
+            return;
+        }
+        if (data.error) {
+            setStatus(data.error);
+            return;
+        }
+        if (total === 0) {
+            setStatus('No active subscribers to segment yet');
+            return;
+        }
+
+        const t = data.thresholds;
+        container.innerHTML = `
+            <div class="tiers">
+                <div class="tiers__sizes">
+                    ${data.tiers.map(tier => `
+                        <div class="tiers__size">
+                            <span class="tiers__swatch" style="background: ${TIER_COLORS[tier.id]}"></span>
+                            <span class="tiers__label">${tier.label}</span>
+                            <span class="tiers__count">${tier.count.toLocaleString()}</span>
+                            <span class="tiers__share">${tier.share.toFixed(1)}%</span>
+                        </div>
+                    `).join('')}
+                    <div class="tiers__bar">
+                        ${data.tiers.filter(tier => tier.share > 0).map(tier => `
+                            <span style="width: ${tier.share}%; background: ${TIER_COLORS[tier.id]}" title="${tier.label}: ${tier.share.toFixed(1)}%"></span>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="tiers__history">
+                    <div class="tiers__section-title">Tier sizes by month</div>
+                    <div class="chart-wrapper tiers__chart"><canvas id="tiers-history-canvas"></canvas></div>
+                </div>
+            </div>
+            <div class="tiers__migration">
+                ${renderMigration(data)}
+            </div>
+            <div class="tiers__note">
+                Lifetime open rate: highly engaged ≥ ${t.highlyEngagedOpenRate}%, casual ≥ ${t.casualOpenRate}%,
+                dormant below that, never opened at 0%. Subscribers with fewer than ${t.minEmails} emails aren't rated yet,
+                and those Beehiiv reports no open rate for are counted apart.
+            </div>
+        `;
+
+        renderHistory(data);
+    }
+
+    function renderMigration(data) {
+        const m = data.migration;
+        if (!m) {
+            return `
+                <div class="tiers__section-title">Tier migration</div>
+                <div class="tiers__empty">Migration appears once subscriptions have been synced in two different months</div>
+            `;
+        }
+
+        const rated = ['highly_engaged', 'casual', 'dormant', 'never_opened', 'new', 'unknown'];
+        const from = rated.filter(id => m.matrix[id]);
+        const to = [...rated, 'unsubscribed'].filter(id => from.some(f => m.matrix[f][id]));
+
+        return `
+            <div class="tiers__section-title">Tier migration · ${formatMonth(m.from)} → ${formatMonth(m.to)}</div>
+            <table class="tiers__table">
+                <thead>
+                    <tr><th>From \\ To</th>${to.map(id => `<th class="tiers__num">${data.labels[id]}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${from.map(fromId => {
+                        const row = m.matrix[fromId];
+                        const rowTotal = Object.values(row).reduce((sum, n) => sum + n, 0);
+                        return `
+                            <tr>
+                                <td><span class="tiers__swatch" style="background: ${TIER_COLORS[fromId]}"></span>${data.labels[fromId]}</td>
+                                ${to.map(toId => {
+                                    const n = row[toId] || 0;
+                                    const share = rowTotal > 0 ? (n / rowTotal) * 100 : 0;
+                                    return `<td class="tiers__num ${toId === fromId ? 'is-same' : ''}" title="${share.toFixed(1)}% of ${data.labels[fromId]}">${n ? n.toLocaleString() : '—'}</td>`;
+                                }).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Stacked tier sizes for each month a sync has recorded
+     */
+    function renderHistory(data) {
+        const canvas = document.getElementById('tiers-history-canvas');
+        if (!canvas || typeof Chart === 'undefined') return;
+        destroyChart();
+
+        const light = document.documentElement.getAttribute('data-theme') === 'light';
+        const axisColor = light ? 'rgba(28, 30, 27, 0.48)' : 'rgba(255, 255, 255, 0.5)';
+        const gridColor = light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)';
+
+        historyChart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: data.history.map(h => formatMonth(h.month)),
+                datasets: data.tiers.map(tier => ({
+                    label: tier.label,
+                    data: data.history.map(h => h.counts[tier.id] || 0),
+                    backgroundColor: TIER_COLORS[tier.id],
+                    maxBarThickness: 40,
+                    stack: 'tiers'
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        mode: 'index',
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${item.raw.toLocaleString()}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { stacked: true, grid: { display: false }, ticks: { color: axisColor } },
+                    y: { stacked: true, beginAtZero: true, grid: { color: gridColor }, ticks: { color: axisColor, precision: 0 } }
+                }
+            }
+        });
+    }
+
+    function destroyChart() {
+        if (historyChart) {
+            historyChart.destroy();
+            historyChart = null;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatMonth(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update
+    };
+
+})();
+
+window.EngagementTiers = EngagementTiers;
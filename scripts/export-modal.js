@@ -241,6 +241,27 @@ const ExportModal = (function () {
             }
         }
 
+        // Notes in the captured range get their own page; jsPDF's core fonts have no emoji
+        const annotations = window.Annotations ? Annotations.visible() : [];
+        if (annotations.length > 0) {
+            doc.addPage();
+            doc.setFontSize(14);
+            doc.text('Annotations', margin, margin + 6);
+            doc.setFontSize(10);
+
+            let y = margin + 16;
+            annotations.forEach(a => {
+                if (y > pageHeight - margin) {
+                    doc.addPage();
+                    y = margin + 6;
+                }
+                const type = Annotations.CATEGORIES[a.category]?.label || a.category;
+                const lines = doc.splitTextToSize(`${a.date}  [${type}]  ${a.text}`, usableWidth);
+                doc.text(lines, margin, y);
+                y += lines.length * 5 + 2;
+            });
+        }
+
         if (progressBar) progressBar.style.width = '90%';
         if (status) status.textContent = 'Finalizing PDF...';
 
@@ -260,8 +281,10 @@ const ExportModal = (function () {
         const newsletter = window.NewsletterManager?.getActive();
         if (!newsletter) throw new Error('No newsletter selected');
 
-        const data = window.NewsletterManager.getData(newsletter.id);
-        if (!data || !data.rawRows || data.rawRows.length === 0) {
+        // Imported posts, or rows of a CSV imported before CSVs were stored as posts
+        const rows = window.NewsletterManager.getXLSXData(newsletter.id)?.posts
+            || window.NewsletterManager.getData(newsletter.id)?.rawRows;
+        if (!rows || rows.length === 0) {
             throw new Error('No data available to export');
         }
 
@@ -269,7 +292,7 @@ const ExportModal = (function () {
         if (status) status.textContent = 'Formatting CSV...';
 
         // Extract headers
-        const headers = Object.keys(data.rawRows[0]);
+        const headers = Object.keys(rows[0]);
 
         // Build CSV Content
         // Add Byte Order Mark (BOM) for Excel UTF-8 compatibility
@@ -279,19 +302,8 @@ const ExportModal = (function () {
         csvContent += headers.join(',') + '\n';
 
         // Data Rows
-        data.rawRows.forEach(row => {
-            const rowLine = headers.map(header => {
-                let cell = row[header] === null || row[header] === undefined ? '' : String(row[header]);
-
-                // Escape quotes (DOUBLE double quotes)
-                cell = cell.replace(/"/g, '""');
-
-                // Wrap in quotes if contains comma, quote, or newline
-                if (cell.search(/("|,|\n)/g) >= 0) {
-                    cell = `"${cell}"`;
-                }
-                return cell;
-            }).join(',');
+        rows.forEach(row => {
+            const rowLine = headers.map(header => csvCell(row[header])).join(',');
 
             csvContent += rowLine + '\n';
         });
@@ -304,12 +316,39 @@ const ExportModal = (function () {
         // MIME type must be plain 'text/csv' - semicolons cause issues in some Chrome versions
         const blob = new Blob([csvContent], { type: 'text/csv' });
         DownloadService.downloadBlob(blob, filename);
+
+        // Annotations have their own columns, so they go in a separate file
+        const annotations = window.Annotations ? Annotations.list(newsletter.id) : [];
+        if (annotations.length > 0) {
+            DownloadService.downloadBlob(annotationsCSV(annotations), filename.replace(/\.csv$/, '-annotations.csv'));
+        }
+    }
+
+    function annotationsCSV(annotations) {
+        let csvContent = '\uFEFFdate,type,annotation\n';
+        annotations.forEach(a => {
+            csvContent += [a.date, a.category, a.text].map(csvCell).join(',') + '\n';
+        });
+        return new Blob([csvContent], { type: 'text/csv' });
     }
 
     // ─────────────────────────────────────────────────────────────────────────
     // DATA HELPERS
     // ─────────────────────────────────────────────────────────────────────────
 
+    function csvCell(value) {
+        let cell = value === null || value === undefined ? '' : String(value);
+
+        // Escape quotes (DOUBLE double quotes)
+        cell = cell.replace(/"/g, '""');
+
+        // Wrap in quotes if contains comma, quote, or newline
+        if (cell.search(/("|,|\n)/g) >= 0) {
+            cell = `"${cell}"`;
+        }
+        return cell;
+    }
+
     function getDateRangeText() {
         const text = document.getElementById('date-range-text');
         return text ? text.textContent : 'Custom Range';
@@ -0,0 +1,372 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   FORECAST — Newsletter Analytics Dashboard
+   Subscriber projections (trend + monthly seasonality) with confidence bands,
+   and the date a subscriber goal is reached
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const Forecast = (function () {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // The trend is fitted on the last year of readings
+    const FIT_WINDOW_DAYS = 365;
+
+    // Too little history → no forecast rather than a wild one
+    const MIN_READINGS = 3;
+    const MIN_SPAN_DAYS = 14;
+
+    // Seasonality needs every calendar month seen in this many years
+    const SEASONAL_MIN_YEARS = 2;
+
+    // 80% prediction interval
+    const BAND_Z = 1.28;
+
+    const MILESTONES = [30, 90, 180];
+    const NET_MONTHS = 6;
+
+    // How far ahead a goal is searched for
+    const GOAL_HORIZON_DAYS = 5 * 365;
+
+    let panel = null;
+    let model = null;
+    let horizonDays = 90;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        panel = document.getElementById('forecast-panel');
+
+        const horizonToggle = document.getElementById('forecast-horizon');
+        if (horizonToggle) {
+            horizonToggle.addEventListener('toggle:change', (e) => {
+                horizonDays = parseInt(e.detail.value, 10) || 0;
+                if (window.Charts) Charts.renderAudienceChart();
+            });
+        }
+
+        // The goal is the newsletter's subscriber target (see goals.js)
+        const goalInput = document.getElementById('forecast-goal');
+        if (goalInput) {
+            goalInput.addEventListener('input', renderGoal);
+            goalInput.addEventListener('change', () => saveGoal(goalInput));
+        }
+
+        console.log('🔮 Forecast initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // MODEL
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Fit a linear trend to the audience readings and, with two years of
+     * monthly growth, a per-calendar-month seasonal adjustment to it
+     * @param {Object} data - Mariana stores { audience, growth }
+     * @returns {Object|null} model
+     */
+    function fit(data) {
+        const readings = (data?.audience || [])
+            .map(a => ({ t: new Date(a.date).getTime(), y: a.activeSubscribers }))
+            .filter(r => !isNaN(r.t) && typeof r.y === 'number' && r.y > 0)
+            .sort((a, b) => a.t - b.t);
+        if (readings.length < MIN_READINGS) return null;
+
+        const anchor = readings[readings.length - 1];
+        let points = readings.filter(r => r.t >= anchor.t - FIT_WINDOW_DAYS * DAY_MS);
+        if (points.length < MIN_READINGS) points = readings.slice(-MIN_READINGS);
+        if ((anchor.t - points[0].t) / DAY_MS < MIN_SPAN_DAYS) return null;
+
+        // Least squares on days relative to the latest reading
+        const xs = points.map(p => (p.t - anchor.t) / DAY_MS);
+        const ys = points.map(p => p.y);
+        const meanX = average(xs);
+        const meanY = average(ys);
+        const sxx = xs.reduce((acc, x) => acc + Math.pow(x - meanX, 2), 0);
+        const sxy = xs.reduce((acc, x, i) => acc + (x - meanX) * (ys[i] - meanY), 0);
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        const intercept = meanY - slope * meanX;
+
+        const residuals = xs.map((x, i) => ys[i] - (intercept + slope * x));
+        const sigma = points.length > 2
+            ? Math.sqrt(residuals.reduce((acc, r) => acc + r * r, 0) / (points.length - 2))
+            : 0;
+
+        return {
+            anchor: { date: new Date(anchor.t), value: anchor.y },
+            slope,
+            sigma,
+            seSlope: sxx > 0 ? sigma / Math.sqrt(sxx) : 0,
+            seasonal: seasonalOffsets(data.growth),
+            readings: points.length,
+            since: new Date(points[0].t)
+        };
+    }
+
+    /**
+     * How far each calendar month's net growth sits from the average month
+     * @returns {number[]|null} 12 offsets (Jan..Dec), or null without enough history
+     */
+    function seasonalOffsets(growth) {
+        const rows = (growth || []).filter(g => g.date && typeof g.net === 'number');
+        const yearsByMonth = Array.from({ length: 12 }, () => new Set());
+        rows.forEach(g => {
+            const d = new Date(g.date);
+            yearsByMonth[d.getMonth()].add(d.getFullYear());
+        });
+        if (yearsByMonth.some(years => years.size < SEASONAL_MIN_YEARS)) return null;
+
+        const byMonth = Array.from({ length: 12 }, () => []);
+        rows.forEach(g => byMonth[new Date(g.date).getMonth()].push(g.net));
+
+        const overall = average(rows.map(g => g.net));
+        return byMonth.map(values => values.length > 0 ? average(values) - overall : 0);
+    }
+
+    /**
+     * Walk the projection day by day from the anchor
+     * @param {Function} visit - called with { day, date, value, lower, upper }; return true to stop
+     */
+    function walk(m, days, visit) {
+        let seasonalTotal = 0;
+
+        for (let day = 1; day <= days; day++) {
+            const date = new Date(m.anchor.date.getTime() + day * DAY_MS);
+            if (m.seasonal) {
+                seasonalTotal += m.seasonal[date.getMonth()] / daysInMonth(date);
+            }
+
+            const value = m.anchor.value + m.slope * day + seasonalTotal;
+            const half = BAND_Z * Math.sqrt(m.sigma * m.sigma + Math.pow(day * m.seSlope, 2));
+            const point = {
+                day,
+                date,
+                value: Math.round(value),
+                lower: Math.max(0, Math.round(value - half)),
+                upper: Math.round(value + half)
+            };
+            if (visit(point)) return;
+        }
+    }
+
+    /**
+     * Projected subscribers every `stepDays` up to `days` ahead (last day included)
+     */
+    function project(m, days, stepDays = 7) {
+        const points = [];
+        walk(m, days, point => {
+            if (point.day % stepDays === 0 || point.day === days) points.push(point);
+        });
+        return points;
+    }
+
+    /**
+     * Projected net growth for the coming calendar months
+     */
+    function projectMonthlyNet(m) {
+        const start = m.anchor.date;
+        return Array.from({ length: NET_MONTHS }, (_, i) => {
+            const month = new Date(start.getFullYear(), start.getMonth() + i + 1, 1);
+            return {
+                month,
+                net: Math.round(m.slope * daysInMonth(month) + (m.seasonal ? m.seasonal[month.getMonth()] : 0))
+            };
+        });
+    }
+
+    /**
+     * When the projection (and its band) first reaches `goal` subscribers
+     * @returns {Object} { reached } | { date, earliest, latest } — dates are null past the search horizon
+     */
+    function goalDate(m, goal) {
+        if (m.anchor.value >= goal) return { reached: true };
+
+        const result = { date: null, earliest: null, latest: null };
+        walk(m, GOAL_HORIZON_DAYS, point => {
+            if (!result.earliest && point.upper >= goal) result.earliest = point.date;
+            if (!result.date && point.value >= goal) result.date = point.date;
+            if (!result.latest && point.lower >= goal) result.latest = point.date;
+            return !!result.latest;
+        });
+        return result;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UPDATE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Refit on the active newsletter's stores and refresh the panel
+     */
+    function update(data) {
+        model = fit(data);
+
+        const goalInput = document.getElementById('forecast-goal');
+        const newsletter = window.NewsletterManager?.getActive();
+        if (goalInput && newsletter) {
+            goalInput.value = window.Goals?.get(newsletter.id).subscriberTarget || '';
+        }
+
+        render();
+    }
+
+    /**
+     * Store an edited goal as the newsletter's subscriber target, keeping its
+     * other goals. An invalid value goes back to the stored target.
+     */
+    async function saveGoal(goalInput) {
+        const newsletter = window.NewsletterManager?.getActive();
+        if (!newsletter || !window.Goals) return;
+
+        const goals = Goals.get(newsletter.id);
+        const result = await Goals.set(newsletter.id, { ...goals, subscriberTarget: goalInput.value.trim() });
+        if (result.error) {
+            console.warn('Subscriber goal not saved:', result.error);
+            goalInput.value = goals.subscriberTarget || '';
+            renderGoal();
+            return;
+        }
+
+        goalInput.dispatchEvent(new CustomEvent('goals:change', { bubbles: true, detail: { goals: result.goals } }));
+    }
+
+    /**
+     * Projection for the audience chart, continuing from its last reading.
+     * Null when forecasting is off or the chart ends before the latest reading.
+     * @param {Date} lastDate - date of the chart's last plotted reading
+     */
+    function getChartProjection(lastDate) {
+        if (!model || !horizonDays || !lastDate) return null;
+        if (new Date(lastDate).getTime() < model.anchor.date.getTime()) return null;
+
+        return {
+            anchor: model.anchor,
+            points: project(model, horizonDays),
+            seasonal: !!model.seasonal
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function render() {
+        if (!panel) return;
+
+        const body = panel.querySelector('.forecast__milestones');
+        const netEl = panel.querySelector('.forecast__net');
+        const noteEl = panel.querySelector('.forecast__note');
+
+        if (!model) {
+            body.innerHTML = `<div class="forecast__empty">Needs at least ${MIN_READINGS} subscriber readings over ${MIN_SPAN_DAYS}+ days to forecast</div>`;
+            netEl.innerHTML = '';
+            noteEl.textContent = '';
+            renderGoal();
+            return;
+        }
+
+        const daily = project(model, Math.max(...MILESTONES), 1);
+        body.innerHTML = MILESTONES.map(days => {
+            const point = daily[days - 1];
+            const change = point.value - model.anchor.value;
+            return `
+                <div class="forecast__milestone">
+                    <span class="forecast__milestone-label">In ${days} days</span>
+                    <span class="forecast__milestone-value">${point.value.toLocaleString()}</span>
+                    <span class="forecast__milestone-change ${change >= 0 ? 'forecast__up' : 'forecast__down'}">${change >= 0 ? '+' : ''}${change.toLocaleString()}</span>
+                    <span class="forecast__milestone-range">${point.lower.toLocaleString()} – ${point.upper.toLocaleString()}</span>
+                </div>
+            `;
+        }).join('');
+
+        netEl.innerHTML = `
+            <div class="forecast__section-title">Projected net growth</div>
+            ${projectMonthlyNet(model).map(({ month, net }) => `
+                <div class="forecast__net-row">
+                    <span>${month.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}</span>
+                    <span class="${net >= 0 ? 'forecast__up' : 'forecast__down'}">${net >= 0 ? '+' : ''}${net.toLocaleString()}</span>
+                </div>
+            `).join('')}
+        `;
+
+        noteEl.textContent = `Trend of ${model.readings} readings since ${formatDate(model.since)}`
+            + (model.seasonal ? ' with monthly seasonality' : ' (seasonality needs 24 months of growth data)')
+            + ' · ranges are 80% intervals';
+
+        renderGoal();
+    }
+
+    function renderGoal() {
+        const resultEl = document.getElementById('forecast-goal-result');
+        const goalInput = document.getElementById('forecast-goal');
+        if (!resultEl || !goalInput) return;
+
+        const goal = parseInt(goalInput.value, 10);
+        if (!goal || goal <= 0) {
+            resultEl.textContent = 'Enter a subscriber goal to see when you reach it';
+            return;
+        }
+        if (!model) {
+            resultEl.textContent = 'Not enough subscriber history to project a date';
+            return;
+        }
+
+        const result = goalDate(model, goal);
+        if (result.reached) {
+            resultEl.innerHTML = `🎉 Already at <strong>${model.anchor.value.toLocaleString()}</strong> subscribers`;
+        } else if (!result.date) {
+            resultEl.textContent = model.slope <= 0
+                ? `Not reached on the current trend (${formatSigned(Math.round(model.slope * 30))} subscribers / month)`
+                : `Not reached within ${GOAL_HORIZON_DAYS / 365} years on the current trend`;
+        } else {
+            resultEl.innerHTML = `
+                ${goal.toLocaleString()} subscribers around <strong>${formatMonth(result.date)}</strong>
+                <span class="forecast__goal-range">(between ${formatMonth(result.earliest)} and ${result.latest ? formatMonth(result.latest) : 'later'})</span>
+            `;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function average(arr) {
+        if (!arr || arr.length === 0) return 0;
+        return arr.reduce((a, b) => a + b, 0) / arr.length;
+    }
+
+    function daysInMonth(date) {
+        return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    }
+
+    function formatDate(date) {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    function formatMonth(date) {
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    function formatSigned(num) {
+        return `${num > 0 ? '+' : ''}${num.toLocaleString()}`;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        fit,
+        project,
+        projectMonthlyNet,
+        goalDate,
+        getChartProjection
+    };
+
+})();
+
+window.Forecast = Forecast;
@@ -0,0 +1,339 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   GOALS — Newsletter Analytics Dashboard
+   Per-newsletter targets (stored on the server, see NewsletterManager), progress on
+   the hero and KPI cards, goal lines for charts and the subscriber pace
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const Goals = (function () {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Goal fields as stored in newsletter.goals. `direction` says which side
+     * of the target counts as met; `metric` is the posts/audience key the
+     * goal applies to (and the key charts ask for a goal line with).
+     */
+    const FIELDS = {
+        subscriberTarget: { metric: 'activeSubscribers', label: 'Subscribers', direction: 'min' },
+        minOpenRate: { metric: 'openRate', label: 'Open Rate', direction: 'min', unit: '%' },
+        ctrTarget: { metric: 'ctr', label: 'CTR', direction: 'min', unit: '%' },
+        maxUnsubscribeRate: { metric: 'unsubscribeRate', label: 'Unsub. Rate', direction: 'max', unit: '%' }
+    };
+
+    // KPI cards that show a progress bar, by card label
+    const KPI_CARDS = {
+        'Open Rate': 'minOpenRate',
+        'Click-Through Rate': 'ctrTarget'
+    };
+
+    const GOAL_LINE_COLOR = '#F59E0B';
+
+    let overlay = null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        overlay = document.getElementById('goals-modal');
+        if (overlay) {
+            overlay.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close();
+            });
+            overlay.querySelector('[data-action="save"]')?.addEventListener('click', save);
+            overlay.querySelector('[data-action="clear"]')?.addEventListener('click', clearForm);
+        }
+
+        document.getElementById('goals-btn')?.addEventListener('click', open);
+
+        console.log('🎯 Goals initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // STORAGE (server document, copied on the newsletter config)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Goals of a newsletter (defaults to the active one)
+     * @returns {Object} { subscriberTarget, subscriberDeadline, minOpenRate, ctrTarget, maxUnsubscribeRate }
+     */
+    function get(id) {
+        const newsletter = id ? NewsletterManager.get(id) : NewsletterManager.getActive();
+        return newsletter?.goals || {};
+    }
+
+    /**
+     * Validate and store goals on the server
+     * @returns {Promise<{ goals } | { error }>}
+     */
+    async function set(id, input) {
+        const goals = {};
+
+        for (const [key, def] of Object.entries(FIELDS)) {
+            const raw = input[key];
+            if (raw === '' || raw === null || raw === undefined) continue;
+
+            const value = Number(raw);
+            if (!Number.isFinite(value) || value <= 0) return { error: `${def.label} goal must be a positive number` };
+            if (def.unit === '%' && value > 100) return { error: `${def.label} goal must be a percentage (0–100)` };
+            goals[key] = def.unit === '%' ? value : Math.round(value);
+        }
+
+        if (input.subscriberDeadline) {
+            if (!goals.subscriberTarget) return { error: 'A subscriber deadline needs a subscriber target' };
+            if (isNaN(new Date(input.subscriberDeadline).getTime())) return { error: 'Subscriber deadline is not a valid date' };
+            goals.subscriberDeadline = input.subscriberDeadline;
+        }
+
+        if (!await NewsletterManager.saveSetting(id, 'goals', goals)) {
+            return { error: 'Could not save goals on the server — try again' };
+        }
+        return { goals };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // MODAL
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function open() {
+        const newsletter = NewsletterManager.getActive();
+        if (!overlay || !newsletter) return;
+
+        const goals = get(newsletter.id);
+        overlay.querySelector('.goals-modal__newsletter').textContent = newsletter.name;
+        overlay.querySelectorAll('[data-goal]').forEach(input => {
+            input.value = goals[input.dataset.goal] ?? '';
+        });
+        setMessage('');
+        overlay.classList.add('is-open');
+    }
+
+    function close() {
+        if (overlay) overlay.classList.remove('is-open');
+    }
+
+    function clearForm() {
+        overlay.querySelectorAll('[data-goal]').forEach(input => { input.value = ''; });
+    }
+
+    async function save() {
+        const newsletter = NewsletterManager.getActive();
+        if (!newsletter) return;
+
+        const input = {};
+        overlay.querySelectorAll('[data-goal]').forEach(el => { input[el.dataset.goal] = el.value.trim(); });
+
+        const result = await set(newsletter.id, input);
+        if (result.error) {
+            setMessage(`❌ ${result.error}`, true);
+            return;
+        }
+
+        close();
+        overlay.dispatchEvent(new CustomEvent('goals:change', { bubbles: true, detail: { goals: result.goals } }));
+    }
+
+    function setMessage(text, isError) {
+        const el = overlay.querySelector('.goals-modal__message');
+        el.textContent = text;
+        el.classList.toggle('goals-modal__message--error', !!isError);
+        el.style.display = text ? '' : 'none';
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PROGRESS & PACE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Progress towards one goal
+     * @returns {Object|null} { target, value, ratio, met } — ratio is 0..1 for the bar
+     */
+    function progress(key, value) {
+        const target = get()[key];
+        if (!target || typeof value !== 'number' || isNaN(value)) return null;
+
+        const def = FIELDS[key];
+        const met = def.direction === 'min' ? value >= target : value <= target;
+        const ratio = def.direction === 'min' ? value / target : (value > 0 ? Math.min(1, target / value) : 1);
+        return { target, value, ratio: Math.max(0, Math.min(1, ratio)), met };
+    }
+
+    /**
+     * Whether the subscriber trend reaches the target by its deadline
+     * (uses the forecast model — see forecast.js)
+     * @returns {Object|null} { onPace, projected, deadline } or null without a deadline or model
+     */
+    function subscriberPace(data) {
+        const goals = get();
+        if (!goals.subscriberTarget || !goals.subscriberDeadline || !window.Forecast) return null;
+
+        const model = Forecast.fit(data);
+        if (!model) return null;
+
+        const deadline = new Date(goals.subscriberDeadline + 'T23:59:59');
+        const days = Math.ceil((deadline - model.anchor.date) / DAY_MS);
+        if (days <= 0) {
+            return { onPace: model.anchor.value >= goals.subscriberTarget, projected: model.anchor.value, deadline, passed: true };
+        }
+
+        const [point] = Forecast.project(model, days, days);
+        return { onPace: point.value >= goals.subscriberTarget, projected: point.value, deadline, passed: false };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Refresh hero and KPI card progress
+     * @param {Object} current - { activeSubscribers, openRate, ctr, unsubscribeRate }
+     * @param {Object} data - XLSX data (audience history), for the subscriber pace
+     */
+    function update(current, data) {
+        renderHero(current, data);
+
+        document.querySelectorAll('.kpi-card').forEach(card => {
+            const key = KPI_CARDS[card.querySelector('.kpi-card__label')?.textContent];
+            if (!key) return;
+
+            const metricValue = current[FIELDS[key].metric];
+            renderBar(card, 'kpi-card__goal', progress(key, metricValue), FIELDS[key]);
+        });
+    }
+
+    function renderHero(current, data) {
+        const hero = document.querySelector('#tab-overview .hero-metric__main');
+        if (!hero) return;
+
+        const subscribers = progress('subscriberTarget', current.activeSubscribers);
+        const bar = renderBar(hero, 'hero-goal', subscribers, FIELDS.subscriberTarget);
+
+        if (bar && subscribers) {
+            const pace = subscriberPace(data);
+            const paceEl = bar.querySelector('.goal-progress__pace');
+            if (pace && !subscribers.met) {
+                paceEl.className = `goal-progress__pace goal-progress__pace--${pace.onPace ? 'on' : 'behind'}`;
+                paceEl.textContent = pace.passed
+                    ? `Deadline passed ${formatDate(pace.deadline)}`
+                    : `${pace.onPace ? 'On pace' : 'Behind pace'} for ${formatDate(pace.deadline)} (projected ${pace.projected.toLocaleString()})`;
+            } else {
+                paceEl.className = 'goal-progress__pace';
+                paceEl.textContent = '';
+            }
+        }
+
+        // Unsubscribe rate has no KPI card — shown as a chip under the hero
+        let chip = hero.querySelector('.hero-goal-chip');
+        const unsub = progress('maxUnsubscribeRate', current.unsubscribeRate);
+        if (!unsub) {
+            chip?.remove();
+            return;
+        }
+        if (!chip) {
+            chip = document.createElement('span');
+            hero.appendChild(chip);
+        }
+        chip.className = `hero-goal-chip ${unsub.met ? 'is-met' : 'is-missed'}`;
+        chip.textContent = `${unsub.met ? '✓' : '✗'} Unsub. rate ${unsub.value.toFixed(2)}% (max ${unsub.target}%)`;
+    }
+
+    /**
+     * Create, update or remove a progress bar inside `parent`
+     * @returns {HTMLElement|null} the bar element
+     */
+    function renderBar(parent, className, state, def) {
+        let bar = parent.querySelector(`.${className}`);
+        if (!state) {
+            bar?.remove();
+            return null;
+        }
+
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = `goal-progress ${className}`;
+            bar.innerHTML = `
+                <div class="goal-progress__track"><div class="goal-progress__fill"></div></div>
+                <div class="goal-progress__meta">
+                    <span class="goal-progress__label"></span>
+                    <span class="goal-progress__pace"></span>
+                </div>
+            `;
+            parent.appendChild(bar);
+        }
+
+        const format = (v) => def.unit === '%' ? `${Number(v).toFixed(1)}%` : Math.round(v).toLocaleString();
+        bar.classList.toggle('is-met', state.met);
+        bar.querySelector('.goal-progress__fill').style.width = `${(state.ratio * 100).toFixed(1)}%`;
+        bar.querySelector('.goal-progress__label').textContent = state.met
+            ? `🎯 Goal ${format(state.target)} met`
+            : `🎯 ${def.direction === 'max' ? 'Max' : 'Goal'} ${format(state.target)}`
+                + (def.unit === '%' ? '' : ` · ${Math.round(state.ratio * 100)}%`);
+        return bar;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // CHART GOAL LINES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Target for a chart metric, if the active newsletter has one
+     * @param {string} metric - activeSubscribers | openRate | ctr | unsubscribeRate
+     */
+    function getTarget(metric) {
+        const goals = get();
+        const entry = Object.entries(FIELDS).find(([, def]) => def.metric === metric);
+        return entry && goals[entry[0]] ? goals[entry[0]] : null;
+    }
+
+    /**
+     * Flat dashed Chart.js line at the metric's target, or null without a goal
+     * @param {string} metric
+     * @param {number} length - number of labels on the chart
+     */
+    function lineDataset(metric, length) {
+        const target = getTarget(metric);
+        if (!target || !length) return null;
+
+        return {
+            label: 'Goal',
+            data: Array(length).fill(target),
+            borderColor: GOAL_LINE_COLOR,
+            borderDash: [2, 4],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill: false,
+            isGoal: true
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatDate(date) {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        open,
+        close,
+        get,
+        set,
+        update,
+        progress,
+        subscriberPace,
+        getTarget,
+        lineDataset
+    };
+
+})();
+
+window.Goals = Goals;
@@ -0,0 +1,210 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   IMPORT MERGE — Newsletter Analytics Dashboard
+   Stacks a new import onto the stored posts/growth/audience history instead of
+   replacing it, and describes what the import would change
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const ImportMerge = (function () {
+    'use strict';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // KEYS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function dayKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function monthKey(date) {
+        return dayKey(date).slice(0, 7);
+    }
+
+    /**
+     * Fallback identity for posts without a Post ID: send day + title
+     */
+    function postKey(post) {
+        return `${dayKey(post.date)}|${String(post.title || '').trim().toLowerCase()}`;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // ROW MERGING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function sameValue(a, b) {
+        if (a instanceof Date || b instanceof Date) {
+            return new Date(a).getTime() === new Date(b).getTime();
+        }
+        return a === b;
+    }
+
+    /**
+     * Overlay the incoming row on the stored one. The import is the newer
+     * snapshot, so its values win — except where it has no value at all
+     * (e.g. an older export format without web stats).
+     * @returns {{ row, changed }}
+     */
+    function overlay(stored, incoming) {
+        const row = { ...stored };
+        let changed = false;
+
+        Object.entries(incoming).forEach(([key, value]) => {
+            if (value === null || value === undefined) return;
+            if (!sameValue(stored[key], value)) changed = true;
+            row[key] = value;
+        });
+
+        return { row, changed };
+    }
+
+    function withDate(row) {
+        return { ...row, date: new Date(row.date) };
+    }
+
+    /**
+     * Merge posts, de-duplicating by Post ID when both sides have one and by
+     * send day + title otherwise
+     * @returns {Object} { rows, added, updated, unchanged, untouched }
+     *   untouched = stored posts the import doesn't mention
+     */
+    function mergePosts(stored, incoming) {
+        const rows = (stored || []).map(withDate);
+        const byId = new Map();
+        const byKey = new Map();
+        rows.forEach((row, index) => {
+            if (row.postId) byId.set(row.postId, index);
+            byKey.set(postKey(row), index);
+        });
+
+        const touched = new Set();
+        let added = 0;
+        let updated = 0;
+
+        (incoming || []).map(withDate).forEach(post => {
+            let index = post.postId ? byId.get(post.postId) : undefined;
+            if (index === undefined) {
+                const candidate = byKey.get(postKey(post));
+                // Two different Post IDs on the same day+title are different posts
+                if (candidate !== undefined && !(post.postId && rows[candidate].postId)) index = candidate;
+            }
+
+            if (index === undefined) {
+                rows.push(post);
+                index = rows.length - 1;
+                touched.add(index);
+                added++;
+            } else {
+                const result = overlay(rows[index], post);
+                rows[index] = result.row;
+                // A post repeated inside one import only counts once
+                if (result.changed && !touched.has(index)) updated++;
+                touched.add(index);
+            }
+
+            if (post.postId) byId.set(post.postId, index);
+            byKey.set(postKey(rows[index]), index);
+        });
+
+        const storedCount = (stored || []).length;
+        const untouched = rows.slice(0, storedCount).filter((row, index) => !touched.has(index)).length;
+
+        return {
+            rows: rows.sort((a, b) => a.date - b.date),
+            added,
+            updated,
+            unchanged: touched.size - added - updated,
+            untouched
+        };
+    }
+
+    /**
+     * Merge dated rows (growth months, audience days); overlapping periods
+     * take the imported row
+     * @param {Function} keyOf - period key of a row
+     */
+    function mergePeriods(stored, incoming, keyOf) {
+        const rows = new Map();
+        (stored || []).map(withDate).forEach(row => rows.set(keyOf(row.date), row));
+
+        let added = 0;
+        let updated = 0;
+        (incoming || []).map(withDate).forEach(row => {
+            const key = keyOf(row.date);
+            const existing = rows.get(key);
+            if (!existing) {
+                added++;
+                rows.set(key, row);
+                return;
+            }
+            const result = overlay(existing, row);
+            if (result.changed) updated++;
+            rows.set(key, result.row);
+        });
+
+        return {
+            rows: [...rows.values()].sort((a, b) => a.date - b.date),
+            added,
+            updated
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Merge an import into the stored stores
+     * @param {Object|null} stored - { posts, growth, audience } already saved
+     * @param {Object} incoming - { posts, growth, audience } from the parser
+     * @returns {Object} { data: { posts, growth, audience }, summary }
+     *   summary.posts = { added, updated, unchanged, untouched }; a store the
+     *   import lacks keeps its stored rows
+     */
+    function merge(stored, incoming) {
+        stored = stored || {};
+        const data = {};
+        const summary = {};
+
+        const posts = mergePosts(stored.posts, incoming.posts);
+        data.posts = (incoming.posts || stored.posts) ? posts.rows : null;
+        summary.posts = {
+            added: posts.added,
+            updated: posts.updated,
+            unchanged: posts.unchanged,
+            untouched: posts.untouched
+        };
+
+        [['growth', monthKey], ['audience', dayKey]].forEach(([store, keyOf]) => {
+            if (!incoming[store]) {
+                data[store] = stored[store] || null;
+                summary[store] = { added: 0, updated: 0 };
+                return;
+            }
+            const result = mergePeriods(stored[store], incoming[store], keyOf);
+            data[store] = result.rows;
+            summary[store] = { added: result.added, updated: result.updated };
+        });
+
+        return { data, summary };
+    }
+
+    /**
+     * One-line description of an import, e.g. "12 new posts, 4 updated, 0 removed"
+     * @param {Object} summary - from merge()
+     * @param {string} mode - 'merge' keeps untouched posts, 'replace' drops them
+     */
+    function describe(summary, mode) {
+        const p = summary.posts;
+        const removed = mode === 'replace' ? p.untouched : 0;
+        return `${p.added} new post${p.added === 1 ? '' : 's'}, ${p.updated} updated, ${removed} removed`;
+    }
+
+    return {
+        merge,
+        mergePosts,
+        describe,
+        postKey
+    };
+})();
+
+window.ImportMerge = ImportMerge;
@@ -1,15 +1,26 @@
 /* ════════════════════════════════════════════════════════════════════════════
    IMPORT MODAL — Newsletter Analytics Dashboard
-   Supports both XLSX (multi-tab) and CSV (legacy) file formats
+   Supports both XLSX (multi-tab) and CSV (Beehiiv or another platform's
+   export) file formats, with a column mapping wizard for layouts the parsers
+   don't recognise
    ════════════════════════════════════════════════════════════════════════════ */
 
 const ImportModal = (function () {
     'use strict';
 
     let overlay = null;
-    let currentFile = null;
+    let currentFiles = []; // several only for other platforms' CSVs
     let parsedData = null;
     let selectedFormat = 'xlsx'; // Default to XLSX
+    let importMode = 'merge'; // Stack onto stored history, or 'replace' it
+    let preview = null; // ImportMerge result against the stored data
+
+    // Read once per file so the column mapping can re-parse it
+    let source = null; // XLSX workbook or CSV text
+    let sheets = null; // [{ name, store, headers, samples }]
+    let mapping = null;
+    let profile = null; // ColumnMapper profile applied automatically
+    let platform = null; // PlatformImporters match for another platform's CSV
 
     function init() {
         overlay = document.getElementById('import-modal');
@@ -34,9 +45,12 @@ const ImportModal = (function () {
     }
 
     function reset() {
-        currentFile = null;
+        currentFiles = [];
         parsedData = null;
         selectedFormat = 'xlsx';
+        importMode = 'merge';
+        preview = null;
+        resetMapping();
 
         // Reset format selector
         const formatOptions = overlay.querySelectorAll('.import-format-option');
@@ -75,9 +89,11 @@ const ImportModal = (function () {
                 updateDropzoneUI();
 
                 // Reset file if format changed
-                if (currentFile) {
-                    currentFile = null;
+                if (currentFiles.length > 0) {
+                    currentFiles = [];
                     parsedData = null;
+                    preview = null;
+                    resetMapping();
                     updateDropzoneUI();
                     const results = overlay.querySelector('.import-results');
                     if (results) results.remove();
@@ -103,17 +119,16 @@ const ImportModal = (function () {
         } else {
             dropzone.innerHTML = `
                 <div class="dropzone__icon">📄</div>
-                <div class="dropzone__text">Drop your CSV file here</div>
-                <div class="dropzone__hint">or click to browse • Beehiiv export format</div>
-                <input type="file" class="dropzone__input" accept=".csv">
+                <div class="dropzone__text">Drop your CSV file(s) here</div>
+                <div class="dropzone__hint">or click to browse • Beehiiv, Substack, Mailchimp, Kit, Ghost or Buttondown export</div>
+                <input type="file" class="dropzone__input" accept=".csv" multiple>
             `;
         }
 
         // Re-attach event listener to new input
         const newInput = dropzone.querySelector('.dropzone__input');
         newInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) handleFile(file);
+            if (e.target.files.length > 0) handleFiles([...e.target.files]);
         });
     }
 
@@ -143,8 +158,7 @@ const ImportModal = (function () {
         dropzone.addEventListener('drop', (e) => {
             e.preventDefault();
             dropzone.classList.remove('is-dragover');
-            const file = e.dataTransfer.files[0];
-            if (file) handleFile(file);
+            if (e.dataTransfer.files.length > 0) handleFiles([...e.dataTransfer.files]);
         });
     }
 
@@ -160,20 +174,23 @@ const ImportModal = (function () {
         });
     }
 
-    async function handleFile(file) {
-        const ext = file.name.split('.').pop().toLowerCase();
+    async function handleFiles(files) {
+        // Only CSV exports from other platforms can be combined
+        if (selectedFormat === 'xlsx') files = files.slice(0, 1);
+
+        const extensions = files.map(file => file.name.split('.').pop().toLowerCase());
 
         // Validate file type
-        if (selectedFormat === 'xlsx' && ext !== 'xlsx') {
+        if (selectedFormat === 'xlsx' && extensions[0] !== 'xlsx') {
             showError('Please select an XLSX file, or switch to CSV format');
             return;
         }
-        if (selectedFormat === 'csv' && ext !== 'csv') {
+        if (selectedFormat === 'csv' && extensions.some(ext => ext !== 'csv')) {
             showError('Please select a CSV file, or switch to XLSX format');
             return;
         }
 
-        currentFile = file;
+        currentFiles = files;
         const dropzone = overlay.querySelector('.dropzone');
 
         dropzone.classList.add('has-file');
@@ -181,42 +198,145 @@ const ImportModal = (function () {
             <div class="dropzone__file-info">
                 <span class="dropzone__file-icon">${selectedFormat === 'xlsx' ? '📊' : '📄'}</span>
                 <div>
-                    <div class="dropzone__file-name">${file.name}</div>
-                    <div class="dropzone__file-size">${formatFileSize(file.size)}</div>
+                    <div class="dropzone__file-name">${files.map(file => file.name).join(', ')}</div>
+                    <div class="dropzone__file-size">${formatFileSize(files.reduce((sum, file) => sum + file.size, 0))}</div>
                 </div>
             </div>
         `;
 
+        resetMapping();
+
         try {
             if (selectedFormat === 'xlsx') {
-                // Use XLSX Parser
-                const result = await XLSXParser.parseFile(file);
-                parsedData = result;
-
-                // Show warnings if any
-                showWarnings(result.warnings);
-
-                // Show results
-                showXLSXResults(result);
+                source = await XLSXParser.readWorkbook(files[0]);
+                sheets = XLSXParser.inspectWorkbook(source);
             } else {
-                // Use legacy CSV Parser
-                const result = await CSVParser.readFile(file);
-                parsedData = {
-                    posts: result.rows,
-                    growth: null,
-                    audience: null,
-                    warnings: [],
-                    success: true,
-                    isCSV: true
-                };
-                showCSVResults(result);
+                const texts = await Promise.all(files.map(file => CSVParser.readText(file)));
+                source = texts[0];
+                const { headers, samples } = CSVParser.inspect(source);
+                sheets = [{ name: null, store: 'posts', headers, samples }];
+
+                // Other platforms' exports have a fixed layout, no mapping needed
+                platform = PlatformImporters.detect(headers);
+
+                if (texts.length > 1) {
+                    const sameExport = texts.every(text => {
+                        const match = PlatformImporters.detect(CSVParser.inspect(text).headers);
+                        return match && platform && match.platform.id === platform.platform.id && match.kind === platform.kind;
+                    });
+                    if (!sameExport) {
+                        throw new Error('Several files can only be imported together when they are the same kind of export from one platform (e.g. Mailchimp subscribed + unsubscribed)');
+                    }
+                    source = texts;
+                }
+
+                if (platform) {
+                    parseSource();
+                    return;
+                }
             }
+
+            // A saved profile for this layout is applied without asking
+            profile = ColumnMapper.findProfile(selectedFormat, sheets);
+            mapping = profile ? profile.mapping : ColumnMapper.emptyMapping();
+
+            parseSource();
+            showMapping();
         } catch (e) {
             console.error('Parse error:', e);
             showError(e.message);
         }
     }
 
+    /**
+     * Parse the current file with the current column mapping
+     */
+    function parseSource() {
+        if (selectedFormat === 'xlsx') {
+            // Use XLSX Parser
+            const result = XLSXParser.parseWorkbook(source, mapping);
+            parsedData = result;
+
+            // Show warnings if any
+            showWarnings(result.warnings);
+
+            // Show results
+            showXLSXResults(result);
+            showDiffPreview();
+        } else if (platform) {
+            const result = PlatformImporters.parse(source, platform);
+            showWarnings(result.warnings);
+            if (!result.success) {
+                parsedData = null;
+                showError(`Nothing to import from this ${platform.platform.name} export`);
+                return;
+            }
+
+            parsedData = result;
+            const kind = platform.kind === 'campaigns' ? 'campaign' : 'subscriber';
+            showXLSXResults(result, `✓ ${platform.platform.name} ${kind} export detected`);
+            showDiffPreview();
+        } else {
+            // Use legacy CSV Parser
+            const result = CSVParser.parse(source, mapping.columns.posts);
+            if (result.rows.length === 0) {
+                parsedData = null;
+                showError(result.errors.length > 0
+                    ? result.errors.join('<br>')
+                    : 'No rows with a readable date. Map a date column below.');
+                return;
+            }
+
+            parsedData = {
+                posts: result.rows,
+                growth: null,
+                audience: null,
+                warnings: [],
+                success: true,
+                isCSV: true
+            };
+            showCSVResults(result);
+            showDiffPreview();
+        }
+    }
+
+    /**
+     * Show the column mapping wizard when the file has sheets or columns the
+     * parsers don't recognise. It opens by itself when nothing was imported.
+     */
+    function showMapping() {
+        let container = overlay.querySelector('.import-mapping-container');
+        if (!container) {
+            overlay.querySelector('.dropzone').insertAdjacentHTML('afterend', '<div class="import-mapping-container"></div>');
+            container = overlay.querySelector('.import-mapping-container');
+        }
+
+        const nothingParsed = !parsedData ||
+            !(parsedData.posts?.length || parsedData.growth?.length || parsedData.audience?.length);
+
+        ColumnMapper.renderWizard(container, {
+            format: selectedFormat,
+            sheets,
+            mapping,
+            profile,
+            open: nothingParsed
+        }, (next) => {
+            mapping = next;
+            parseSource();
+        });
+    }
+
+    function resetMapping() {
+        source = null;
+        sheets = null;
+        mapping = null;
+        profile = null;
+        platform = null;
+
+        const container = overlay.querySelector('.import-mapping-container');
+        if (container) container.remove();
+    }
+
     function showWarnings(warnings) {
         const warningsEl = overlay.querySelector('#import-warnings');
         if (!warningsEl) return;
@@ -229,7 +349,7 @@ const ImportModal = (function () {
         }
     }
 
-    function showXLSXResults(result) {
+    function showXLSXResults(result, title = '✓ XLSX parsed successfully') {
         const existingResults = overlay.querySelector('.import-results');
         if (existingResults) existingResults.remove();
 
@@ -239,7 +359,7 @@ const ImportModal = (function () {
 
         const html = `
             <div class="import-results">
-                <div class="import-results__title">✓ XLSX parsed successfully</div>
+                <div class="import-results__title">${title}</div>
                 <div class="import-results__stats">
                     <div class="import-results__stat">
                         <span class="import-results__stat-label">Campaign posts:</span>
@@ -291,6 +411,76 @@ const ImportModal = (function () {
         body.insertAdjacentHTML('beforeend', html);
     }
 
+    /**
+     * Data already stored for the active newsletter in the same shape as the
+     * parsed import, or null when there is nothing to merge into
+     */
+    function getStoredData() {
+        const newsletter = NewsletterManager.getActive();
+        if (!newsletter) return null;
+
+        const stored = NewsletterManager.getXLSXData(newsletter.id);
+        if (stored && (stored.posts?.length || stored.growth?.length || stored.audience?.length)) return stored;
+
+        // CSV imports made before they were stored like the others
+        const rows = parsedData.isCSV ? NewsletterManager.getData(newsletter.id)?.rawRows : null;
+        return rows && rows.length > 0 ? { posts: rows } : null;
+    }
+
+    /**
+     * Show what the import changes and let the user pick merge or replace
+     */
+    function showDiffPreview() {
+        const stored = getStoredData();
+        preview = stored ? ImportMerge.merge(stored, parsedData) : null;
+
+        const results = overlay.querySelector('.import-results');
+        if (!preview || !results) return;
+
+        results.insertAdjacentHTML('beforeend', `
+            <div class="import-diff">
+                <div class="import-diff__header">
+                    <span class="import-diff__title">This newsletter already has data</span>
+                    <div class="pill-toggle pill-toggle--sm" id="import-mode-toggle">
+                        <button class="pill-toggle__item ${importMode === 'merge' ? 'is-active' : ''}" data-range="merge">Merge</button>
+                        <button class="pill-toggle__item ${importMode === 'replace' ? 'is-active' : ''}" data-range="replace">Replace</button>
+                    </div>
+                </div>
+                <div class="import-diff__summary"></div>
+                <div class="import-diff__detail"></div>
+            </div>
+        `);
+
+        const toggle = results.querySelector('#import-mode-toggle');
+        Components.PillToggle.init(toggle, (value) => {
+            importMode = value;
+            renderDiffSummary();
+        });
+        renderDiffSummary();
+    }
+
+    function renderDiffSummary() {
+        const el = overlay.querySelector('.import-diff');
+        if (!el || !preview) return;
+
+        const { summary } = preview;
+        el.querySelector('.import-diff__summary').textContent = ImportMerge.describe(summary, importMode);
+
+        const detail = [];
+        if (importMode === 'merge') {
+            if (summary.posts.untouched > 0) detail.push(`${summary.posts.untouched} stored posts kept as they are`);
+            if (summary.growth.added || summary.growth.updated) {
+                detail.push(`Growth: ${summary.growth.added} new months, ${summary.growth.updated} updated`);
+            }
+            if (summary.audience.added || summary.audience.updated) {
+                detail.push(`Audience: ${summary.audience.added} new days, ${summary.audience.updated} updated`);
+            }
+        } else {
+            detail.push('Stored history is overwritten by this file');
+        }
+        el.querySelector('.import-diff__detail').innerHTML = detail.join('<br>');
+    }
+
     function showError(message) {
         const existingResults = overlay.querySelector('.import-results');
         if (existingResults) existingResults.remove();
@@ -306,7 +496,7 @@ const ImportModal = (function () {
         body.insertAdjacentHTML('beforeend', html);
     }
 
-    function handleImport() {
+    async function handleImport() {
         if (!parsedData) {
             showError('No data to import. Please select a file first.');
             return;
@@ -315,33 +505,42 @@ const ImportModal = (function () {
         try {
             const newsletter = NewsletterManager.getActive();
 
-            if (parsedData.isCSV) {
-                // Legacy CSV import
-                const dashboardData = CSVParser.transformToDashboardData(parsedData.posts);
-                NewsletterManager.setData(newsletter.id, dashboardData);
-            } else {
-                // XLSX import: Store 3 separate data sets
-                NewsletterManager.setXLSXData(newsletter.id, {
-                    posts: parsedData.posts,
-                    growth: parsedData.growth,
-                    audience: parsedData.audience,
-                    lastUpdated: new Date().toISOString()
-                });
-            }
+            // Merge mode stacks the file onto the stored history
+            const data = preview && importMode === 'merge' ? preview.data : parsedData;
+
+            // Every import goes to the 3 stores, which are saved on the server
+            // (with a snapshot of the previous version) — CSV files only fill posts
+            const saved = NewsletterManager.setXLSXData(newsletter.id, {
+                posts: data.posts,
+                growth: data.growth,
+                audience: data.audience,
+                lastUpdated: new Date().toISOString(),
+                source: importSource(parsedData),
+                fileName: currentFiles.length > 0 ? currentFiles.map(file => file.name).join(', ') : null
+            });
 
             // Refresh dashboard with new data
             if (window.Dashboard && window.Dashboard.refresh) {
                 window.Dashboard.refresh();
             }
 
+            await saved;
             close();
             console.log('✅ Data imported successfully');
         } catch (e) {
             console.error('Import failed:', e);
-            showError(`Import failed: ${e.message}`);
+            // The dashboard shows the file, but only this browser has it
+            showError(e.code === 'SAVE_FAILED'
+                ? `Imported into this browser only — ${e.message}. Import again once the server can store data, or it is lost on reload.`
+                : `Import failed: ${e.message}`);
         }
     }
 
+    function importSource(parsed) {
+        if (parsed.platform) return `${parsed.platform}-import`;
+        return parsed.isCSV ? 'csv-import' : 'xlsx-import';
+    }
+
     function getDateRange(rows) {
         if (!rows || rows.length === 0) return 'N/A';
         const dates = rows.filter(r => r.date).map(r => r.date);
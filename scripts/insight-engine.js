@@ -274,6 +274,12 @@ const InsightEngine = (function () {
             }
         }
 
+        // Subject line pattern from the whole archive (see subject-analysis.js)
+        const subjectInsight = window.SubjectAnalysis?.getInsight();
+        if (subjectInsight) {
+            insights.push(subjectInsight);
+        }
+
         // Sort by priority and return top insight
         insights.sort((a, b) => (b.priority || 0) - (a.priority || 0));
 
@@ -224,9 +224,12 @@ const KPIDetailModal = (function () {
         currentKPI = kpiName;
         const config = KPI_CONFIG[kpiName];
 
-        // Get current data (XLSX first, then CSV fallback)
+        // Get current data (XLSX first, then CSV fallback), scoped to the tag filter
         const newsletter = window.NewsletterManager?.getActive();
-        const xlsxData = newsletter ? window.NewsletterManager.getXLSXData(newsletter.id) : null;
+        let xlsxData = newsletter ? window.NewsletterManager.getXLSXData(newsletter.id) : null;
+        if (xlsxData && window.TagAnalytics) {
+            xlsxData = TagAnalytics.scope(xlsxData, window.AppState?.tags);
+        }
         currentData = xlsxData ? { xlsxData, isXLSX: true } : (newsletter ? window.NewsletterManager.getData(newsletter.id) : null);
 
         // Update modal content
@@ -315,8 +318,15 @@ const KPIDetailModal = (function () {
 
         // Update delta
         const deltaEl = overlay.querySelector('.kpi-detail-modal__delta');
-        deltaEl.className = 'kpi-detail-modal__delta delta--positive';
-        deltaEl.textContent = 'Based on delivered emails';
+        const comparison = window.AppState?.comparison;
+        if (currentData?.isXLSX && comparison?.deltas?.activeSubscribers) {
+            const delta = getComparisonDelta(comparison.deltas.activeSubscribers, comparison.label);
+            deltaEl.className = 'kpi-detail-modal__delta delta--' + delta.direction;
+            deltaEl.textContent = delta.text;
+        } else {
+            deltaEl.className = 'kpi-detail-modal__delta delta--positive';
+            deltaEl.textContent = 'Based on delivered emails';
+        }
 
         // Update tips
         const tipsList = overlay.querySelector('.kpi-detail-modal__tips');
@@ -390,6 +400,11 @@ const KPIDetailModal = (function () {
             const startDate = new Date();
             if (range === '30d') startDate.setDate(endDate.getDate() - 30);
             else if (range === '90d') startDate.setDate(endDate.getDate() - 90);
+            else if (range === 'custom' && appState.customRange) {
+                const customEnd = new Date(appState.customRange.endDate);
+                customEnd.setHours(23, 59, 59, 999);
+                return XLSXParser.filterByDateRange(allPosts, new Date(appState.customRange.startDate), customEnd);
+            }
             else return allPosts;
             return XLSXParser.filterByDateRange(allPosts, startDate, endDate);
         }
@@ -433,7 +448,25 @@ const KPIDetailModal = (function () {
         return format === 'percent' ? value.toFixed(1) + '%' : Math.round(value).toLocaleString();
     }
 
+    /**
+     * Delta text against the dashboard's comparison period, e.g.
+     * "+4.2% (+1.1 pts) vs. previous period"
+     */
+    function getComparisonDelta(delta, label) {
+        if (!delta.absoluteText) {
+            return { direction: 'neutral', text: `No data for ${label}` };
+        }
+        const relative = (delta.value > 0 ? '+' : delta.value < 0 ? '-' : '') + Math.abs(delta.value).toFixed(1) + '%';
+        return { direction: delta.direction, text: `${relative} (${delta.absoluteText}) vs. ${label}` };
+    }
+
     function getDelta(dataKey) {
+        // Comparison period selected on the dashboard (previous period / last year)
+        const comparison = window.AppState?.comparison;
+        if (currentData?.isXLSX && comparison?.deltas?.[dataKey]) {
+            return getComparisonDelta(comparison.deltas[dataKey], comparison.label);
+        }
+
         // XLSX data: compute trend from date-filtered posts
         if (currentData?.isXLSX && currentData.xlsxData?.posts) {
             const posts = getFilteredModalPosts();
@@ -677,6 +710,10 @@ const KPIDetailModal = (function () {
         const tickColor = isLight ? 'rgba(28, 30, 27, 0.6)' : 'rgba(255,255,255,0.6)';
         const gridColor = isLight ? 'rgba(28, 30, 27, 0.1)' : 'rgba(255,255,255,0.1)';
 
+        // Newsletter goal for this metric, if one is set (see goals.js)
+        const goalMetric = currentKPI === 'Active Subscribers' ? 'activeSubscribers' : config?.dataKey;
+        const goalDataset = window.Goals && goalMetric ? Goals.lineDataset(goalMetric, chartData.labels.length) : null;
+
         detailChart = new Chart(ctx, {
             type: 'line',
             data: {
@@ -694,7 +731,7 @@ const KPIDetailModal = (function () {
                     pointBorderWidth: 2,
                     pointRadius: 4,
                     pointHoverRadius: 6
-                }]
+                }, ...(goalDataset ? [goalDataset] : [])]
             },
             options: {
                 responsive: true,
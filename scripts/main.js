@@ -13,7 +13,9 @@
     const AppState = {
         newsletter: 'roko-basilisk',
         dateRange: '90d',
-        chartPeriod: 'monthly'
+        chartPeriod: 'monthly',
+        compareMode: 'off',  // 'off' | 'previous' | 'year'
+        tags: []             // content tag filter (empty = all posts)
     };
     window.AppState = AppState;
 
@@ -40,6 +42,9 @@
         ImportModal.init();
         AddNewsletterModal.init();
         SettingsModal.init();
+        if (window.AlertsModal) {
+            AlertsModal.init();
+        }
         DatePicker.init();
 
         // Initialize charts
@@ -54,6 +59,11 @@
         // Initialize posts table
         PostsTable.init();
 
+        // Initialize post detail drawer (opened from posts table rows)
+        if (window.PostDetailDrawer) {
+            PostDetailDrawer.init();
+        }
+
         // Initialize insight bar
         if (window.InsightBar) {
             InsightBar.init();
@@ -64,6 +74,67 @@
             PerformanceHighlights.init();
         }
 
+        // Initialize cross-newsletter portfolio view
+        if (window.PortfolioView) {
+            PortfolioView.init();
+        }
+
+        // Initialize subscriber forecast panel and horizon toggle
+        if (window.Forecast) {
+            Forecast.init();
+        }
+
+        // Initialize per-newsletter goals modal
+        if (window.Goals) {
+            Goals.init();
+        }
+
+        // Initialize chart annotations (notes modal and note bars)
+        if (window.Annotations) {
+            Annotations.init();
+        }
+
+        // Initialize subscriber cohort retention (loads when the Growth tab opens)
+        if (window.Cohorts) {
+            Cohorts.init();
+        }
+
+        // Initialize acquisition source breakdown (same lazy loading as cohorts)
+        if (window.Acquisition) {
+            Acquisition.init();
+        }
+
+        // Initialize engagement tiers (loads when the Engagement tab opens)
+        if (window.EngagementTiers) {
+            EngagementTiers.init();
+        }
+
+        // Initialize web vs email section
+        if (window.WebStats) {
+            WebStats.init();
+        }
+
+        // Initialize deliverability health panel
+        if (window.Deliverability) {
+            Deliverability.init();
+        }
+
+        // Initialize send-time heatmap
+        if (window.SendTime) {
+            SendTime.init();
+        }
+
+        // Initialize subject line report
+        if (window.SubjectAnalysis) {
+            SubjectAnalysis.init();
+        }
+
+        // Initialize content tag panel and filter
+        if (window.TagAnalytics) {
+            TagAnalytics.init();
+            TagAnalytics.setSelected(AppState.tags);
+        }
+
         // Initialize keyboard shortcuts
         KeyboardShortcuts.init();
 
@@ -73,8 +144,11 @@
         // Update URL with current state
         updateUrl();
 
-        // Don't auto-restore data on page load - show zeros until explicit import
-        // loadImportedData();
+        // Restore persisted data from the server store (shows zeros until it arrives)
+        loadStoredData();
+
+        // Scheduled sync status in the header (polls while the page is open)
+        updateSyncStatus();
 
         console.log('✅ Dashboard ready (Press ? for keyboard shortcuts)');
     }
@@ -96,12 +170,22 @@
             AppState.newsletter = params.get('newsletter');
             NewsletterManager.setActive(AppState.newsletter);
         }
+        if (params.has('compare')) {
+            AppState.compareMode = params.get('compare');
+        }
+        if (params.has('tags')) {
+            AppState.tags = params.get('tags').split(',').map(t => t.trim()).filter(Boolean);
+        }
 
         // Update UI to match state
         const dateToggle = document.getElementById('date-range-toggle');
         if (dateToggle) {
             Components.PillToggle.setValue(dateToggle, AppState.dateRange);
         }
+        const compareToggle = document.getElementById('compare-toggle');
+        if (compareToggle) {
+            Components.PillToggle.setValue(compareToggle, AppState.compareMode);
+        }
     }
 
     function updateUrl() {
@@ -109,6 +193,12 @@
         params.set('range', AppState.dateRange);
         params.set('period', AppState.chartPeriod);
         params.set('newsletter', AppState.newsletter);
+        if (AppState.compareMode !== 'off') {
+            params.set('compare', AppState.compareMode);
+        }
+        if (AppState.tags.length > 0) {
+            params.set('tags', AppState.tags.join(','));
+        }
 
         const newUrl = `${window.location.pathname}?${params.toString()}`;
         window.history.replaceState({}, '', newUrl);
@@ -160,6 +250,35 @@
             });
         }
 
+        // Comparison mode toggle (off / previous period / last year)
+        const compareToggle = document.getElementById('compare-toggle');
+        if (compareToggle) {
+            compareToggle.addEventListener('toggle:change', (e) => {
+                AppState.compareMode = e.detail.value;
+                updateUrl();
+                refreshDashboard();
+            });
+        }
+
+        // Content tag filter (header dropdown and tags table)
+        const tagFilter = document.getElementById('tag-filter');
+        if (tagFilter) {
+            tagFilter.addEventListener('tagfilter:change', (e) => {
+                AppState.tags = e.detail.tags;
+                updateUrl();
+                refreshDashboard();
+            });
+        }
+
+        // Goals saved (goals modal or forecast panel) → redraw progress bars and chart goal lines
+        document.addEventListener('goals:change', refreshDashboard);
+
+        // Note added or deleted → redraw chart markers and note bars
+        const annotationsModal = document.getElementById('annotations-modal');
+        if (annotationsModal) {
+            annotationsModal.addEventListener('annotations:change', refreshDashboard);
+        }
+
         // Date range edit button
         const dateEditBtn = document.getElementById('date-range-edit');
         if (dateEditBtn) {
@@ -176,13 +295,15 @@
             });
         }
 
-        // Chart period toggles (Weekly/Monthly) — keep all in sync
-        document.querySelectorAll('.chart-container .pill-toggle').forEach(toggle => {
+        // Chart period toggles (Weekly/Monthly) — keep all in sync.
+        // Metric toggles (tag trend, send time) are handled by their own modules.
+        const periodToggles = '.chart-container .pill-toggle:not(.pill-toggle--metric)';
+        document.querySelectorAll(periodToggles).forEach(toggle => {
             toggle.addEventListener('toggle:change', (e) => {
                 AppState.chartPeriod = e.detail.value;
 
                 // Visually sync ALL chart period toggles to the same value
-                document.querySelectorAll('.chart-container .pill-toggle').forEach(otherToggle => {
+                document.querySelectorAll(periodToggles).forEach(otherToggle => {
                     otherToggle.querySelectorAll('.pill-toggle__item').forEach(btn => {
                         const btnValue = btn.dataset.period || btn.dataset.range;
                         if (btnValue === e.detail.value) {
@@ -235,11 +356,17 @@
                 // Re-render charts for the newly visible tab (Chart.js needs visible canvas)
                 if (tabName === 'engagement') {
                     Charts.renderEngagementCharts();
+                    if (window.TagAnalytics) TagAnalytics.renderTrend();
+                    if (window.EngagementTiers) EngagementTiers.update(NewsletterManager.getActive()?.id || null);
                 } else if (tabName === 'growth') {
                     Charts.renderGrowthChart();
                     if (Charts.renderAudienceChart) Charts.renderAudienceChart();
+                    if (window.Cohorts) Cohorts.update(NewsletterManager.getActive()?.id || null);
+                    if (window.Acquisition) Acquisition.update(NewsletterManager.getActive()?.id || null);
                 } else if (tabName === 'overview') {
                     Charts.renderPerformanceChart();
+                } else if (tabName === 'portfolio' && window.PortfolioView) {
+                    PortfolioView.render();
                 }
             });
         }
@@ -294,7 +421,12 @@
     // BEEHIIV API SYNC
     // ─────────────────────────────────────────────────────────────────────────
 
-    async function handleBeehiivSync() {
+    /**
+     * Sync the active newsletter from Beehiiv.
+     * Shift+click forces a full re-download instead of the incremental sync.
+     */
+    async function handleBeehiivSync(event) {
+        const fullSync = !!(event && event.shiftKey);
         const syncBtn = document.getElementById('beehiiv-sync-btn');
         const syncIcon = document.getElementById('beehiiv-sync-icon');
         const syncLabel = document.getElementById('beehiiv-sync-label');
@@ -311,33 +443,43 @@
         syncBtn.disabled = true;
         syncBtn.classList.add('is-syncing');
         if (syncIcon) syncIcon.textContent = '⏳';
-        if (syncLabel) syncLabel.textContent = 'Syncing…';
+        if (syncLabel) syncLabel.textContent = fullSync ? 'Full sync…' : 'Syncing…';
 
         try {
-            console.log(`🔄 Syncing "${newsletter.name}" from Beehiiv API…`);
-
-            const result = await BeehiivAPI.sync(newsletter.id);
+            console.log(`🔄 Syncing "${newsletter.name}" from Beehiiv API (${fullSync ? 'full' : 'incremental'})…`);
+
+            const result = await BeehiivAPI.sync(newsletter.id, {
+                full: fullSync,
+                onStatus: ({ code, retryIn }) => {
+                    if (!syncLabel) return;
+                    if (!code) {
+                        syncLabel.textContent = 'Syncing…';
+                    } else {
+                        const reason = code === 'RATE_LIMITED' ? 'Rate limited' : 'Beehiiv busy';
+                        syncLabel.textContent = `${reason}, retrying in ${retryIn}s`;
+                    }
+                }
+            });
 
             // Log any warnings
             if (result.warnings && result.warnings.length > 0) {
                 console.warn('Beehiiv sync warnings:', result.warnings);
             }
 
-            // Store using the same path as XLSX import
-            NewsletterManager.setXLSXData(newsletter.id, {
-                posts: result.posts,
-                growth: result.growth,
-                audience: result.audience,
-                lastUpdated: result.lastUpdated
-            });
-
-            // Refresh dashboard
-            refreshDashboard();
+            await storeSyncResult(newsletter, result);
 
             // Show success
             if (syncIcon) syncIcon.textContent = '✅';
-            if (syncLabel) syncLabel.textContent = `${result.posts.length} posts`;
+            const delta = result.delta;
+            if (syncLabel) {
+                syncLabel.textContent = delta && delta.mode === 'incremental'
+                    ? `+${delta.newPosts} new`
+                    : `${result.posts.length} posts`;
+            }
             console.log(`✅ Synced ${result.posts.length} posts, ${result.audience[0]?.activeSubscribers?.toLocaleString() || 0} subscribers`);
+            if (delta) {
+                console.log(`   ${delta.mode} sync: ${delta.newPosts} new, ${delta.statsRefreshed} stats refreshed, ${delta.pagesFetched} page(s)`);
+            }
 
             // Reset button after 3 seconds
             setTimeout(() => {
@@ -347,12 +489,21 @@
                 syncBtn.classList.remove('is-syncing');
             }, 3000);
 
+            // Older posts still on publication averages → fetch their real stats
+            if (result.posts.some(p => p.isEstimated)) {
+                startStatsBackfill(newsletter);
+            }
+
         } catch (error) {
             console.error('Beehiiv sync failed:', error);
 
             // Show error state
             if (syncIcon) syncIcon.textContent = '❌';
-            if (syncLabel) syncLabel.textContent = 'Failed';
+            if (syncLabel) {
+                syncLabel.textContent = error.code === 'RATE_LIMITED' ? 'Rate limited'
+                    : error.code === 'SAVE_FAILED' ? 'Not saved'
+                        : 'Failed';
+            }
 
             // Reset after 3 seconds
             setTimeout(() => {
@@ -364,6 +515,195 @@
         }
     }
 
+    /**
+     * Store a sync result using the same path as XLSX import, then refresh.
+     * Resolves once the server has it; rejects (code 'SAVE_FAILED') otherwise.
+     */
+    async function storeSyncResult(newsletter, result) {
+        const saved = NewsletterManager.setXLSXData(newsletter.id, {
+            posts: result.posts,
+            growth: result.growth,
+            audience: result.audience,
+            lastUpdated: result.lastUpdated,
+            source: result.source
+        });
+
+        if (NewsletterManager.getActive()?.id === newsletter.id) {
+            refreshDashboard();
+        }
+        await saved;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // STATS BACKFILL (real per-post stats for the full archive)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const BACKFILL_POLL_MS = 3000;
+    let backfillTimer = null;
+
+    /**
+     * Kick off the server backfill and poll it, showing progress in the header.
+     * When it finishes, a quick incremental sync pulls the cached stats in.
+     */
+    async function startStatsBackfill(newsletter) {
+        const statusEl = document.getElementById('backfill-status');
+
+        try {
+            const { remaining } = await BeehiivAPI.startBackfill(newsletter.id);
+            if (!remaining) return;
+            console.log(`📦 Backfilling stats for ${remaining} ${newsletter.name} posts`);
+        } catch (error) {
+            console.warn('Stats backfill could not start:', error.message);
+            return;
+        }
+
+        clearTimeout(backfillTimer);
+        let lastRemaining = Infinity;
+
+        const poll = async () => {
+            let status;
+            try {
+                status = await BeehiivAPI.getBackfillStatus(newsletter.id);
+            } catch (error) {
+                console.warn('Backfill status check failed:', error.message);
+                backfillTimer = setTimeout(poll, BACKFILL_POLL_MS * 2);
+                return;
+            }
+
+            const job = status.job;
+            if (job && job.state === 'running') {
+                if (statusEl) {
+                    statusEl.textContent = `📦 Backfilling stats ${job.completed}/${job.total}`;
+                    statusEl.style.display = 'inline';
+                }
+                backfillTimer = setTimeout(poll, BACKFILL_POLL_MS);
+                return;
+            }
+
+            // Serverless deployments backfill in slices — request the next one
+            // as long as the previous slice made progress
+            if (status.remaining > 0 && status.remaining < lastRemaining && (!job || job.state === 'paused')) {
+                lastRemaining = status.remaining;
+                if (statusEl) {
+                    statusEl.textContent = `📦 Backfilling stats, ${status.remaining} left`;
+                    statusEl.style.display = 'inline';
+                }
+                try {
+                    await BeehiivAPI.startBackfill(newsletter.id);
+                } catch (error) {
+                    console.warn('Stats backfill stopped:', error.message);
+                    if (statusEl) statusEl.style.display = 'none';
+                    return;
+                }
+                backfillTimer = setTimeout(poll, 0);
+                return;
+            }
+
+            if (statusEl) statusEl.style.display = 'none';
+            if (job && job.state === 'failed') {
+                console.warn(`Stats backfill stopped early: ${job.error}`);
+            } else if (job) {
+                console.log(`✅ Backfilled real stats for ${job.filled}/${job.total} posts`);
+            }
+
+            // Pull the newly cached stats into the dashboard
+            try {
+                await storeSyncResult(newsletter, await BeehiivAPI.sync(newsletter.id));
+            } catch (error) {
+                console.warn('Refresh after backfill failed:', error.message);
+            }
+        };
+
+        poll();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SCHEDULED SYNC STATUS (server-side auto-sync, local server only)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const SYNC_STATUS_POLL_MS = 60 * 1000;
+    let syncStatusTimer = null;
+    let syncStatusNewsletter = null;
+
+    /**
+     * Show the active newsletter's auto-sync status next to "Updated …" and
+     * pull in data a scheduled run saved after this page loaded it
+     */
+    async function updateSyncStatus() {
+        clearTimeout(syncStatusTimer);
+        syncStatusTimer = setTimeout(updateSyncStatus, SYNC_STATUS_POLL_MS);
+
+        const statusEl = document.getElementById('sync-status');
+        const newsletter = NewsletterManager.getActive();
+        syncStatusNewsletter = newsletter ? newsletter.id : null;
+        if (!statusEl || !newsletter || !window.BeehiivAPI) return;
+
+        let result;
+        try {
+            result = await BeehiivAPI.fetchSyncStatus(newsletter.id);
+        } catch (error) {
+            console.warn('Sync status check failed:', error.message);
+            statusEl.style.display = 'none';
+            return;
+        }
+
+        if (NewsletterManager.getActive()?.id !== newsletter.id) return;
+
+        const status = result.status;
+        if (!result.enabled || !status) {
+            statusEl.style.display = 'none';
+            return;
+        }
+
+        statusEl.textContent = formatSyncStatus(status);
+        statusEl.title = status.lastError
+            ? `Last auto-sync failed: ${status.lastError.message}`
+            : `Auto-sync every ${formatInterval(status.intervalMinutes)}`;
+        statusEl.classList.toggle('sync-status--error', !!status.lastError);
+        statusEl.style.display = 'inline';
+
+        // A scheduled run saved newer data than what's on screen
+        const shownAt = newsletter.dataSource?.lastUpdated;
+        if (status.lastSuccessAt && (!shownAt || new Date(status.lastSuccessAt) > new Date(shownAt))) {
+            const data = await NewsletterManager.loadFromServer(newsletter.id);
+            if (data && NewsletterManager.getActive()?.id === newsletter.id) {
+                console.log(`⏰ Loaded auto-synced data for ${newsletter.name}`);
+                refreshDashboard();
+            }
+        }
+    }
+
+    function formatSyncStatus(status) {
+        if (status.running) return '⏰ Auto-syncing…';
+
+        const next = status.nextRunAt ? formatTimeUntil(new Date(status.nextRunAt)) : null;
+        if (status.lastError) {
+            return `⚠️ Auto-sync failed${next ? ` · retry ${next}` : ''}`;
+        }
+
+        const last = status.lastSuccessAt ? `last ${formatRelativeTime(new Date(status.lastSuccessAt))}` : 'not run yet';
+        return `⏰ Auto-sync ${last}${next ? ` · next ${next}` : ''}`;
+    }
+
+    /**
+     * Format a future time (e.g., "in 55 min", "in 3 hours")
+     */
+    function formatTimeUntil(date) {
+        const diffMins = Math.round((date - new Date()) / 60000);
+        if (diffMins < 1) return 'soon';
+        if (diffMins < 60) return `in ${diffMins} min`;
+
+        const diffHours = Math.round(diffMins / 60);
+        return `in ${diffHours} hour${diffHours > 1 ? 's' : ''}`;
+    }
+
+    function formatInterval(minutes) {
+        if (!minutes) return '—';
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.round(minutes / 60);
+        return hours === 1 ? 'hour' : `${hours} hours`;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // CLEAR CACHED DATA
     // ─────────────────────────────────────────────────────────────────────────
@@ -383,6 +723,7 @@
         delete AppState.xlsxData;
         delete AppState.baselines;
         delete AppState.customRange;
+        delete AppState.comparison;
 
         // Clear DataService caches
         if (window.DataService) {
@@ -510,6 +851,31 @@
     // DATA LOADING
     // ─────────────────────────────────────────────────────────────────────────
 
+    // Newsletters already looked up on the server this session
+    const serverChecked = new Set();
+
+    /**
+     * Load the active newsletter's persisted stores, goals and annotations
+     * from the server. The server copy wins over any stale localStorage cache.
+     */
+    function loadStoredData() {
+        const newsletter = NewsletterManager.getActive();
+        if (!newsletter) return;
+
+        serverChecked.add(newsletter.id);
+        NewsletterManager.loadFromServer(newsletter.id).then(data => {
+            if (data && NewsletterManager.getActive()?.id === newsletter.id) {
+                console.log(`💾 Loaded stored data for ${newsletter.name} (${data.posts?.length || 0} posts)`);
+                refreshDashboard();
+            }
+        });
+        NewsletterManager.loadSettingsFromServer(newsletter.id).then(changed => {
+            if (changed && NewsletterManager.getActive()?.id === newsletter.id) {
+                refreshDashboard();
+            }
+        });
+    }
+
     function loadImportedData() {
         const newsletter = NewsletterManager.getActive();
         if (!newsletter) return;
@@ -531,6 +897,17 @@
     }
 
     function updateDashboardWithData(data) {
+        // Tag panel compares every tag; the rest of the dashboard is scoped to the filter
+        if (data.rawRows && window.TagAnalytics) {
+            TagAnalytics.update(data.rawRows);
+
+            if (AppState.tags.length > 0) {
+                // Stored rows have ISO date strings; the CSV transform compares Dates
+                const rows = data.rawRows.map(row => ({ ...row, date: new Date(row.date) }));
+                data = CSVParser.transformToDashboardData(TagAnalytics.filterPosts(rows, AppState.tags));
+            }
+        }
+
         // Update KPI values in DOM
         if (data.current) {
             updateKPIDisplay(data.current, data.deltas);
@@ -547,6 +924,21 @@
             PostsTable.loadData(data.rawRows);
         }
 
+        if (data.rawRows && window.WebStats) {
+            WebStats.update(data.rawRows);
+        }
+
+        if (data.rawRows && window.Deliverability) {
+            Deliverability.update(data.rawRows);
+        }
+
+        // Subject line findings feed the insight bar, so analyze first
+        if (data.rawRows && window.SubjectAnalysis) {
+            // Compare across the whole archive, not just the range
+            const archive = NewsletterManager.getData(NewsletterManager.getActive()?.id)?.rawRows || data.rawRows;
+            SubjectAnalysis.update(window.TagAnalytics ? TagAnalytics.filterPosts(archive, AppState.tags) : archive);
+        }
+
         // Update insight bar with auto-generated insights
         if (data.rawRows && window.InsightEngine && window.InsightBar) {
             const baselines = InsightEngine.calculateAllBaselines(data.rawRows);
@@ -576,8 +968,14 @@
     function updateDashboardWithXLSXData(xlsxData) {
         console.log('📊 Updating dashboard with XLSX data (Mariana Protocol)');
 
+        // Posts store scoped to the tag filter; the tag panel itself gets every post
+        const scoped = window.TagAnalytics ? TagAnalytics.scope(xlsxData, AppState.tags) : xlsxData;
+        if (window.TagAnalytics) {
+            TagAnalytics.update(getFilteredPosts(xlsxData.posts));
+        }
+
         // Store XLSX data in AppState for other components
-        AppState.xlsxData = xlsxData;
+        AppState.xlsxData = scoped;
 
         // HERO METRIC: Use audience store (Mariana Protocol)
         let latestAudience = 0;
@@ -590,13 +988,21 @@
         }
 
         // KPI METRICS: Aggregate from posts store  
+        AppState.comparison = null;
         if (xlsxData.posts && xlsxData.posts.length > 0) {
             // Get filtered posts based on current date range
-            const filteredPosts = getFilteredPosts(xlsxData.posts);
+            const filteredPosts = getFilteredPosts(scoped.posts);
             const aggregated = XLSXParser.aggregatePosts(filteredPosts);
 
-            // Compute deltas by comparing first half vs second half of data
-            const xlsxDeltas = computeXLSXDeltas(filteredPosts, xlsxData.audience);
+            // Deltas vs the comparison period when one is selected,
+            // otherwise first half vs second half of the range
+            const compareRange = DataService.getComparisonRange(getActiveDateRange(), AppState.compareMode);
+            const xlsxDeltas = compareRange
+                ? computeComparisonDeltas(filteredPosts, scoped, compareRange)
+                : computeXLSXDeltas(filteredPosts, xlsxData.audience);
+            AppState.comparison = compareRange
+                ? { mode: AppState.compareMode, label: DataService.getComparisonLabel(AppState.compareMode), deltas: xlsxDeltas }
+                : null;
 
             // Update KPI cards with values AND deltas
             updateKPIDisplay({
@@ -608,6 +1014,7 @@
                 verifiedClicks: aggregated.avgVerifiedClicks,
                 totalUniqueClicks: aggregated.uniqueClicks,
                 totalVerifiedClicks: aggregated.verifiedClicks,
+                unsubscribeRate: aggregated.unsubscribeRate,
                 activeSubscribers: latestAudience
             }, xlsxDeltas);
 
@@ -616,6 +1023,23 @@
                 PostsTable.loadData(filteredPosts);
             }
 
+            if (window.SendTime) {
+                SendTime.update(filteredPosts);
+            }
+
+            if (window.WebStats) {
+                WebStats.update(filteredPosts);
+            }
+
+            if (window.Deliverability) {
+                Deliverability.update(filteredPosts);
+            }
+
+            // Subject lines are compared across the whole archive, not just the range
+            if (window.SubjectAnalysis) {
+                SubjectAnalysis.update(scoped.posts);
+            }
+
             // Update insight bar
             if (window.InsightEngine && window.InsightBar) {
                 const baselines = InsightEngine.calculateAllBaselines(filteredPosts);
@@ -629,22 +1053,20 @@
         }
 
         // Pass all stores to DataService for chart rendering (dates get converted to real Date objects here)
-        DataService.setXLSXData(xlsxData);
+        DataService.setXLSXData(scoped);
 
         // CHARTS: Set date range filter AFTER setXLSXData so dates are properly converted
-        const chartEnd = new Date();
-        const chartStart = new Date();
-        switch (AppState.dateRange) {
-            case '30d':
-                chartStart.setDate(chartEnd.getDate() - 30);
-                DataService.setDateRange(chartStart, chartEnd);
-                break;
-            case '90d':
-                chartStart.setDate(chartEnd.getDate() - 90);
-                DataService.setDateRange(chartStart, chartEnd);
-                break;
-            default:
-                DataService.clearDateRange();
+        const chartRange = getActiveDateRange();
+        if (chartRange) {
+            DataService.setDateRange(chartRange.startDate, chartRange.endDate);
+        } else {
+            DataService.clearDateRange();
+        }
+        DataService.setComparisonMode(AppState.compareMode);
+
+        // Refit the forecast before the audience chart draws it
+        if (window.Forecast) {
+            Forecast.update(DataService.getXLSXData());
         }
 
         // Update last updated indicator
@@ -656,29 +1078,23 @@
         Components.HeroMetric.init();
     }
 
+    /**
+     * Resolve AppState.dateRange to { startDate, endDate } (null = all time)
+     */
+    function getActiveDateRange() {
+        return DataService.resolveDateRange(AppState.dateRange, AppState.customRange);
+    }
+
     /**
      * Filter posts by the current date range state
      */
     function getFilteredPosts(posts) {
         if (!posts || posts.length === 0) return [];
 
-        let startDate, endDate;
-        endDate = new Date();
-        startDate = new Date();
-
-        switch (AppState.dateRange) {
-            case '30d':
-                startDate.setDate(endDate.getDate() - 30);
-                break;
-            case '90d':
-                startDate.setDate(endDate.getDate() - 90);
-                break;
-            default:
-                // Return all posts if no range specified
-                return posts;
-        }
+        const range = getActiveDateRange();
+        if (!range) return posts; // Return all posts if no range specified
 
-        return XLSXParser.filterByDateRange(posts, startDate, endDate);
+        return XLSXParser.filterByDateRange(posts, range.startDate, range.endDate);
     }
 
     /**
@@ -780,6 +1196,89 @@
         return deltas;
     }
 
+    /**
+     * Compute deltas against an explicit comparison period (previous period
+     * or same period last year). Each delta carries the relative change in
+     * `value` plus the absolute change and the comparison-period value.
+     */
+    function computeComparisonDeltas(posts, xlsxData, compareRange) {
+        const previousPosts = XLSXParser.filterByDateRange(xlsxData.posts, compareRange.startDate, compareRange.endDate);
+        const aggCurrent = XLSXParser.aggregatePosts(posts);
+        const aggPrevious = XLSXParser.aggregatePosts(previousPosts);
+
+        function makeDelta(curr, prev, unit) {
+            if (curr === null || curr === undefined || prev === null || prev === undefined) {
+                return { value: 0, direction: 'neutral', isAbsolute: false, absolute: null, previous: null, unit };
+            }
+            const diff = curr - prev;
+            return {
+                value: prev ? (diff / prev * 100) : 0,
+                direction: diff > 0 ? 'positive' : diff < 0 ? 'negative' : 'neutral',
+                isAbsolute: false,
+                absolute: diff,
+                previous: prev,
+                unit
+            };
+        }
+
+        const hasPrevious = aggPrevious.count > 0;
+        const metric = (key, unit) => makeDelta(aggCurrent[key], hasPrevious ? aggPrevious[key] : null, unit);
+
+        // Subscribers: last reading inside each period
+        const audience = (xlsxData.audience || []).slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+        const lastReadingBefore = (date) => {
+            const readings = audience.filter(a => new Date(a.date) <= date);
+            return readings.length > 0 ? readings[readings.length - 1].activeSubscribers : null;
+        };
+        const currentRange = getActiveDateRange();
+
+        const deltas = {
+            openRate: metric('openRate', 'pts'),
+            ctr: metric('ctr', 'pts'),
+            verifiedCtr: metric('verifiedCtr', 'pts'),
+            deliveryRate: metric('deliveryRate', 'pts'),
+            uniqueClicks: metric('avgUniqueClicks', 'perPost'),
+            verifiedClicks: metric('avgVerifiedClicks', 'perPost'),
+            activeSubscribers: makeDelta(
+                lastReadingBefore(currentRange.endDate),
+                lastReadingBefore(compareRange.endDate),
+                'subscribers'
+            )
+        };
+
+        // Pre-format the absolute change for the KPI cards and the detail modal
+        Object.values(deltas).forEach(d => { d.absoluteText = formatAbsoluteDelta(d); });
+        return deltas;
+    }
+
+    /**
+     * Format the absolute part of a comparison delta, e.g. "+1.2 pts"
+     */
+    function formatAbsoluteDelta(delta) {
+        if (!delta || delta.absolute === null || delta.absolute === undefined) return null;
+        const sign = delta.absolute > 0 ? '+' : delta.absolute < 0 ? '-' : '';
+        const abs = Math.abs(delta.absolute);
+        switch (delta.unit) {
+            case 'pts':
+                return `${sign}${abs.toFixed(1)} pts`;
+            case 'perPost':
+                return `${sign}${Math.round(abs).toLocaleString()}/post`;
+            default:
+                return `${sign}${Math.round(abs).toLocaleString()}`;
+        }
+    }
+
+    /**
+     * Comparison caption under a KPI value ("+1.2 pts vs previous period")
+     */
+    function getComparisonText(delta) {
+        const comparison = AppState.comparison;
+        if (!comparison) return 'vs. previous period';
+        return delta && delta.absoluteText
+            ? `${delta.absoluteText} vs. ${comparison.label}`
+            : `No data for ${comparison.label}`;
+    }
+
     function updateKPIDisplay(current, deltas) {
         // Update hero metric
         const heroValue = document.getElementById('hero-subscribers');
@@ -798,7 +1297,9 @@
                     updateDeltaPill(pill, heroDelta);
                 }
                 if (comparison) {
-                    if (heroDelta.direction === 'neutral' && heroDelta.value === 0) {
+                    if (AppState.comparison) {
+                        comparison.textContent = getComparisonText(heroDelta);
+                    } else if (heroDelta.direction === 'neutral' && heroDelta.value === 0) {
                         comparison.textContent = 'No change vs. previous period';
                     } else {
                         comparison.textContent = 'vs. previous period';
@@ -855,8 +1356,19 @@
                 if (pill && data.delta) {
                     updateDeltaPill(pill, data.delta);
                 }
+
+                // Absolute change vs the comparison period
+                const comparisonEl = card.querySelector('.kpi-card__comparison');
+                if (comparisonEl) {
+                    comparisonEl.textContent = getComparisonText(data.delta);
+                }
             }
         });
+
+        // Goal progress on the hero and KPI cards
+        if (window.Goals) {
+            Goals.update(current, AppState.xlsxData);
+        }
     }
 
     /**
@@ -902,7 +1414,28 @@
     function refreshDashboard() {
         console.log('🔄 Refreshing dashboard with filters:', AppState);
 
+        // Portfolio spans every newsletter, so it only needs the date range
+        if (window.PortfolioView) {
+            PortfolioView.render();
+        }
+
         const newsletter = NewsletterManager.getActive();
+
+        if (window.Annotations) {
+            Annotations.update(getActiveDateRange());
+        }
+
+        // Cohorts, sources and tiers come from Beehiiv subscriptions, not the imported stores
+        if (window.Cohorts) {
+            Cohorts.update(newsletter ? newsletter.id : null);
+        }
+        if (window.Acquisition) {
+            Acquisition.update(newsletter ? newsletter.id : null);
+        }
+        if (window.EngagementTiers) {
+            EngagementTiers.update(newsletter ? newsletter.id : null);
+        }
+
         if (!newsletter) {
             // Clear stale state from previous newsletter
             delete AppState.xlsxData;
@@ -910,12 +1443,19 @@
                 if (DataService.clearXLSXData) DataService.clearXLSXData();
                 if (DataService.clearDateRange) DataService.clearDateRange();
             }
+            if (window.Goals) Goals.update({}, null);
             Charts.update(AppState);
             Components.KPICards.init();
             Components.HeroMetric.init();
             return;
         }
 
+        // Newsletter switched → show its auto-sync status and alerts right away
+        if (syncStatusNewsletter !== newsletter.id) {
+            updateSyncStatus();
+            if (window.AlertsModal) AlertsModal.refreshBadge();
+        }
+
         // Check for XLSX data first (Mariana Protocol)
         const xlsxData = NewsletterManager.getXLSXData(newsletter.id);
         if (xlsxData) {
@@ -923,9 +1463,20 @@
             return;
         }
 
+        // Nothing cached locally — the server store may still have it
+        if (!serverChecked.has(newsletter.id)) {
+            loadStoredData();
+        }
+
         // No XLSX data for this newsletter — clear stale state from previous newsletter
         delete AppState.xlsxData;
         delete AppState.baselines;
+        delete AppState.comparison;
+        if (window.SubjectAnalysis) SubjectAnalysis.update([]);
+        if (window.SendTime) SendTime.update([]);
+        if (window.WebStats) WebStats.update([]);
+        if (window.Deliverability) Deliverability.update([]);
+        if (window.Forecast) Forecast.update(null);
         if (window.DataService) {
             if (DataService.clearXLSXData) DataService.clearXLSXData();
             if (DataService.clearDateRange) DataService.clearDateRange();
@@ -989,6 +1540,20 @@
         KPIDetailModal,
         ExportModal,
         PostsTable,
+        PostDetailDrawer: window.PostDetailDrawer,
+        PortfolioView: window.PortfolioView,
+        AlertsModal: window.AlertsModal,
+        TagAnalytics: window.TagAnalytics,
+        SubjectAnalysis: window.SubjectAnalysis,
+        SendTime: window.SendTime,
+        WebStats: window.WebStats,
+        Deliverability: window.Deliverability,
+        Forecast: window.Forecast,
+        Goals: window.Goals,
+        Annotations: window.Annotations,
+        Cohorts: window.Cohorts,
+        Acquisition: window.Acquisition,
+        EngagementTiers: window.EngagementTiers,
         KeyboardShortcuts
     };
 
@@ -224,11 +224,15 @@ const NewsletterManager = (function () {
     }
 
     /**
-     * Store XLSX data with 3 separate stores (Mariana Protocol)
+     * Store XLSX data with 3 separate stores (Mariana Protocol). The local
+     * copy is in place before this returns; the promise settles once the
+     * server has it.
      * @param {string} id - Newsletter ID
      * @param {Object} xlsxData - { posts, growth, audience, lastUpdated }
+     * @returns {Promise<boolean>} rejects (error.code 'SAVE_FAILED') when the
+     *   server didn't store it
      */
-    function setXLSXData(id, xlsxData) {
+    async function setXLSXData(id, xlsxData) {
         const newsletter = get(id);
         if (!newsletter) return false;
 
@@ -260,13 +264,16 @@ const NewsletterManager = (function () {
                 lastUpdated: xlsxData.lastUpdated
             }));
         } catch (e) {
-            console.warn('XLSX data too large for localStorage, keeping in memory only');
+            // The server copy (persistToServer below) is the source of truth,
+            // so a full localStorage only costs us the offline cache
+            console.warn('XLSX data too large for localStorage, relying on server store');
         }
 
         // Also keep in memory for immediate access
         newsletter.xlsxData = xlsxData;
 
         save();
+        await persistToServer(id, xlsxData);
         return true;
     }
 
@@ -301,41 +308,22 @@ const NewsletterManager = (function () {
 
             if (metaParsed.hasPosts) {
                 const posts = localStorage.getItem(`newsletter_posts_${id}`);
-                if (posts) {
-                    result.posts = JSON.parse(posts);
-                    // Rehydrate dates
-                    result.posts = result.posts.map(p => ({
-                        ...p,
-                        date: new Date(p.date)
-                    }));
-                }
+                if (posts) result.posts = JSON.parse(posts);
             }
 
             if (metaParsed.hasGrowth) {
                 const growth = localStorage.getItem(`newsletter_growth_${id}`);
-                if (growth) {
-                    result.growth = JSON.parse(growth);
-                    result.growth = result.growth.map(g => ({
-                        ...g,
-                        date: new Date(g.date)
-                    }));
-                }
+                if (growth) result.growth = JSON.parse(growth);
             }
 
             if (metaParsed.hasAudience) {
                 const audience = localStorage.getItem(`newsletter_audience_${id}`);
-                if (audience) {
-                    result.audience = JSON.parse(audience);
-                    result.audience = result.audience.map(a => ({
-                        ...a,
-                        date: new Date(a.date)
-                    }));
-                }
+                if (audience) result.audience = JSON.parse(audience);
             }
 
             // Cache in memory
-            newsletter.xlsxData = result;
-            return result;
+            newsletter.xlsxData = rehydrateDates(result);
+            return newsletter.xlsxData;
         } catch (e) {
             console.warn('Failed to load XLSX data:', e);
             return null;
@@ -359,6 +347,203 @@ const NewsletterManager = (function () {
         }
     }
 
+    /**
+     * Convert serialized date strings back into Date objects on every store
+     */
+    function rehydrateDates(xlsxData) {
+        ['posts', 'growth', 'audience'].forEach(key => {
+            if (Array.isArray(xlsxData[key])) {
+                xlsxData[key] = xlsxData[key].map(row => ({
+                    ...row,
+                    date: new Date(row.date)
+                }));
+            }
+        });
+        return xlsxData;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SERVER PERSISTENCE (/api/data/:newsletter)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Save the 3 stores to the server so history survives localStorage
+     * limits and follows the user across browsers
+     * @throws {Error} with code 'SAVE_FAILED' and the server's reason
+     */
+    async function persistToServer(id, xlsxData) {
+        let response;
+        try {
+            response = await fetch(`/api/data/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    posts: xlsxData.posts,
+                    growth: xlsxData.growth,
+                    audience: xlsxData.audience,
+                    lastUpdated: xlsxData.lastUpdated,
+                    source: xlsxData.source || null,
+                    fileName: xlsxData.fileName || null
+                })
+            });
+        } catch (e) {
+            throw saveError(id, e.message);
+        }
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw saveError(id, body.error || `HTTP ${response.status}`);
+        }
+    }
+
+    function saveError(id, reason) {
+        console.warn(`Failed to persist data for ${id} to server:`, reason);
+        const error = new Error(`Not saved on the server: ${reason}`);
+        error.code = 'SAVE_FAILED';
+        return error;
+    }
+
+    /**
+     * Load stored data from the server into memory (and the localStorage cache)
+     * @param {string} id - Newsletter ID
+     * @returns {Promise<Object|null>} - { posts, growth, audience, lastUpdated } or null
+     */
+    async function loadFromServer(id) {
+        const newsletter = get(id);
+        if (!newsletter) return null;
+
+        let stored;
+        try {
+            const response = await fetch(`/api/data/${encodeURIComponent(id)}`);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            stored = await response.json();
+        } catch (e) {
+            console.warn(`Failed to load server data for ${id}:`, e.message);
+            return null;
+        }
+
+        const xlsxData = rehydrateDates({
+            posts: stored.posts,
+            growth: stored.growth,
+            audience: stored.audience,
+            lastUpdated: stored.lastUpdated,
+            source: stored.source
+        });
+
+        newsletter.xlsxData = xlsxData;
+        newsletter.dataSource = {
+            type: 'xlsx',
+            lastUpdated: stored.savedAt || stored.lastUpdated
+        };
+
+        // Refresh the local cache; quota errors are fine, memory has it
+        try {
+            if (xlsxData.posts) localStorage.setItem(`newsletter_posts_${id}`, JSON.stringify(xlsxData.posts));
+            if (xlsxData.growth) localStorage.setItem(`newsletter_growth_${id}`, JSON.stringify(xlsxData.growth));
+            if (xlsxData.audience) localStorage.setItem(`newsletter_audience_${id}`, JSON.stringify(xlsxData.audience));
+            localStorage.setItem(`newsletter_meta_${id}`, JSON.stringify({
+                hasData: true,
+                hasPosts: !!xlsxData.posts,
+                hasGrowth: !!xlsxData.growth,
+                hasAudience: !!xlsxData.audience,
+                lastUpdated: xlsxData.lastUpdated
+            }));
+        } catch (e) { /* ignore */ }
+
+        return xlsxData;
+    }
+
+    /**
+     * Saved versions of the server store, newest first (the first one is
+     * the current data)
+     * @returns {Promise<Array>} [{ id, source, fileName, counts, savedAt, restoredFrom }]
+     */
+    async function fetchSnapshots(id) {
+        const response = await fetch(`/api/data/${encodeURIComponent(id)}/snapshots`);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        return body.versions || [];
+    }
+
+    /**
+     * Roll the server store back to a saved version and reload it
+     * @returns {Promise<Object|null>} the restored { posts, growth, audience }
+     */
+    async function restoreSnapshot(id, snapshotId) {
+        const response = await fetch(
+            `/api/data/${encodeURIComponent(id)}/snapshots/${encodeURIComponent(snapshotId)}/restore`,
+            { method: 'POST' }
+        );
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        return loadFromServer(id);
+    }
+
+    // Settings edited on the dashboard that have their own server document
+    // (/api/data/:newsletter/:name); the newsletter config keeps a copy so
+    // Goals and Annotations can read them synchronously
+    const SERVER_SETTINGS = ['goals', 'annotations'];
+
+    /**
+     * Store a setting on the server, then on the newsletter config
+     * @param {string} name - 'goals' | 'annotations'
+     * @returns {Promise<boolean>} false when the server didn't take it
+     */
+    async function saveSetting(id, name, value) {
+        try {
+            const response = await fetch(`/api/data/${encodeURIComponent(id)}/${name}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ [name]: value })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (e) {
+            console.warn(`Failed to save ${name} for ${id} to server:`, e.message);
+            return false;
+        }
+
+        update(id, { [name]: value });
+        return true;
+    }
+
+    /**
+     * Replace the config's settings with the server copies. Settings only
+     * this browser has (saved before they moved to the server) are uploaded.
+     * @returns {Promise<boolean>} whether any setting changed
+     */
+    async function loadSettingsFromServer(id) {
+        let changed = false;
+
+        for (const name of SERVER_SETTINGS) {
+            const local = get(id)?.[name];
+            try {
+                const response = await fetch(`/api/data/${encodeURIComponent(id)}/${name}`);
+                if (response.status === 404) {
+                    if (local !== undefined) await saveSetting(id, name, local);
+                    continue;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const stored = await response.json();
+                if (JSON.stringify(stored[name]) !== JSON.stringify(local)) {
+                    update(id, { [name]: stored[name] });
+                    changed = true;
+                }
+            } catch (e) {
+                console.warn(`Failed to load ${name} for ${id} from server:`, e.message);
+            }
+        }
+
+        return changed;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // THEME MANAGEMENT
     // ─────────────────────────────────────────────────────────────────────────
@@ -404,7 +589,8 @@ const NewsletterManager = (function () {
     // ─────────────────────────────────────────────────────────────────────────
 
     /**
-     * Clear XLSX data for a single newsletter (both memory and localStorage)
+     * Clear XLSX data for a single newsletter (memory and localStorage only;
+     * the server store is kept — see deleteServerData)
      */
     function clearXLSXData(id) {
         const newsletter = get(id);
@@ -423,6 +609,21 @@ const NewsletterManager = (function () {
         } catch (e) { /* ignore */ }
     }
 
+    /**
+     * Permanently delete a newsletter's stored data on the server. Only the
+     * delete-newsletter flow calls this, after its own confirmation.
+     * @returns {Promise<boolean>}
+     */
+    async function deleteServerData(id) {
+        try {
+            const res = await fetch(`/api/data/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            return res.ok;
+        } catch (e) {
+            console.warn(`Failed to delete server data for ${id}:`, e.message);
+            return false;
+        }
+    }
+
     /**
      * Clear XLSX data for ALL newsletters
      */
@@ -495,7 +696,13 @@ const NewsletterManager = (function () {
         getXLSXData,
         clearXLSXData,
         clearAllXLSXData,
+        deleteServerData,
         hasXLSXData,
+        loadFromServer,
+        fetchSnapshots,
+        restoreSnapshot,
+        saveSetting,
+        loadSettingsFromServer,
         applyTheme,
         getThemes,
         THEMES
@@ -0,0 +1,513 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   PLATFORM IMPORTERS — Newsletter Analytics Dashboard
+   Reads campaign and subscriber CSV exports from Substack, Mailchimp, Kit,
+   Ghost and Buttondown into the same posts/growth/audience stores the XLSX
+   parser produces, detecting which platform a file came from by its headers
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const PlatformImporters = (function () {
+    'use strict';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PLATFORM ADAPTERS
+    // ─────────────────────────────────────────────────────────────────────────
+    //
+    // Each platform describes its two export kinds:
+    //   campaigns   — one row per sent email, normalised into posts
+    //   subscribers — one row per subscriber, rolled up into growth and audience
+    // `signature` headers must all be present for a file to match; `columns`
+    // lists the header aliases per field (compared lowercased, with spaces and
+    // dashes as underscores). Click rates are per delivered email on all of
+    // these platforms, unlike Beehiiv's clicks per open.
+
+    const INACTIVE_STATUSES = [
+        'unsubscribed', 'inactive', 'cancelled', 'canceled', 'bounced', 'cleaned',
+        'complained', 'removed', 'undeliverable', 'spammy', 'unactivated'
+    ];
+
+    const PLATFORMS = [
+        {
+            id: 'substack',
+            name: 'Substack',
+            campaigns: {
+                signature: ['post_id', 'email_sent_at'],
+                columns: {
+                    postId: ['post_id'],
+                    date: ['email_sent_at', 'post_date'],
+                    title: ['title'],
+                    sent: ['recipients', 'sends', 'sent'],
+                    delivered: ['delivered', 'delivers'],
+                    totalOpens: ['opens'],
+                    uniqueOpens: ['unique_opens', 'opened'],
+                    openRate: ['open_rate'],
+                    uniqueClicks: ['unique_clicks', 'clicks'],
+                    clickRate: ['click_rate'],
+                    unsubscribed: ['unsubscribes'],
+                    tags: ['section']
+                }
+            },
+            subscribers: {
+                signature: ['email', 'subscription_created_at'],
+                columns: {
+                    email: ['email'],
+                    createdAt: ['subscription_created_at'],
+                    unsubscribedAt: ['unsubscribed_at'],
+                    disabled: ['email_disabled']
+                },
+                isActive: (get) => !isTrue(get('disabled'))
+            }
+        },
+        {
+            id: 'mailchimp',
+            name: 'Mailchimp',
+            campaigns: {
+                signature: ['send_date', 'successful_deliveries'],
+                columns: {
+                    postId: ['unique_id', 'campaign_id'],
+                    date: ['send_date'],
+                    title: ['subject', 'title', 'campaign_name'],
+                    sent: ['total_recipients', 'emails_sent'],
+                    delivered: ['successful_deliveries'],
+                    totalOpens: ['total_opens'],
+                    uniqueOpens: ['unique_opens'],
+                    openRate: ['open_rate'],
+                    uniqueClicks: ['unique_subscriber_clicks', 'unique_clicks'],
+                    clickRate: ['click_rate'],
+                    unsubscribed: ['unsubscribes'],
+                    spamReported: ['abuse_complaints']
+                }
+            },
+            // The audience export is one file per status; the unsubscribed
+            // file is the one with UNSUB_TIME
+            subscribers: {
+                signature: ['email_address', 'optin_time'],
+                columns: {
+                    email: ['email_address'],
+                    createdAt: ['confirm_time', 'optin_time'],
+                    unsubscribedAt: ['unsub_time'],
+                    status: ['status']
+                },
+                isActive: (get) => !get('unsubscribedAt') && !isInactiveStatus(get('status'))
+            }
+        },
+        {
+            id: 'kit',
+            name: 'Kit',
+            campaigns: {
+                signature: ['subject', 'recipients', 'open_rate'],
+                columns: {
+                    postId: ['broadcast_id', 'id'],
+                    date: ['sent_at', 'send_at', 'published_at', 'created_at'],
+                    title: ['subject'],
+                    sent: ['recipients'],
+                    delivered: ['delivered'],
+                    totalOpens: ['total_opens'],
+                    uniqueOpens: ['opens', 'unique_opens'],
+                    openRate: ['open_rate'],
+                    uniqueClicks: ['clicks', 'unique_clicks'],
+                    clickRate: ['click_rate'],
+                    unsubscribed: ['unsubscribes'],
+                    spamReported: ['spam_complaints']
+                }
+            },
+            subscribers: {
+                signature: ['email_address', 'state', 'created_at'],
+                columns: {
+                    email: ['email_address'],
+                    createdAt: ['created_at'],
+                    unsubscribedAt: ['canceled_at', 'cancelled_at', 'unsubscribed_at'],
+                    status: ['state', 'status']
+                },
+                isActive: (get) => !get('unsubscribedAt') && !isInactiveStatus(get('status'))
+            }
+        },
+        {
+            id: 'ghost',
+            name: 'Ghost',
+            campaigns: {
+                signature: ['title', 'published_at', 'email_recipients'],
+                columns: {
+                    postId: ['id', 'uuid'],
+                    date: ['email_sent_at', 'published_at'],
+                    title: ['email_subject', 'title'],
+                    sent: ['email_recipients', 'sends'],
+                    delivered: ['email_delivered', 'delivered'],
+                    uniqueOpens: ['email_opens', 'opens', 'email_opened'],
+                    openRate: ['email_open_rate', 'open_rate'],
+                    uniqueClicks: ['email_clicks', 'clicks'],
+                    clickRate: ['email_click_rate', 'click_rate'],
+                    unsubscribed: ['unsubscribes'],
+                    tags: ['tags']
+                }
+            },
+            subscribers: {
+                signature: ['email', 'subscribed_to_emails', 'created_at'],
+                columns: {
+                    email: ['email'],
+                    createdAt: ['created_at'],
+                    unsubscribedAt: ['deleted_at'],
+                    subscribed: ['subscribed_to_emails']
+                },
+                isActive: (get) => !get('unsubscribedAt') && isTrue(get('subscribed'))
+            }
+        },
+        {
+            id: 'buttondown',
+            name: 'Buttondown',
+            campaigns: {
+                signature: ['subject', 'publish_date'],
+                columns: {
+                    postId: ['id'],
+                    date: ['publish_date'],
+                    title: ['subject'],
+                    sent: ['recipients', 'sends'],
+                    delivered: ['deliveries', 'delivered'],
+                    totalOpens: ['total_opens'],
+                    uniqueOpens: ['opens', 'unique_opens'],
+                    openRate: ['open_rate'],
+                    uniqueClicks: ['clicks', 'unique_clicks'],
+                    clickRate: ['click_rate'],
+                    unsubscribed: ['unsubscriptions', 'unsubscribes'],
+                    spamReported: ['complaints'],
+                    tags: ['tags']
+                }
+            },
+            subscribers: {
+                signature: ['email', 'creation_date'],
+                columns: {
+                    email: ['email', 'email_address'],
+                    createdAt: ['creation_date'],
+                    unsubscribedAt: ['unsubscription_date', 'churn_date'],
+                    status: ['subscriber_type', 'type']
+                },
+                isActive: (get) => !get('unsubscribedAt') && !isInactiveStatus(get('status'))
+            }
+        }
+    ];
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // DETECTION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function normalizeHeader(header) {
+        return String(header || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    }
+
+    /**
+     * Which platform and export kind a CSV's headers belong to. When several
+     * signatures match, the one recognising the most columns wins.
+     * @param {Array<string>} headers
+     * @returns {Object|null} { platform, kind } — kind is 'campaigns' or 'subscribers'
+     */
+    function detect(headers) {
+        const present = new Set((headers || []).map(normalizeHeader));
+        let best = null;
+
+        PLATFORMS.forEach(platform => {
+            ['campaigns', 'subscribers'].forEach(kind => {
+                const spec = platform[kind];
+                if (!spec.signature.every(header => present.has(header))) return;
+
+                const score = Object.values(spec.columns)
+                    .filter(aliases => aliases.some(alias => present.has(alias)))
+                    .length;
+                if (!best || score > best.score) best = { platform, kind, score };
+            });
+        });
+
+        return best ? { platform: best.platform, kind: best.kind } : null;
+    }
+
+    function getPlatform(id) {
+        return PLATFORMS.find(p => p.id === id) || null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // VALUE PARSING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Reader for one record: get(field) returns the first non-empty value of
+     * the field's aliases, or null
+     */
+    function fieldReader(record, columns) {
+        const byHeader = {};
+        Object.keys(record).forEach(key => { byHeader[normalizeHeader(key)] = record[key]; });
+
+        return (field) => {
+            for (const alias of columns[field] || []) {
+                const value = byHeader[alias];
+                if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+            }
+            return null;
+        };
+    }
+
+    function parseDate(value) {
+        if (!value) return null;
+        let text = value.replace(/\s+UTC$/i, 'Z');
+        // MM/DD/YYYY with an optional time, which Date() won't read with a time
+        const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]m)?)?/i);
+        if (us) {
+            let hours = parseInt(us[4]) || 0;
+            if (us[6] && us[6].toLowerCase() === 'pm' && hours < 12) hours += 12;
+            if (us[6] && us[6].toLowerCase() === 'am' && hours === 12) hours = 0;
+            return new Date(parseInt(us[3]), parseInt(us[1]) - 1, parseInt(us[2]), hours, parseInt(us[5]) || 0);
+        }
+        // "2024-05-28 14:00:00Z" — Date() wants the T
+        if (/^\d{4}-\d{2}-\d{2} \d/.test(text)) text = text.replace(' ', 'T');
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    function hasTime(value) {
+        return /\d{1,2}:\d{2}/.test(value || '');
+    }
+
+    function toCount(value) {
+        if (value === null) return null;
+        const num = parseInt(value.replace(/[,\s]/g, ''));
+        return isNaN(num) ? null : num;
+    }
+
+    /**
+     * Rate as a percentage (0-100); "42.5%" and 0.425 both read as 42.5
+     */
+    function toRate(value) {
+        if (value === null) return null;
+        const num = parseFloat(value.replace(/[,\s%]/g, ''));
+        if (isNaN(num)) return null;
+        return value.includes('%') || num > 1 ? num : num * 100;
+    }
+
+    function isTrue(value) {
+        return ['true', 'yes', '1', 'y'].includes(String(value || '').toLowerCase());
+    }
+
+    function isInactiveStatus(value) {
+        return INACTIVE_STATUSES.includes(String(value || '').toLowerCase());
+    }
+
+    function percent(part, whole) {
+        return part !== null && whole > 0 ? round2((part / whole) * 100) : null;
+    }
+
+    function round2(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // CAMPAIGNS → POSTS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Normalise campaign rows into the posts store. Counts are preferred;
+     * when an export only has rates, the counts are rebuilt from them so the
+     * dashboard's own rate definitions (clicks per open) still hold.
+     */
+    function parseCampaigns(records, spec) {
+        return records
+            .map(record => {
+                const get = fieldReader(record, spec.columns);
+                const rawDate = get('date');
+                const date = parseDate(rawDate);
+                if (!date) return null;
+
+                const sent = toCount(get('sent')) || 0;
+                const delivered = toCount(get('delivered')) ?? sent;
+
+                let uniqueOpens = toCount(get('uniqueOpens'));
+                const openRate = toRate(get('openRate'));
+                if (uniqueOpens === null && openRate !== null) uniqueOpens = Math.round((openRate / 100) * delivered);
+
+                let uniqueClicks = toCount(get('uniqueClicks'));
+                const clickRate = toRate(get('clickRate'));
+                if (uniqueClicks === null && clickRate !== null) uniqueClicks = Math.round((clickRate / 100) * delivered);
+
+                const unsubscribed = toCount(get('unsubscribed')) || 0;
+
+                return {
+                    postId: get('postId'),
+                    date,
+                    hasSendTime: hasTime(rawDate),
+                    title: get('title') || 'Untitled',
+                    sent,
+                    delivered,
+                    totalOpens: toCount(get('totalOpens')) ?? uniqueOpens ?? 0,
+                    uniqueOpens: uniqueOpens || 0,
+                    openRate: percent(uniqueOpens, delivered) ?? openRate,
+                    uniqueClicks: uniqueClicks || 0,
+                    ctr: percent(uniqueClicks, uniqueOpens),
+                    verifiedClicks: 0,
+                    verifiedCtr: null,
+                    unsubscribed,
+                    unsubscribeRate: percent(unsubscribed, sent),
+                    spamReported: toCount(get('spamReported')),
+                    deliveryRate: percent(delivered, sent),
+                    webViews: null,
+                    webClicks: null,
+                    webClickRate: null,
+                    contentTags: get('tags')
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.date - b.date);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SUBSCRIBERS → GROWTH & AUDIENCE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function monthStart(date) {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+
+    function monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * @returns {Array} [{ createdAt, active, leftAt }] for rows with a signup date
+     */
+    function readSubscribers(records, spec) {
+        return records
+            .map(record => {
+                const get = fieldReader(record, spec.columns);
+                const createdAt = parseDate(get('createdAt'));
+                if (!createdAt) return null;
+                return {
+                    createdAt,
+                    active: spec.isActive(get),
+                    leftAt: parseDate(get('unsubscribedAt'))
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Monthly signups and dated unsubscribes, every month from the first
+     * signup to now
+     */
+    function buildGrowth(subscribers) {
+        if (subscribers.length === 0) return [];
+
+        const months = {};
+        // Not Math.min(...list): spreading a large list overflows the call stack
+        const earliest = subscribers.reduce((min, s) => (s.createdAt < min ? s.createdAt : min), subscribers[0].createdAt);
+        const first = monthStart(earliest);
+        for (let d = first; d <= new Date(); d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+            months[monthKey(d)] = {
+                date: d,
+                month: d.toLocaleString('default', { month: 'short', year: 'numeric' }),
+                subscribed: 0,
+                unsubscribed: 0,
+                net: 0
+            };
+        }
+
+        subscribers.forEach(s => {
+            const joined = months[monthKey(s.createdAt)];
+            if (joined) joined.subscribed++;
+            const left = s.leftAt && months[monthKey(s.leftAt)];
+            if (left) left.unsubscribed++;
+        });
+
+        return Object.values(months).map(m => ({ ...m, net: m.subscribed - m.unsubscribed }));
+    }
+
+    /**
+     * Active subscribers at the end of each month, the current month ending
+     * today. Subscribers who left without a date can't be placed in time, so
+     * they are left out of the history rather than all dropping out today.
+     */
+    function buildAudience(subscribers) {
+        const now = new Date();
+        const placed = subscribers.filter(s => s.active || s.leftAt);
+
+        return buildGrowth(subscribers).map(m => {
+            const end = new Date(m.date.getFullYear(), m.date.getMonth() + 1, 1);
+            const at = end > now ? now : end;
+
+            return {
+                date: end > now ? now : new Date(end.getFullYear(), end.getMonth(), 0),
+                activeSubscribers: placed.filter(s => s.createdAt < at && (s.active || s.leftAt >= at)).length
+            };
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Parse another platform's CSV export. Several files of the same export
+     * kind are read as one — Mailchimp splits its audience into a file per
+     * status, and growth needs the subscribed and unsubscribed ones together.
+     * @param {string|Array<string>} csvText - one file's text, or several
+     * @param {Object} [match] - from detect(); detected from the first file's
+     *   headers when omitted
+     * @returns {Object} { posts, growth, audience, warnings, success, platform, kind }
+     *   in the XLSXParser.parseXLSX shape; stores the export doesn't cover are null
+     */
+    function parse(csvText, match) {
+        const files = (Array.isArray(csvText) ? csvText : [csvText]).map(text => CSVParser.parseRecords(text));
+        const records = files.flatMap(file => file.records);
+        match = match || detect(files[0].headers);
+
+        const result = {
+            posts: null,
+            growth: null,
+            audience: null,
+            warnings: [],
+            success: false,
+            platform: match ? match.platform.id : null,
+            kind: match ? match.kind : null
+        };
+
+        if (!match) {
+            result.warnings.push('Not a Substack, Mailchimp, Kit, Ghost or Buttondown export');
+            return result;
+        }
+
+        const { platform, kind } = match;
+
+        if (kind === 'campaigns') {
+            result.posts = parseCampaigns(records, platform.campaigns);
+            const skipped = records.length - result.posts.length;
+            if (skipped > 0) {
+                result.warnings.push(`${skipped} row${skipped === 1 ? '' : 's'} without a send date skipped (drafts or scheduled posts)`);
+            }
+            if (result.posts.length > 0 && result.posts.every(p => p.sent === 0)) {
+                result.warnings.push(`This ${platform.name} export has no email stats — posts are listed without sends, opens or clicks`);
+            }
+        } else {
+            const subscribers = readSubscribers(records, platform.subscribers);
+            result.growth = buildGrowth(subscribers);
+            result.audience = buildAudience(subscribers);
+
+            const undated = subscribers.filter(s => !s.active && !s.leftAt).length;
+            if (undated > 0) {
+                result.warnings.push(`${undated} unsubscribed subscriber${undated === 1 ? ' has' : 's have'} no unsubscribe date and ${undated === 1 ? 'is' : 'are'} left out of the subscriber history`);
+            }
+            if (platform.id === 'mailchimp' && (subscribers.every(s => s.active) || subscribers.every(s => !s.active))) {
+                result.warnings.push('Mailchimp exports each status in its own file — drop the subscribed and unsubscribed CSVs together so growth and audience count both');
+            }
+        }
+
+        result.success = !!(result.posts?.length || result.growth?.length);
+        if (!result.success) {
+            result.warnings.push(`No dated rows found in this ${platform.name} export`);
+        }
+
+        return result;
+    }
+
+    return {
+        detect,
+        parse,
+        getPlatform,
+        PLATFORMS
+    };
+})();
+
+window.PlatformImporters = PlatformImporters;
@@ -0,0 +1,341 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   PORTFOLIO VIEW — Newsletter Analytics Dashboard
+   Side-by-side overview of every newsletter in the registry
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const PortfolioView = (function () {
+    'use strict';
+
+    let panel = null;
+    let growthChart = null;
+
+    // Newsletters already looked up on the server this session
+    const serverChecked = new Set();
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        panel = document.getElementById('tab-portfolio');
+        if (!panel) return;
+
+        console.log('🗂️ PortfolioView initialized');
+    }
+
+    function isVisible() {
+        return !!panel && panel.classList.contains('tab-panel--active');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // DATA
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Resolve the current AppState date range to { startDate, endDate } (null = all time)
+     */
+    function getRange() {
+        const state = window.AppState || {};
+        return DataService.resolveDateRange(state.dateRange, state.customRange);
+    }
+
+    function inRange(row, range) {
+        if (!range) return true;
+        const d = row.date instanceof Date ? row.date : new Date(row.date);
+        return d >= range.startDate && d <= range.endDate;
+    }
+
+    /**
+     * Get stored stores for every newsletter, pulling from the server
+     * the ones this browser has no local copy of
+     */
+    async function loadAll() {
+        const newsletters = NewsletterManager.getAll();
+
+        await Promise.all(newsletters.map(async (nl) => {
+            if (NewsletterManager.getXLSXData(nl.id) || serverChecked.has(nl.id)) return;
+            serverChecked.add(nl.id);
+            await NewsletterManager.loadFromServer(nl.id);
+        }));
+
+        return newsletters.map(nl => ({
+            newsletter: nl,
+            data: NewsletterManager.getXLSXData(nl.id)
+        }));
+    }
+
+    /**
+     * Summarize one newsletter's stores for the selected range
+     */
+    function summarize(newsletter, data, range) {
+        const posts = (data?.posts || []).filter(p => inRange(p, range));
+        const audience = (data?.audience || [])
+            .slice()
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        const audienceInRange = audience.filter(a => inRange(a, range));
+        const aggregated = XLSXParser.aggregatePosts(posts);
+
+        const latest = audience.length > 0 ? audience[audience.length - 1].activeSubscribers || 0 : 0;
+        const first = audienceInRange.length > 0 ? audienceInRange[0].activeSubscribers || 0 : latest;
+
+        return {
+            id: newsletter.id,
+            name: newsletter.name,
+            color: getNewsletterColor(newsletter),
+            hasData: !!data,
+            postCount: posts.length,
+            subscribers: latest,
+            subscriberChange: latest - first,
+            openRate: aggregated.openRate,
+            ctr: aggregated.ctr,
+            uniqueClicks: aggregated.uniqueClicks,
+            health: window.Deliverability ? Deliverability.score(posts) : null,
+            audience: audienceInRange
+        };
+    }
+
+    function getNewsletterColor(newsletter) {
+        if (newsletter.customColor) return newsletter.customColor;
+        const theme = NewsletterManager.THEMES[newsletter.theme];
+        return theme ? theme.primary : '#C2EE6B';
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Re-render the portfolio. Skipped while the tab is hidden because
+     * Chart.js can't size a canvas inside a hidden panel.
+     */
+    async function render() {
+        if (!isVisible()) return;
+
+        const range = getRange();
+        const entries = await loadAll();
+        const summaries = entries.map(e => summarize(e.newsletter, e.data, range));
+
+        renderSummary(summaries);
+        renderCards(summaries);
+        renderGrowthChart(summaries, range);
+        renderRanking('portfolio-rank-open', summaries, 'openRate');
+        renderRanking('portfolio-rank-ctr', summaries, 'ctr');
+    }
+
+    function renderSummary(summaries) {
+        const totalEl = document.getElementById('portfolio-total-subscribers');
+        const metaEl = document.getElementById('portfolio-total-meta');
+        const withData = summaries.filter(s => s.hasData);
+        const total = withData.reduce((sum, s) => sum + s.subscribers, 0);
+        const change = withData.reduce((sum, s) => sum + s.subscriberChange, 0);
+
+        if (totalEl) totalEl.textContent = total.toLocaleString();
+        if (metaEl) {
+            metaEl.textContent = withData.length === 0
+                ? 'No newsletter data imported yet'
+                : `${change >= 0 ? '+' : ''}${change.toLocaleString()} in range · ${withData.length} of ${summaries.length} newsletters with data`;
+        }
+    }
+
+    function renderCards(summaries) {
+        const container = document.getElementById('portfolio-cards');
+        if (!container) return;
+
+        container.innerHTML = summaries.map(s => `
+            <div class="dashboard-card portfolio-card" style="--newsletter-color: ${s.color};">
+                <div class="portfolio-card__header">
+                    <span class="portfolio-card__swatch"></span>
+                    <span class="portfolio-card__name" title="${escapeHtml(s.name)}">${escapeHtml(s.name)}</span>
+                    ${s.health ? `
+                    <span class="portfolio-card__health portfolio-card__health--${s.health.status.id}"
+                        title="Deliverability health: ${s.health.status.label}">${s.health.score}</span>
+                    ` : ''}
+                </div>
+                ${s.hasData ? `
+                <div class="portfolio-card__hero">
+                    <span class="portfolio-card__value">${s.subscribers.toLocaleString()}</span>
+                    <span class="portfolio-card__label">subscribers</span>
+                </div>
+                <div class="portfolio-card__stats">
+                    <div class="portfolio-card__stat">
+                        <span class="portfolio-card__stat-value">${formatPercent(s.openRate)}</span>
+                        <span class="portfolio-card__stat-label">Open Rate</span>
+                    </div>
+                    <div class="portfolio-card__stat">
+                        <span class="portfolio-card__stat-value">${formatPercent(s.ctr)}</span>
+                        <span class="portfolio-card__stat-label">CTR</span>
+                    </div>
+                    <div class="portfolio-card__stat">
+                        <span class="portfolio-card__stat-value">${s.postCount}</span>
+                        <span class="portfolio-card__stat-label">Posts</span>
+                    </div>
+                </div>
+                ` : `
+                <div class="portfolio-card__empty">No data — sync or import to include it</div>
+                `}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Overlay each newsletter's active subscribers on one chart.
+     * Readings are bucketed by day for short ranges and by month otherwise
+     * (last reading in a bucket wins) so the x-axis lines up across newsletters.
+     */
+    function renderGrowthChart(summaries, range) {
+        const canvas = document.getElementById('portfolio-growth-canvas');
+        if (!canvas) return;
+
+        const daily = range && (range.endDate - range.startDate) <= 92 * 24 * 60 * 60 * 1000;
+        const bucketKey = (d) => {
+            const date = d instanceof Date ? d : new Date(d);
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            return daily
+                ? `${date.getFullYear()}-${month}-${String(date.getDate()).padStart(2, '0')}`
+                : `${date.getFullYear()}-${month}`;
+        };
+
+        const series = summaries
+            .filter(s => s.audience.length > 0)
+            .map(s => {
+                const buckets = {};
+                s.audience.forEach(a => { buckets[bucketKey(a.date)] = a.activeSubscribers; });
+                return { summary: s, buckets };
+            });
+
+        const keys = [...new Set(series.flatMap(s => Object.keys(s.buckets)))].sort();
+        const labels = keys.map(k => {
+            const [year, month, day] = k.split('-').map(Number);
+            const date = new Date(year, month - 1, day || 1);
+            return daily
+                ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+                : date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        });
+
+        if (growthChart) {
+            growthChart.destroy();
+            growthChart = null;
+        }
+
+        const emptyEl = document.getElementById('portfolio-growth-empty');
+        if (emptyEl) emptyEl.style.display = series.length === 0 ? '' : 'none';
+        if (series.length === 0) return;
+
+        const light = document.documentElement.getAttribute('data-theme') === 'light';
+
+        growthChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: series.map(({ summary, buckets }) => ({
+                    label: summary.name,
+                    data: keys.map(k => buckets[k] ?? null),
+                    borderColor: summary.color,
+                    backgroundColor: summary.color,
+                    borderWidth: 2.5,
+                    tension: 0.3,
+                    spanGaps: true,
+                    pointRadius: daily ? 0 : 3,
+                    pointHoverRadius: 5
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'bottom',
+                        labels: { boxWidth: 12, boxHeight: 12, usePointStyle: true }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${(item.raw || 0).toLocaleString()}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false }
+                    },
+                    y: {
+                        beginAtZero: false,
+                        grid: {
+                            color: light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)'
+                        },
+                        ticks: {
+                            callback: (value) => value >= 1000 ? (value / 1000) + 'k' : value
+                        }
+                    }
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                }
+            }
+        });
+    }
+
+    /**
+     * Rank newsletters by a rate metric, reusing the leaderboard styles
+     */
+    function renderRanking(containerId, summaries, metric) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const ranked = summaries
+            .filter(s => typeof s[metric] === 'number' && s.postCount > 0)
+            .sort((a, b) => b[metric] - a[metric]);
+
+        if (ranked.length === 0) {
+            container.innerHTML = `
+                <div class="leaderboard__empty">
+                    <span class="leaderboard__empty-icon">📭</span>
+                    <span class="leaderboard__empty-text">No posts in this date range</span>
+                </div>`;
+            return;
+        }
+
+        const max = ranked[0][metric] || 1;
+
+        container.innerHTML = ranked.map((s, i) => `
+            <div class="leaderboard__item" style="--newsletter-color: ${s.color};">
+                <span class="leaderboard__rank">${i + 1}</span>
+                <div class="leaderboard__info">
+                    <div class="leaderboard__title" title="${escapeHtml(s.name)}">${escapeHtml(s.name)}</div>
+                    <div class="leaderboard__meta">${s.postCount} post${s.postCount !== 1 ? 's' : ''} · ${s.subscribers.toLocaleString()} subscribers</div>
+                </div>
+                <span class="leaderboard__value">${s[metric].toFixed(1)}%</span>
+                <div class="leaderboard__bar">
+                    <div class="leaderboard__bar-fill portfolio-rank__bar" style="width: ${(s[metric] / max * 100).toFixed(1)}%"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatPercent(num) {
+        if (typeof num !== 'number' || isNaN(num)) return '—';
+        return num.toFixed(1) + '%';
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        render
+    };
+})();
+
+window.PortfolioView = PortfolioView;
@@ -0,0 +1,250 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   POST DETAIL DRAWER — Newsletter Analytics Dashboard
+   Side drawer with per-link click analytics for a single post
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const PostDetailDrawer = (function () {
+    'use strict';
+
+    let overlay = null;
+    let currentPostId = null;
+
+    // Link data per "newsletter:postId" — stats.clicks is heavy, fetch once
+    const clicksCache = new Map();
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        createDrawer();
+    }
+
+    function createDrawer() {
+        const existing = document.getElementById('post-detail-drawer');
+        if (existing) existing.remove();
+
+        // Uses .modal-overlay so the global Escape shortcut closes it too
+        const html = `
+            <div class="modal-overlay drawer-overlay" id="post-detail-drawer">
+                <aside class="drawer" role="dialog" aria-labelledby="post-drawer-title">
+                    <div class="drawer__header">
+                        <div>
+                            <h2 class="drawer__title" id="post-drawer-title"></h2>
+                            <div class="drawer__subtitle"></div>
+                        </div>
+                        <button class="modal__close" data-action="close" aria-label="Close">×</button>
+                    </div>
+                    <div class="drawer__body">
+                        <div class="post-drawer__summary"></div>
+                        <h3 class="post-drawer__section-title">🔗 Link Clicks</h3>
+                        <div class="post-drawer__links"></div>
+                    </div>
+                </aside>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', html);
+        overlay = document.getElementById('post-detail-drawer');
+
+        overlay.querySelector('[data-action="close"]').addEventListener('click', close);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // OPEN / CLOSE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Open the drawer for a PostsTable row
+     * @param {Object} post - table post ({ title, send_date, post_id, source, ... })
+     */
+    function open(post) {
+        if (!overlay || !post) return;
+
+        currentPostId = post.post_id;
+        overlay.querySelector('.drawer__title').textContent = post.title;
+        overlay.querySelector('.drawer__subtitle').textContent = formatDate(post.send_date);
+        renderSummary(post);
+        overlay.classList.add('is-open');
+
+        loadLinks(post);
+    }
+
+    function close() {
+        if (overlay) overlay.classList.remove('is-open');
+        currentPostId = null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // DATA
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async function loadLinks(post) {
+        const linksEl = overlay.querySelector('.post-drawer__links');
+        const newsletter = window.NewsletterManager?.getActive();
+
+        if (!post.post_id || !newsletter || !window.BeehiivAPI) {
+            linksEl.innerHTML = `
+                <div class="post-drawer__empty">
+                    Link-level clicks are only available for posts synced from Beehiiv.
+                </div>
+            `;
+            return;
+        }
+
+        const cacheKey = `${newsletter.id}:${post.post_id}`;
+        if (clicksCache.has(cacheKey)) {
+            renderLinks(clicksCache.get(cacheKey));
+            return;
+        }
+
+        linksEl.innerHTML = '<div class="post-drawer__loading">Loading link clicks…</div>';
+
+        try {
+            const data = await BeehiivAPI.fetchPostClicks(newsletter.id, post.post_id);
+            clicksCache.set(cacheKey, data);
+
+            // Ignore late responses for a post the user already moved away from
+            if (currentPostId === post.post_id) renderLinks(data);
+        } catch (error) {
+            console.warn('Failed to load link clicks:', error);
+            if (currentPostId !== post.post_id) return;
+            const message = error.code === 'RATE_LIMITED'
+                ? `Beehiiv rate limit reached — try again in ${error.retryAfter || 20}s.`
+                : `Couldn't load link clicks (${escapeHtml(error.message)}).`;
+            linksEl.innerHTML = `<div class="post-drawer__empty post-drawer__empty--error">${message}</div>`;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function renderSummary(post) {
+        const row = post.source || {};
+        const metrics = [
+            { label: 'Recipients', value: formatNumber(post.recipients) },
+            { label: 'Open Rate', value: formatPercent(post.open_rate) },
+            { label: 'CTR', value: formatPercent(post.click_rate) },
+            { label: 'Unique Clicks', value: formatNumber(post.clicks) },
+            { label: 'Verified Clicks', value: formatNumber(row.verifiedClicks) }
+        ];
+
+        // Web stats only exist for Beehiiv syncs and exports that include them
+        if (typeof row.webViews === 'number') {
+            metrics.push(
+                { label: 'Web Views', value: formatNumber(row.webViews) },
+                { label: 'Web Clicks', value: formatNumber(row.webClicks) }
+            );
+        }
+
+        overlay.querySelector('.post-drawer__summary').innerHTML = metrics.map(m => `
+            <div class="post-drawer__metric">
+                <span class="post-drawer__metric-value">${m.value}</span>
+                <span class="post-drawer__metric-label">${m.label}</span>
+            </div>
+        `).join('') + (post.is_estimated ? `
+            <div class="post-drawer__note">Summary uses publication averages until real stats are backfilled.</div>
+        ` : '');
+    }
+
+    function renderLinks(data) {
+        const linksEl = overlay.querySelector('.post-drawer__links');
+        const links = data.links || [];
+
+        if (links.length === 0) {
+            linksEl.innerHTML = '<div class="post-drawer__empty">No link clicks recorded for this post.</div>';
+            return;
+        }
+
+        const hasVerified = links.some(l => l.verifiedClicks !== null);
+
+        linksEl.innerHTML = `
+            <table class="post-drawer__table">
+                <thead>
+                    <tr>
+                        <th>Link</th>
+                        <th class="post-drawer__num">Total</th>
+                        <th class="post-drawer__num">Unique</th>
+                        ${hasVerified ? '<th class="post-drawer__num">Verified</th>' : ''}
+                        <th class="post-drawer__share-col">Share</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${links.map(link => `
+                        <tr>
+                            <td class="post-drawer__url">
+                                <a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(link.url)}">
+                                    ${escapeHtml(formatUrl(link.url))}
+                                </a>
+                            </td>
+                            <td class="post-drawer__num">${formatNumber(link.totalClicks)}</td>
+                            <td class="post-drawer__num">${formatNumber(link.uniqueClicks)}</td>
+                            ${hasVerified ? `<td class="post-drawer__num">${formatNumber(link.verifiedClicks)}</td>` : ''}
+                            <td class="post-drawer__share-col">
+                                <div class="post-drawer__share">
+                                    <div class="post-drawer__share-bar" style="width: ${Math.min(100, link.share)}%"></div>
+                                    <span class="post-drawer__share-value">${link.share.toFixed(1)}%</span>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="post-drawer__totals">
+                ${links.length} link${links.length !== 1 ? 's' : ''} · ${formatNumber(data.totals.totalClicks)} total clicks · ${formatNumber(data.totals.uniqueClicks)} unique
+            </div>
+        `;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatUrl(urlString) {
+        try {
+            const parsed = new URL(urlString);
+            const path = parsed.pathname === '/' ? '' : parsed.pathname;
+            const display = parsed.hostname.replace(/^www\./, '') + path;
+            return display.length > 60 ? display.substring(0, 57) + '...' : display;
+        } catch (e) {
+            return urlString;
+        }
+    }
+
+    function formatDate(date) {
+        if (!date || !(date instanceof Date) || date.getTime() === 0) return '';
+        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    function formatNumber(num) {
+        if (typeof num !== 'number' || isNaN(num)) return '—';
+        return num.toLocaleString();
+    }
+
+    function formatPercent(num) {
+        if (typeof num !== 'number' || isNaN(num)) return '—';
+        return num.toFixed(1) + '%';
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        open,
+        close
+    };
+})();
+
+window.PostDetailDrawer = PostDetailDrawer;
@@ -38,6 +38,17 @@ const PostsTable = (function () {
             });
         }
 
+        // Row click → post detail drawer
+        const tableBody = container.querySelector('.posts-table__body');
+        if (tableBody) {
+            tableBody.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-post-row]');
+                if (!row || !window.PostDetailDrawer) return;
+                const post = filteredPosts.find(p => p.id === row.dataset.postRow);
+                if (post) PostDetailDrawer.open(post);
+            });
+        }
+
         // Page size selector
         const pageSizeSelect = document.getElementById('posts-page-size');
         if (pageSizeSelect) {
@@ -65,13 +76,16 @@ const PostsTable = (function () {
         // CSV parser maps: title, date, sent, delivered, uniqueOpens, uniqueClicks, openRate, ctr
         posts = rawRows.map(row => ({
             id: row.postId || Math.random().toString(36).substr(2, 9),
+            post_id: row.postId || null,
+            source: row,
             title: row.title || 'Untitled',
             send_date: row.date || parseDate(row.send_date),
             recipients: row.delivered || row.sent || 0,
             opens: row.uniqueOpens || 0,
             clicks: row.uniqueClicks || 0,
             open_rate: row.openRate || 0,
-            click_rate: row.ctr || 0
+            click_rate: row.ctr || 0,
+            is_estimated: !!row.isEstimated
         }));
 
         // Calculate rates if not provided
@@ -232,11 +246,12 @@ const PostsTable = (function () {
                 if (post.ctr_rank && post.ctr_rank <= 3) rowClasses.push('posts-table__row--top');
                 if (post.anomaly?.type === 'high') rowClasses.push('posts-table__row--anomaly-high');
                 if (post.anomaly?.type === 'low') rowClasses.push('posts-table__row--anomaly-low');
+                if (post.is_estimated) rowClasses.push('posts-table__row--estimated');
 
                 return `
-                <tr class="${rowClasses.join(' ')}">
+                <tr class="${rowClasses.join(' ')} posts-table__row--clickable" data-post-row="${escapeHtml(post.id)}" title="View link clicks">
                     <td class="posts-table__cell posts-table__cell--title">
-                        ${getRankBadge(post.ctr_rank)}${escapeHtml(post.title)}
+                        ${getRankBadge(post.ctr_rank)}${escapeHtml(post.title)}${getEstimatedFlag(post.is_estimated)}
                     </td>
                     <td class="posts-table__cell">${formatDate(post.send_date)}</td>
                     <td class="posts-table__cell posts-table__cell--number">${formatNumber(post.recipients)}</td>
@@ -297,7 +312,8 @@ const PostsTable = (function () {
     function escapeHtml(str) {
         const div = document.createElement('div');
         div.textContent = str;
-        return div.innerHTML;
+        // Also safe inside quoted attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     function getRankBadge(rank) {
@@ -319,6 +335,11 @@ const PostsTable = (function () {
         return '';
     }
 
+    function getEstimatedFlag(isEstimated) {
+        if (!isEstimated) return '';
+        return '<span class="estimated-flag" title="Publication averages — real stats not fetched yet">est.</span>';
+    }
+
     function safeToFixed(num, decimals) {
         if (typeof num !== 'number' || isNaN(num)) return '0';
         return num.toFixed(decimals);
@@ -0,0 +1,327 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   SEND TIME — Newsletter Analytics Dashboard
+   Day-of-week × hour-of-day heatmap of open rate / CTR and a recommended
+   send window, in a selectable timezone
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const SendTime = (function () {
+    'use strict';
+
+    const STORAGE_KEY = 'dashboard_send_time_zone';
+
+    // Monday first, like the date picker
+    const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+    // A send window is this many consecutive hours on one weekday
+    const WINDOW_HOURS = 2;
+
+    // Fewer sends than this in a window are never recommended
+    const MIN_WINDOW_POSTS = 3;
+
+    const METRICS = {
+        openRate: { label: 'Open Rate' },
+        ctr: { label: 'CTR' }
+    };
+
+    const TIMEZONES = [
+        'UTC',
+        'America/New_York',
+        'America/Chicago',
+        'America/Denver',
+        'America/Los_Angeles',
+        'Europe/London',
+        'Europe/Berlin',
+        'Asia/Kolkata',
+        'Asia/Singapore',
+        'Asia/Tokyo',
+        'Australia/Sydney'
+    ];
+
+    let container = null;
+    let metric = 'openRate';
+    let timeZone = null;
+    let posts = [];
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('send-time-heatmap');
+        if (!container) {
+            console.warn('SendTime: #send-time-heatmap container not found');
+            return;
+        }
+
+        timeZone = loadTimeZone();
+
+        const zoneSelect = document.getElementById('send-time-zone');
+        if (zoneSelect) {
+            const zones = TIMEZONES.includes(localTimeZone()) ? TIMEZONES : [localTimeZone(), ...TIMEZONES];
+            zoneSelect.innerHTML = zones.map(zone => `
+                <option value="${zone}" ${zone === timeZone ? 'selected' : ''}>${zone === localTimeZone() ? `${zone} (local)` : zone}</option>
+            `).join('');
+
+            zoneSelect.addEventListener('change', () => {
+                timeZone = zoneSelect.value;
+                try {
+                    localStorage.setItem(STORAGE_KEY, timeZone);
+                } catch (e) { /* private mode */ }
+                render();
+            });
+        }
+
+        const metricToggle = document.getElementById('send-time-metric');
+        if (metricToggle) {
+            metricToggle.addEventListener('toggle:change', (e) => {
+                metric = e.detail.value;
+                render();
+            });
+        }
+
+        console.log('🕐 SendTime initialized');
+    }
+
+    function localTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    function loadTimeZone() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored && isValidTimeZone(stored)) return stored;
+        } catch (e) { /* private mode */ }
+        return localTimeZone();
+    }
+
+    function isValidTimeZone(zone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // BUCKETING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Posts whose date carries a real send time. XLSX rows with a date-only
+     * cell are flagged hasSendTime: false; older imports predate the flag and
+     * sit at exactly noon UTC, so an archive where every post does is skipped.
+     */
+    function timedPosts(rows) {
+        const candidates = (rows || []).filter(post => post.date && post.hasSendTime !== false);
+        const allNoonUtc = candidates.every(post => {
+            const d = new Date(post.date);
+            return d.getUTCHours() === 12 && d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0;
+        });
+        return allNoonUtc ? [] : candidates;
+    }
+
+    /**
+     * Weekday (0 = Monday) and hour of a post in the given timezone
+     */
+    function slotOf(date, zone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            weekday: 'short',
+            hour: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(date));
+
+        const weekday = parts.find(p => p.type === 'weekday').value;
+        const hour = parseInt(parts.find(p => p.type === 'hour').value, 10) % 24;
+        return { day: WEEKDAY_INDEX[weekday], hour };
+    }
+
+    /**
+     * 7 × 24 grid of per-post metric values. Posts still on
+     * publication-average stats (isEstimated) are left out.
+     * @returns {Array<Array<number[]>>} grid[day][hour] = values
+     */
+    function buildGrid(rows, key, zone) {
+        const grid = DAYS.map(() => Array.from({ length: 24 }, () => []));
+
+        rows.forEach(post => {
+            const value = post[key];
+            if (post.isEstimated || !isValid(value)) return;
+            const { day, hour } = slotOf(post.date, zone);
+            grid[day][hour].push(value);
+        });
+
+        return grid;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RECOMMENDATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Best WINDOW_HOURS-hour window by mean metric value.
+     * Confidence reflects how many sends back it and how far it sits above
+     * the overall mean in standard errors.
+     * @returns {Object|null} { day, startHour, endHour, mean, count, lift, confidence }
+     */
+    function recommend(grid) {
+        const all = grid.flat(2);
+        if (all.length < MIN_WINDOW_POSTS) return null;
+
+        const overall = average(all);
+        const sd = standardDeviation(all);
+        let best = null;
+
+        grid.forEach((_, day) => {
+            for (let start = 0; start < 24; start++) {
+                // Windows past midnight continue into the next weekday
+                const values = [];
+                for (let offset = 0; offset < WINDOW_HOURS; offset++) {
+                    const hour = start + offset;
+                    values.push(...grid[(day + Math.floor(hour / 24)) % 7][hour % 24]);
+                }
+                if (values.length < MIN_WINDOW_POSTS) continue;
+
+                const mean = average(values);
+                if (!best || mean > best.mean) {
+                    best = { day, startHour: start, endHour: (start + WINDOW_HOURS) % 24, mean, count: values.length };
+                }
+            }
+        });
+
+        if (!best) return null;
+
+        const z = sd > 0 ? (best.mean - overall) / (sd / Math.sqrt(best.count)) : 0;
+        best.lift = best.mean - overall;
+        best.confidence = best.count >= 8 && z >= 2 ? 'high'
+            : best.count >= 4 && z >= 1 ? 'medium'
+                : 'low';
+        return best;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UPDATE & RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {Array} rows - posts in the current date range
+     */
+    function update(rows) {
+        posts = timedPosts(rows);
+        render();
+    }
+
+    function render() {
+        if (!container) return;
+
+        const recommendationEl = document.getElementById('send-time-recommendation');
+
+        if (posts.length === 0) {
+            container.innerHTML = '<div class="send-time__empty">No send times in this data — the imported dates have no time of day</div>';
+            if (recommendationEl) recommendationEl.style.display = 'none';
+            return;
+        }
+
+        const grid = buildGrid(posts, metric, timeZone);
+        const cells = grid.flat().filter(values => values.length > 0).map(average);
+        const min = Math.min(...cells);
+        const max = Math.max(...cells);
+        const best = recommend(grid);
+
+        const hourLabels = Array.from({ length: 24 }, (_, hour) => `
+            <div class="send-time__hour">${hour % 3 === 0 ? formatHour(hour) : ''}</div>
+        `).join('');
+
+        const rowsHtml = grid.map((hours, day) => `
+            <div class="send-time__day">${DAYS[day]}</div>
+            ${hours.map((values, hour) => {
+                if (values.length === 0) return '<div class="send-time__cell send-time__cell--empty"></div>';
+                const mean = average(values);
+                const intensity = max > min ? (mean - min) / (max - min) : 1;
+                const inBest = best && inWindow(day, hour, best);
+                return `
+                    <div class="send-time__cell ${inBest ? 'is-best' : ''}"
+                        style="--intensity: ${(0.15 + intensity * 0.85).toFixed(2)}"
+                        title="${DAYS[day]} ${formatHour(hour)}: ${formatPercent(mean)} ${METRICS[metric].label} · ${values.length} post${values.length !== 1 ? 's' : ''}"></div>
+                `;
+            }).join('')}
+        `).join('');
+
+        container.innerHTML = `
+            <div class="send-time__grid">
+                <div></div>${hourLabels}
+                ${rowsHtml}
+            </div>
+            <div class="send-time__legend">
+                <span>${formatPercent(min)}</span>
+                <span class="send-time__legend-scale"></span>
+                <span>${formatPercent(max)}</span>
+                <span class="send-time__legend-note">${posts.length} sends · ${timeZone}</span>
+            </div>
+        `;
+
+        if (recommendationEl) {
+            recommendationEl.style.display = '';
+            recommendationEl.innerHTML = best
+                ? `
+                    <span class="send-time__recommendation-label">Best window</span>
+                    <strong>${DAYS[best.day]} ${formatHour(best.startHour)}–${formatHour(best.endHour)}</strong>
+                    <span>${formatPercent(best.mean)} ${METRICS[metric].label} (${best.lift >= 0 ? '+' : '−'}${Math.abs(best.lift).toFixed(1)} pts vs average)</span>
+                    <span class="send-time__confidence send-time__confidence--${best.confidence}"
+                        title="Based on ${best.count} sends in this window">${best.confidence} confidence · ${best.count} sends</span>
+                `
+                : `<span class="send-time__recommendation-label">Best window</span>
+                   <span>Needs ${MIN_WINDOW_POSTS}+ sends in the same ${WINDOW_HOURS}-hour slot to recommend one</span>`;
+        }
+    }
+
+    function inWindow(day, hour, best) {
+        const week = 7 * 24;
+        return ((day - best.day) * 24 + hour - best.startHour + week) % week < WINDOW_HOURS;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function isValid(n) {
+        return typeof n === 'number' && !isNaN(n);
+    }
+
+    function average(arr) {
+        if (!arr || arr.length === 0) return 0;
+        return arr.reduce((a, b) => a + b, 0) / arr.length;
+    }
+
+    function standardDeviation(arr) {
+        if (!arr || arr.length < 2) return 0;
+        const mean = average(arr);
+        return Math.sqrt(average(arr.map(value => Math.pow(value - mean, 2))));
+    }
+
+    function formatHour(hour) {
+        const suffix = hour < 12 ? 'am' : 'pm';
+        return `${hour % 12 === 0 ? 12 : hour % 12}${suffix}`;
+    }
+
+    function formatPercent(num) {
+        return isValid(num) ? num.toFixed(1) + '%' : '—';
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        buildGrid,
+        recommend,
+        slotOf
+    };
+
+})();
+
+window.SendTime = SendTime;
@@ -1,6 +1,7 @@
 /* ════════════════════════════════════════════════════════════════════════════
    SETTINGS MODAL — Newsletter Analytics Dashboard
-   Publication ID manager for Beehiiv newsletter sync
+   Publication ID manager for Beehiiv newsletter sync, plus the active
+   newsletter's import history with rollback
    ════════════════════════════════════════════════════════════════════════════ */
 
 const SettingsModal = (function () {
@@ -8,12 +9,25 @@ const SettingsModal = (function () {
 
     let overlay = null;
     let listContainer = null;
+    let historyContainer = null;
+
+    const SOURCE_LABELS = {
+        'xlsx-import': { icon: '📊', label: 'XLSX import' },
+        'csv-import': { icon: '📄', label: 'CSV import' },
+        'beehiiv-api': { icon: '🔄', label: 'Beehiiv sync' }
+    };
 
     function init() {
         overlay = document.getElementById('settings-modal');
         if (!overlay) return;
 
         listContainer = overlay.querySelector('.settings-newsletter-list');
+        historyContainer = overlay.querySelector('.settings-history');
+
+        historyContainer?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-restore]');
+            if (btn) handleRestore(btn);
+        });
 
         // Wire close buttons
         overlay.querySelector('[data-action="close"]')?.addEventListener('click', close);
@@ -32,6 +46,7 @@ const SettingsModal = (function () {
         if (!overlay) return;
         overlay.classList.add('is-open');
         loadNewsletters();
+        loadHistory();
     }
 
     function close() {
@@ -226,10 +241,129 @@ const SettingsModal = (function () {
         }
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // IMPORT HISTORY (active newsletter)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async function loadHistory() {
+        if (!historyContainer) return;
+
+        const newsletter = window.NewsletterManager ? NewsletterManager.getActive() : null;
+        overlay.querySelector('.settings-history__newsletter').textContent = newsletter ? `· ${newsletter.name}` : '';
+        if (!newsletter) {
+            historyContainer.innerHTML = '';
+            return;
+        }
+
+        historyContainer.innerHTML = `
+            <div class="settings-loading">
+                <span class="settings-loading__spinner">⏳</span>
+                <span>Loading history…</span>
+            </div>`;
+
+        try {
+            renderHistory(await NewsletterManager.fetchSnapshots(newsletter.id));
+        } catch (err) {
+            historyContainer.innerHTML = `
+                <div class="settings-error">
+                    <span>❌ Failed to load history: ${escapeHtml(err.message)}</span>
+                </div>`;
+        }
+    }
+
+    /**
+     * Icon and label for a version's source; other platforms' imports are
+     * saved as '<platform>-import'
+     */
+    function sourceLabel(source) {
+        if (SOURCE_LABELS[source]) return SOURCE_LABELS[source];
+        const platform = window.PlatformImporters && PlatformImporters.getPlatform(String(source).replace(/-import$/, ''));
+        if (platform) return { icon: '📥', label: `${platform.name} import` };
+        return { icon: '💾', label: source || 'Saved data' };
+    }
+
+    function renderHistory(versions) {
+        if (!versions.length) {
+            historyContainer.innerHTML = `
+                <div class="settings-empty">
+                    <span>🗂️</span>
+                    <span>No saved versions yet. Import a file or sync to start the history.</span>
+                </div>`;
+            return;
+        }
+
+        const byId = Object.fromEntries(versions.map(v => [v.id, v]));
+
+        historyContainer.innerHTML = versions.map((version, index) => {
+            const source = sourceLabel(version.source);
+            const restored = version.restoredFrom
+                ? `⏪ Rollback to ${byId[version.restoredFrom] ? formatDateTime(byId[version.restoredFrom].savedAt) : 'an earlier version'}`
+                : null;
+            const counts = version.counts || {};
+
+            return `
+                <div class="settings-history__item ${index === 0 ? 'is-current' : ''}">
+                    <span class="settings-history__icon">${restored ? '⏪' : source.icon}</span>
+                    <div class="settings-history__info">
+                        <div class="settings-history__title">
+                            ${escapeHtml(restored || source.label)}
+                            ${version.fileName ? `<span class="settings-history__file">${escapeHtml(version.fileName)}</span>` : ''}
+                        </div>
+                        <div class="settings-history__meta">
+                            ${formatDateTime(version.savedAt)} ·
+                            ${(counts.posts || 0).toLocaleString()} posts ·
+                            ${(counts.growth || 0).toLocaleString()} growth ·
+                            ${(counts.audience || 0).toLocaleString()} audience
+                        </div>
+                    </div>
+                    ${index === 0
+                        ? '<span class="settings-badge settings-badge--connected">Current</span>'
+                        : `<button class="btn btn--ghost btn--sm" data-restore="${version.id}" data-saved-at="${version.savedAt}">Restore</button>`}
+                </div>`;
+        }).join('');
+    }
+
+    async function handleRestore(btn) {
+        const newsletter = NewsletterManager.getActive();
+        if (!newsletter) return;
+
+        if (!confirm(`Roll ${newsletter.name} back to the version saved ${formatDateTime(btn.dataset.savedAt)}?\n\nThe current data stays in the history, so this can be undone.`)) {
+            return;
+        }
+
+        btn.disabled = true;
+        btn.textContent = 'Restoring…';
+
+        try {
+            await NewsletterManager.restoreSnapshot(newsletter.id, btn.dataset.restore);
+            if (window.Dashboard && window.Dashboard.refresh) {
+                window.Dashboard.refresh();
+            }
+            showToast(`✅ ${newsletter.name} rolled back`, 'success');
+            loadHistory();
+        } catch (err) {
+            btn.disabled = false;
+            btn.textContent = 'Restore';
+            showToast(`❌ ${err.message}`, 'error');
+        }
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // UTILITIES
     // ─────────────────────────────────────────────────────────────────────────
 
+    function formatDateTime(iso) {
+        return new Date(iso).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
     function formatSlug(slug) {
         return slug.replace(/-[a-z0-9]{6,}$/, '')  // strip random suffix
             .split('-')
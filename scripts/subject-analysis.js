@@ -0,0 +1,283 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   SUBJECT ANALYSIS — Newsletter Analytics Dashboard
+   Subject line features (length, emoji, punctuation, series prefixes, leading
+   words) correlated with open rate across the post archive
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const SubjectAnalysis = (function () {
+    'use strict';
+
+    // Both sides of a comparison need this many posts before it is reported
+    const MIN_GROUP = 5;
+
+    // Smaller open-rate gaps are treated as noise
+    const MIN_DIFF_PTS = 1;
+
+    // Character counts tried as the short/long split; the widest gap wins
+    const LENGTH_THRESHOLDS = [30, 35, 40, 45, 50, 55, 60, 70];
+
+    const REPORT_LIMIT = 10;
+
+    // "Ctrl+Alt+Delete: Why…" — a recurring series name before a colon
+    const PREFIX_PATTERN = /^([^:]{2,40}):\s+\S/;
+    const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+    let container = null;
+    let findings = [];
+    let analyzedCount = 0;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('subject-report');
+        if (!container) {
+            console.warn('SubjectAnalysis: #subject-report container not found');
+            return;
+        }
+        console.log('✉️ SubjectAnalysis initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // FEATURE EXTRACTION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Describe one subject line
+     * @param {string} title
+     * @returns {Object} { length, words, emoji, question, exclamation, number, prefix, leadingWord }
+     */
+    function extractFeatures(title) {
+        const text = String(title || '').trim();
+        const prefixMatch = text.match(PREFIX_PATTERN);
+        const prefix = prefixMatch ? prefixMatch[1].trim() : null;
+
+        // Leading word of the subject proper, after any series prefix
+        const body = prefix ? text.slice(prefixMatch[1].length + 1).trim() : text;
+        const firstWord = body.split(/\s+/)[0] || '';
+        const leadingWord = firstWord.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase() || null;
+
+        return {
+            length: [...text].length,
+            words: text ? text.split(/\s+/).length : 0,
+            emoji: EMOJI_PATTERN.test(text),
+            question: text.includes('?'),
+            exclamation: text.includes('!'),
+            number: /\d/.test(text),
+            prefix,
+            leadingWord
+        };
+    }
+
+    /**
+     * Yes/no features compared as "with" vs "without"
+     */
+    const FLAGS = [
+        { key: 'emoji', label: 'with an emoji' },
+        { key: 'question', label: 'phrased as a question' },
+        { key: 'exclamation', label: 'with an exclamation mark' },
+        { key: 'number', label: 'with a number' }
+    ];
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // ANALYSIS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Compare median open rates of the posts matching `test` against the rest
+     * @returns {Object|null} finding, or null when either side is too small
+     */
+    function compare(items, test, id, label) {
+        const withGroup = items.filter(item => test(item.features));
+        const withoutGroup = items.filter(item => !test(item.features));
+        if (withGroup.length < MIN_GROUP || withoutGroup.length < MIN_GROUP) return null;
+
+        const withRate = median(withGroup.map(item => item.openRate));
+        const withoutRate = median(withoutGroup.map(item => item.openRate));
+        const diff = withRate - withoutRate;
+
+        return {
+            id,
+            label,
+            diff,
+            with: { count: withGroup.length, openRate: withRate },
+            without: { count: withoutGroup.length, openRate: withoutRate },
+            text: `Subjects ${label} open ${Math.abs(diff).toFixed(1)} pts ${diff >= 0 ? 'higher' : 'lower'}`
+        };
+    }
+
+    /**
+     * Find subject line features that go with higher or lower open rates.
+     * Rates are per-post medians so a single viral send doesn't decide a finding.
+     * Posts still on publication-average stats (isEstimated) are left out.
+     * @param {Array} posts - posts with title and openRate
+     * @returns {Array} findings, largest open-rate gap first
+     */
+    function analyze(posts) {
+        const items = (posts || [])
+            .filter(post => post.title && !post.isEstimated && isValid(post.openRate))
+            .map(post => ({ openRate: post.openRate, features: extractFeatures(post.title) }));
+
+        const results = [];
+        if (items.length < MIN_GROUP * 2) return results;
+
+        // Length: the split with the widest gap
+        let bestLength = null;
+        LENGTH_THRESHOLDS.forEach(threshold => {
+            const finding = compare(items, f => f.length < threshold, 'length', `under ${threshold} characters`);
+            if (finding && (!bestLength || Math.abs(finding.diff) > Math.abs(bestLength.diff))) {
+                bestLength = { ...finding, threshold };
+            }
+        });
+        if (bestLength) results.push(bestLength);
+
+        FLAGS.forEach(flag => {
+            const finding = compare(items, f => !!f[flag.key], flag.key, flag.label);
+            if (finding) results.push(finding);
+        });
+
+        // Series prefixes — any prefix at all only adds something over the
+        // named ones when the archive mixes several series
+        const prefixes = items.map(item => item.features.prefix);
+        if (new Set(prefixes.filter(Boolean)).size > 1) {
+            const finding = compare(items, f => !!f.prefix, 'prefix', 'with a "Series:" prefix');
+            if (finding) results.push(finding);
+        }
+
+        // Individual series prefixes and leading words that recur often enough
+        countValues(prefixes).forEach(prefix => {
+            const finding = compare(items, f => f.prefix === prefix, `prefix:${prefix}`, `starting with "${prefix}:"`);
+            if (finding) results.push(finding);
+        });
+        countValues(items.map(item => item.features.leadingWord)).forEach(word => {
+            const finding = compare(items, f => f.leadingWord === word, `word:${word}`, `opening with "${word}"`);
+            if (finding) results.push(finding);
+        });
+
+        return results
+            .filter(finding => Math.abs(finding.diff) >= MIN_DIFF_PTS)
+            .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+    }
+
+    /**
+     * Values that occur at least MIN_GROUP times
+     */
+    function countValues(values) {
+        const counts = {};
+        values.filter(Boolean).forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+        return Object.keys(counts).filter(value => counts[value] >= MIN_GROUP);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UPDATE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Re-run the analysis over the archive and refresh the report
+     * @param {Array} posts - every post of the newsletter, not just the date range
+     */
+    function update(posts) {
+        findings = analyze(posts);
+        analyzedCount = (posts || []).filter(post => post.title && isValid(post.openRate)).length;
+        render();
+    }
+
+    /**
+     * Strongest finding from the last update, shaped for the insight bar
+     * (InsightEngine weighs it against its other candidates)
+     */
+    function getInsight() {
+        const top = findings[0];
+        if (!top) return null;
+
+        return {
+            text: `${top.text} (${top.with.count} vs ${top.without.count} posts)`,
+            type: 'info',
+            icon: '✉️',
+            priority: Math.abs(top.diff) * 3
+        };
+    }
+
+    function getFindings() {
+        return findings.slice();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function render() {
+        if (!container) return;
+
+        const badge = document.getElementById('subject-report-count');
+        if (badge) badge.textContent = `${analyzedCount} subjects`;
+
+        if (findings.length === 0) {
+            container.innerHTML = `
+                <div class="subject-report__empty">
+                    ${analyzedCount < MIN_GROUP * 2
+                        ? `Needs at least ${MIN_GROUP * 2} posts with open rates to compare subject lines`
+                        : 'No subject line feature moves open rate by more than a point yet'}
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = findings.slice(0, REPORT_LIMIT).map(finding => {
+            const diffClass = finding.diff >= 0 ? 'positive' : 'negative';
+            return `
+                <div class="subject-finding">
+                    <div class="subject-finding__text">${escapeHtml(finding.text)}</div>
+                    <div class="subject-finding__detail">
+                        ${formatPercent(finding.with.openRate)} median open rate across ${finding.with.count} posts
+                        vs ${formatPercent(finding.without.openRate)} across ${finding.without.count}
+                    </div>
+                    <span class="subject-finding__diff subject-finding__diff--${diffClass}">
+                        ${finding.diff >= 0 ? '+' : '−'}${Math.abs(finding.diff).toFixed(1)} pts
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function isValid(n) {
+        return typeof n === 'number' && !isNaN(n);
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    function formatPercent(num) {
+        return isValid(num) ? num.toFixed(1) + '%' : '—';
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        analyze,
+        extractFeatures,
+        getInsight,
+        getFindings
+    };
+
+})();
+
+window.SubjectAnalysis = SubjectAnalysis;
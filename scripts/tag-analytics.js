@@ -0,0 +1,399 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   TAG ANALYTICS — Newsletter Analytics Dashboard
+   Per-tag performance panel, tag trend chart and the global tag filter
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const TagAnalytics = (function () {
+    'use strict';
+
+    // Posts without content tags are grouped (and filterable) under this label
+    const UNTAGGED = 'Untagged';
+
+    // Lines beyond this many tags turn the trend chart into noise
+    const TREND_TAG_LIMIT = 6;
+
+    const METRICS = {
+        openRate: { label: 'Open Rate' },
+        ctr: { label: 'CTR' },
+        verifiedCtr: { label: 'Verified CTR' },
+        unsubscribeRate: { label: 'Unsub. Rate' }
+    };
+
+    // Accent colours of the engagement stat cards, then the status colours
+    const TREND_COLORS = ['#C2EE6B', '#6C9FFF', '#E879F9', '#F59E0B', '#22D3EE', '#F87171'];
+
+    let filterEl = null;
+    let trendChart = null;
+    let trendMetric = 'openRate';
+    let sortKey = 'count';
+
+    // Posts in the current date range, before the tag filter is applied
+    let posts = [];
+    let selected = [];
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        filterEl = document.getElementById('tag-filter');
+
+        if (filterEl) {
+            const menu = filterEl.querySelector('.dropdown__menu');
+
+            // Keep the menu open while ticking boxes (Dropdown closes on any document click)
+            menu.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (e.target.closest('[data-action="clear-tags"]')) setSelected([], true);
+            });
+            menu.addEventListener('change', (e) => {
+                if (!e.target.matches('input[type="checkbox"]')) return;
+                const checked = Array.from(menu.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+                setSelected(checked, true);
+            });
+        }
+
+        // Clicking a row in the tags table scopes the dashboard to that tag
+        const table = document.getElementById('tag-table');
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const header = e.target.closest('[data-sort]');
+                if (header) {
+                    sortKey = header.dataset.sort;
+                    renderTable();
+                    return;
+                }
+
+                const row = e.target.closest('[data-tag]');
+                if (!row) return;
+                const tag = row.dataset.tag;
+                setSelected(selected.includes(tag) ? selected.filter(t => t !== tag) : [...selected, tag], true);
+            });
+        }
+
+        const metricToggle = document.getElementById('tag-trend-metric');
+        if (metricToggle) {
+            metricToggle.addEventListener('toggle:change', (e) => {
+                trendMetric = e.detail.value;
+                renderTrend();
+            });
+        }
+
+        console.log('🏷️ TagAnalytics initialized');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // TAGS & FILTERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Tags of one post — "Content Tags" arrive as a comma-separated string
+     * (XLSX/API: contentTags, legacy CSV: tags)
+     */
+    function tagsOf(post) {
+        const raw = post.contentTags ?? post.tags;
+        const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+        const tags = list.map(t => String(t).trim()).filter(Boolean);
+        return tags.length > 0 ? tags : [UNTAGGED];
+    }
+
+    /**
+     * Posts carrying any of the given tags (all posts when none are given)
+     */
+    function filterPosts(rows, tags = selected) {
+        if (!rows || !tags || tags.length === 0) return rows;
+        return rows.filter(post => tagsOf(post).some(tag => tags.includes(tag)));
+    }
+
+    /**
+     * Copy of the Mariana stores with the posts store scoped to the tags.
+     * Growth and audience are subscriber-level and stay unscoped.
+     */
+    function scope(xlsxData, tags = selected) {
+        if (!xlsxData || !xlsxData.posts || !tags || tags.length === 0) return xlsxData;
+        return { ...xlsxData, posts: filterPosts(xlsxData.posts, tags) };
+    }
+
+    /**
+     * Set the active tag filter; `notify` announces it so the dashboard
+     * re-renders (main.js listens for tagfilter:change)
+     */
+    function setSelected(tags, notify) {
+        selected = [...new Set(tags || [])];
+        renderFilterMenu();
+        renderTable();
+
+        if (notify && filterEl) {
+            filterEl.dispatchEvent(new CustomEvent('tagfilter:change', {
+                detail: { tags: selected.slice() }
+            }));
+        }
+    }
+
+    function getSelected() {
+        return selected.slice();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // AGGREGATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function median(values) {
+        const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * Group posts by tag — a post with several tags counts towards each.
+     * Rates are per-post medians so one viral send doesn't carry a tag.
+     * Posts still on publication-average stats (isEstimated) are left out.
+     */
+    function summarize(rows) {
+        const groups = {};
+
+        (rows || []).filter(post => !post.isEstimated).forEach(post => {
+            tagsOf(post).forEach(tag => {
+                if (!groups[tag]) groups[tag] = [];
+                groups[tag].push(post);
+            });
+        });
+
+        return Object.entries(groups).map(([tag, tagPosts]) => ({
+            tag,
+            count: tagPosts.length,
+            openRate: median(tagPosts.map(p => p.openRate)),
+            ctr: median(tagPosts.map(p => p.ctr)),
+            verifiedCtr: median(tagPosts.map(p => p.verifiedCtr)),
+            unsubscribeRate: median(tagPosts.map(p => p.unsubscribeRate)),
+            posts: tagPosts
+        }));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UPDATE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Refresh the panel and filter menu with the posts in the current date
+     * range (unfiltered by tag, so every tag stays comparable)
+     */
+    function update(rows) {
+        posts = rows || [];
+        renderFilterMenu();
+        renderTable();
+        renderTrend();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function renderFilterMenu() {
+        if (!filterEl) return;
+
+        const counts = {};
+        posts.forEach(post => tagsOf(post).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+
+        // Selected tags stay listed even when the range has no posts for them
+        selected.forEach(tag => { if (!(tag in counts)) counts[tag] = 0; });
+
+        const tags = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+        const menu = filterEl.querySelector('.dropdown__menu');
+
+        menu.innerHTML = tags.length === 0
+            ? '<div class="tag-filter__empty">No tagged posts in this range</div>'
+            : `
+                ${tags.map(tag => `
+                    <label class="tag-filter__option">
+                        <input type="checkbox" value="${escapeHtml(tag)}" ${selected.includes(tag) ? 'checked' : ''}>
+                        <span class="tag-filter__name">${escapeHtml(tag)}</span>
+                        <span class="tag-filter__count">${counts[tag]}</span>
+                    </label>
+                `).join('')}
+                <button class="tag-filter__clear" data-action="clear-tags" ${selected.length === 0 ? 'disabled' : ''}>Show all tags</button>
+            `;
+
+        const label = filterEl.querySelector('.dropdown__trigger span');
+        label.textContent = selected.length === 0
+            ? 'All tags'
+            : selected.length === 1 ? selected[0] : `${selected.length} tags`;
+        filterEl.classList.toggle('is-filtered', selected.length > 0);
+    }
+
+    function renderTable() {
+        const table = document.getElementById('tag-table');
+        if (!table) return;
+
+        const summaries = summarize(posts).sort((a, b) => {
+            if (sortKey === 'tag') return a.tag.localeCompare(b.tag);
+            return (b[sortKey] ?? -Infinity) - (a[sortKey] ?? -Infinity);
+        });
+
+        const emptyEl = document.getElementById('tag-panel-empty');
+        if (emptyEl) emptyEl.style.display = summaries.length === 0 ? '' : 'none';
+        table.style.display = summaries.length === 0 ? 'none' : '';
+        if (summaries.length === 0) return;
+
+        const best = {};
+        Object.keys(METRICS).forEach(key => {
+            const values = summaries.filter(s => s.count > 1).map(s => s[key]).filter(v => v !== null);
+            // Lower is better for unsubscribes
+            best[key] = values.length > 1 ? (key === 'unsubscribeRate' ? Math.min(...values) : Math.max(...values)) : null;
+        });
+
+        const headers = [
+            { key: 'tag', label: 'Tag' },
+            { key: 'count', label: 'Posts' },
+            ...Object.entries(METRICS).map(([key, def]) => ({ key, label: `Median ${def.label}` }))
+        ];
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    ${headers.map(h => `
+                        <th class="tag-table__header ${h.key !== 'tag' ? 'tag-table__num' : ''} ${sortKey === h.key ? 'is-sorted' : ''}" data-sort="${h.key}">${h.label}</th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${summaries.map(s => `
+                    <tr class="tag-table__row ${selected.includes(s.tag) ? 'is-selected' : ''}" data-tag="${escapeHtml(s.tag)}" title="Filter the dashboard to ${escapeHtml(s.tag)}">
+                        <td class="tag-table__tag">${escapeHtml(s.tag)}</td>
+                        <td class="tag-table__num">${s.count}</td>
+                        ${Object.keys(METRICS).map(key => `
+                            <td class="tag-table__num ${best[key] !== null && s[key] === best[key] && s.count > 1 ? 'is-best' : ''}">${formatPercent(s[key])}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    /**
+     * Monthly median of the chosen metric for the most-used tags.
+     * Skipped while the Engagement tab is hidden (Chart.js needs a visible canvas).
+     */
+    function renderTrend() {
+        const canvas = document.getElementById('tag-trend-canvas');
+        if (!canvas || !canvas.closest('.tab-panel--active')) return;
+
+        if (trendChart) {
+            trendChart.destroy();
+            trendChart = null;
+        }
+
+        const summaries = summarize(posts)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TREND_TAG_LIMIT);
+        if (summaries.length === 0) return;
+
+        const monthKey = (d) => {
+            const date = d instanceof Date ? d : new Date(d);
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        };
+
+        const keys = [...new Set(posts.map(p => monthKey(p.date)))].sort();
+        const labels = keys.map(k => {
+            const [year, month] = k.split('-').map(Number);
+            return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        });
+
+        const light = document.documentElement.getAttribute('data-theme') === 'light';
+        const goalDataset = window.Goals ? Goals.lineDataset(trendMetric, labels.length) : null;
+
+        trendChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [...summaries.map((s, i) => {
+                    const byMonth = {};
+                    s.posts.forEach(p => {
+                        const key = monthKey(p.date);
+                        (byMonth[key] = byMonth[key] || []).push(p[trendMetric]);
+                    });
+                    const color = TREND_COLORS[i % TREND_COLORS.length];
+                    return {
+                        label: s.tag,
+                        data: keys.map(k => byMonth[k] ? median(byMonth[k]) : null),
+                        borderColor: color,
+                        backgroundColor: color,
+                        borderWidth: selected.includes(s.tag) ? 3.5 : 2,
+                        tension: 0.3,
+                        spanGaps: true,
+                        pointRadius: 3,
+                        pointHoverRadius: 5
+                    };
+                }), ...(goalDataset ? [goalDataset] : [])]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'bottom',
+                        labels: { boxWidth: 12, boxHeight: 12, usePointStyle: true }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${formatPercent(item.raw)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false }
+                    },
+                    y: {
+                        beginAtZero: trendMetric === 'unsubscribeRate',
+                        grid: {
+                            color: light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)'
+                        },
+                        ticks: {
+                            callback: (value) => value + '%'
+                        }
+                    }
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                }
+            }
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function formatPercent(num) {
+        if (typeof num !== 'number' || isNaN(num)) return '—';
+        return num.toFixed(num < 1 ? 2 : 1) + '%';
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        renderTrend,
+        tagsOf,
+        filterPosts,
+        scope,
+        summarize,
+        setSelected,
+        getSelected
+    };
+})();
+
+window.TagAnalytics = TagAnalytics;
@@ -0,0 +1,298 @@
+/* ════════════════════════════════════════════════════════════════════════════
+   WEB STATS — Newsletter Analytics Dashboard
+   Web views and clicks next to email opens and clicks, monthly web vs email
+   reads, and posts ranked by web traffic (a proxy for editions that get shared)
+   ════════════════════════════════════════════════════════════════════════════ */
+
+const WebStats = (function () {
+    'use strict';
+
+    const RANK_LIMIT = 10;
+
+    const RANK_METRICS = {
+        webViews: { label: 'Web views' },
+        webReach: { label: 'Views per 100 recipients' }
+    };
+
+    const EMAIL_COLOR = '#6C9FFF';
+    const WEB_COLOR = '#C2EE6B';
+
+    let container = null;
+    let chart = null;
+    let rankBy = 'webViews';
+    let posts = [];
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // INITIALIZATION
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function init() {
+        container = document.getElementById('web-stats-panel');
+        if (!container) {
+            console.warn('WebStats: #web-stats-panel container not found');
+            return;
+        }
+
+        const toggle = document.getElementById('web-stats-rank');
+        if (toggle) {
+            toggle.addEventListener('toggle:change', (e) => {
+                rankBy = e.detail.value;
+                render();
+            });
+        }
+
+        console.log('🌐 WebStats initialized');
+    }
+
+    /**
+     * Refresh the section
+     * @param {Array} rows - posts in the selected range
+     */
+    function update(rows) {
+        posts = (rows || []).filter(post => post.date);
+        render();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // CALCULATIONS
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Posts that carry web stats. Estimated Beehiiv posts and exports without
+     * the web columns have webViews: null and are left out entirely, so email
+     * and web totals always cover the same posts.
+     */
+    function withWebStats(rows) {
+        return rows.filter(post => isValid(post.webViews));
+    }
+
+    /**
+     * Email vs web totals
+     * @returns {Object} { posts, emailOpens, emailClicks, emailCtr, webViews,
+     *   webClicks, webClickRate, webShare }
+     */
+    function summarize(rows) {
+        const web = withWebStats(rows);
+        const sum = key => web.reduce((total, post) => total + (post[key] || 0), 0);
+
+        const emailOpens = sum('uniqueOpens');
+        const emailClicks = sum('uniqueClicks');
+        const webViews = sum('webViews');
+        const webClicks = sum('webClicks');
+
+        return {
+            posts: web.length,
+            emailOpens,
+            emailClicks,
+            emailCtr: emailOpens > 0 ? (emailClicks / emailOpens) * 100 : null,
+            webViews,
+            webClicks,
+            webClickRate: webViews > 0 ? (webClicks / webViews) * 100 : null,
+            // Share of all reads (email opens + web views) that happened on the web
+            webShare: emailOpens + webViews > 0 ? (webViews / (emailOpens + webViews)) * 100 : null
+        };
+    }
+
+    /**
+     * Email opens and web views per calendar month
+     * @returns {Array} [{ month: 'YYYY-MM', emailOpens, webViews }]
+     */
+    function monthly(rows) {
+        const months = {};
+
+        withWebStats(rows).forEach(post => {
+            const d = new Date(post.date);
+            const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+            const month = months[key] || (months[key] = { month: key, emailOpens: 0, webViews: 0 });
+            month.emailOpens += post.uniqueOpens || 0;
+            month.webViews += post.webViews || 0;
+        });
+
+        return Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+    }
+
+    /**
+     * Posts ranked by web traffic. webReach normalizes views by list size so
+     * editions sent to a smaller list aren't buried.
+     * @param {string} metric - 'webViews' | 'webReach'
+     */
+    function rank(rows, metric = 'webViews') {
+        return withWebStats(rows)
+            .map(post => ({
+                title: post.title || 'Untitled',
+                date: post.date,
+                webViews: post.webViews,
+                webClicks: post.webClicks,
+                webClickRate: post.webViews > 0 && isValid(post.webClicks) ? (post.webClicks / post.webViews) * 100 : null,
+                webReach: post.sent > 0 ? (post.webViews / post.sent) * 100 : null
+            }))
+            .filter(post => isValid(post[metric]) && post.webViews > 0)
+            .sort((a, b) => b[metric] - a[metric]);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // RENDERING
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function setStatus(text) {
+        container.innerHTML = `<div class="web-stats__empty">${escapeHtml(text)}</div>`;
+        destroyChart();
+    }
+
+    function render() {
+        if (!container) return;
+
+        const summary = summarize(posts);
+        const meta = document.getElementById('web-stats-meta');
+        if (meta) meta.textContent = summary.posts > 0 ? `${summary.posts} posts` : '';
+
+        if (posts.length === 0) {
+            setStatus('Import data to compare web and email performance');
+            return;
+        }
+        if (summary.posts === 0) {
+            setStatus('No web stats in this data — sync from Beehiiv or import an export with the Web Views column');
+            return;
+        }
+
+        const ranked = rank(posts, rankBy).slice(0, RANK_LIMIT);
+
+        container.innerHTML = `
+            <div class="web-stats__summary">
+                ${renderStat('Web views', formatNumber(summary.webViews), `vs ${formatNumber(summary.emailOpens)} email opens`)}
+                ${renderStat('Read on the web', formatPercent(summary.webShare), 'of opens + web views')}
+                ${renderStat('Web clicks', formatNumber(summary.webClicks), `vs ${formatNumber(summary.emailClicks)} email clicks`)}
+                ${renderStat('Web click rate', formatPercent(summary.webClickRate), `vs ${formatPercent(summary.emailCtr)} email CTR`)}
+            </div>
+            <div class="web-stats">
+                <div class="web-stats__trend">
+                    <div class="web-stats__section-title">Email opens vs web views by month</div>
+                    <div class="chart-wrapper web-stats__chart"><canvas id="web-stats-canvas"></canvas></div>
+                </div>
+                <div class="web-stats__ranking">
+                    <div class="web-stats__section-title">Top posts by ${RANK_METRICS[rankBy].label.toLowerCase()}</div>
+                    ${ranked.length === 0 ? '<div class="web-stats__empty">No web views recorded in this range</div>' : `
+                        <ol class="web-stats__list">
+                            ${ranked.map(post => `
+                                <li class="web-stats__post">
+                                    <span class="web-stats__post-title" title="${escapeHtml(post.title)}">${escapeHtml(post.title)}</span>
+                                    <span class="web-stats__post-date">${formatDate(post.date)}</span>
+                                    <span class="web-stats__post-value">${rankBy === 'webReach' ? post.webReach.toFixed(1) : formatNumber(post.webViews)}</span>
+                                    <span class="web-stats__post-detail">${formatNumber(post.webClicks)} clicks · ${formatPercent(post.webClickRate)}</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    `}
+                </div>
+            </div>
+        `;
+
+        renderChart(monthly(posts));
+    }
+
+    function renderStat(label, value, detail) {
+        return `
+            <div class="web-stats__stat">
+                <span class="web-stats__stat-value">${value}</span>
+                <span class="web-stats__stat-label">${label}</span>
+                <span class="web-stats__stat-detail">${detail}</span>
+            </div>
+        `;
+    }
+
+    function renderChart(months) {
+        const canvas = document.getElementById('web-stats-canvas');
+        if (!canvas || typeof Chart === 'undefined') return;
+        destroyChart();
+
+        const light = document.documentElement.getAttribute('data-theme') === 'light';
+        const axisColor = light ? 'rgba(28, 30, 27, 0.48)' : 'rgba(255, 255, 255, 0.5)';
+        const gridColor = light ? 'rgba(28, 30, 27, 0.06)' : 'rgba(255, 255, 255, 0.08)';
+
+        chart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: months.map(m => formatMonth(m.month)),
+                datasets: [
+                    { label: 'Email opens', data: months.map(m => m.emailOpens), backgroundColor: EMAIL_COLOR, maxBarThickness: 24 },
+                    { label: 'Web views', data: months.map(m => m.webViews), backgroundColor: WEB_COLOR, maxBarThickness: 24 }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'bottom',
+                        labels: { boxWidth: 12, boxHeight: 12, usePointStyle: true }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${item.raw.toLocaleString()}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { grid: { display: false }, ticks: { color: axisColor } },
+                    y: { beginAtZero: true, grid: { color: gridColor }, ticks: { color: axisColor, precision: 0 } }
+                }
+            }
+        });
+    }
+
+    function destroyChart() {
+        if (chart) {
+            chart.destroy();
+            chart = null;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // UTILITIES
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function isValid(n) {
+        return typeof n === 'number' && !isNaN(n);
+    }
+
+    function formatNumber(num) {
+        return isValid(num) ? num.toLocaleString() : '—';
+    }
+
+    function formatPercent(num) {
+        return isValid(num) ? num.toFixed(1) + '%' : '—';
+    }
+
+    function formatDate(date) {
+        return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    function formatMonth(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+    }
+
+    function escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        // Also safe inside quoted attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PUBLIC API
+    // ─────────────────────────────────────────────────────────────────────────
+
+    return {
+        init,
+        update,
+        summarize,
+        monthly,
+        rank
+    };
+
+})();
+
+window.WebStats = WebStats;
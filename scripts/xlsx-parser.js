@@ -16,6 +16,17 @@ const XLSXParser = (function () {
         audience: ['current subscribers', 'active subscribers', 'subscribers', 'audience']
     };
 
+    // Every header the tab parsers below read (normalized) — anything else
+    // is offered to the column mapping wizard
+    const KNOWN_COLUMNS = {
+        posts: ['date', 'post_id', 'subject_or_title', 'subject', 'title', 'sent', 'delivered', 'total_opens',
+            'unique_opens', 'open_rate', 'unique_clicks', 'click_through_rate', 'ctr', 'verified_unique_clicks',
+            'verified_click_through_rate', 'unsubscribed', 'unsubscribe_rate', 'spam_reported', 'delivery_rate',
+            'web_views', 'web_clicks_unique', 'web_clicks', 'web_click_rate', 'content_tags'],
+        growth: ['date', 'subscribed', 'new_subscribers', 'new', 'unsubscribed', 'unsubscribes', 'net', 'net_growth'],
+        audience: ['date', 'active_subscribers', 'total_active_subscribers', 'subscribers']
+    };
+
     // ─────────────────────────────────────────────────────────────────────────
     // UTILITY FUNCTIONS
     // ─────────────────────────────────────────────────────────────────────────
@@ -28,9 +39,26 @@ const XLSXParser = (function () {
         if (!serial || typeof serial !== 'number') return null;
         // Excel epoch is 1900-01-01, but with a leap year bug
         // 25569 = days between 1900-01-01 and 1970-01-01
-        // +12h (43200000ms) to place at noon UTC — prevents timezone shifts 
-        // from changing the calendar day in any timezone (UTC-12 to UTC+14)
-        return new Date((serial - 25569) * 86400 * 1000 + 43200000);
+        const ms = (serial - 25569) * 86400 * 1000;
+
+        // Date-only cells: +12h (43200000ms) to place at noon UTC — prevents
+        // timezone shifts from changing the calendar day in any timezone (UTC-12 to UTC+14).
+        if (!hasTimeOfDay(serial)) return new Date(ms + 43200000);
+
+        // Serials carry no timezone: the time is the exporter's wall clock,
+        // read here as local time (like the CSV importers' dates)
+        const wall = new Date(Math.round(ms / 1000) * 1000);
+        return new Date(
+            wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()
+        );
+    }
+
+    /**
+     * Whether an Excel serial carries a time of day (fractional part)
+     */
+    function hasTimeOfDay(serial) {
+        return typeof serial === 'number' && serial % 1 !== 0;
     }
 
     /**
@@ -48,12 +76,26 @@ const XLSXParser = (function () {
         return null;
     }
 
+    /**
+     * Find a sheet by its exact name (from a column mapping)
+     */
+    function findSheetByName(workbook, name) {
+        return name && workbook.SheetNames.includes(name) ? workbook.Sheets[name] : null;
+    }
+
     /**
      * Convert sheet to JSON with header normalization
+     * @param {Object} [columns] - column mapping for the tab (see ColumnMapper)
      */
-    function sheetToJSON(sheet) {
+    function sheetToJSON(sheet, store, columns) {
         if (!sheet) return [];
-        return XLSX.utils.sheet_to_json(sheet, { defval: null });
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
+        if (!columns || Object.keys(columns).length === 0 || !window.ColumnMapper) return rows;
+        return rows.map(row => ColumnMapper.remapRow(row, store, columns));
+    }
+
+    function isKnownColumn(store, header) {
+        return (KNOWN_COLUMNS[store] || []).includes(normalizeColumnName(header));
     }
 
     /**
@@ -89,6 +131,15 @@ const XLSXParser = (function () {
         return num <= 1 ? num * 100 : num;
     }
 
+    /**
+     * Parse a count that may be missing from older exports (null, not 0)
+     */
+    function toCount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = parseInt(value);
+        return isNaN(num) ? null : num;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // PARSERS FOR EACH TAB
     // ─────────────────────────────────────────────────────────────────────────
@@ -96,17 +147,20 @@ const XLSXParser = (function () {
     /**
      * Parse the 'posts' tab (Campaign Performance)
      */
-    function parsePosts(sheet) {
-        const raw = sheetToJSON(sheet);
+    function parsePosts(sheet, columns) {
+        const raw = sheetToJSON(sheet, 'posts', columns);
 
         return raw
             .filter(row => getColumn(row, 'date') !== null)
             .map(row => {
-                const date = excelDateToJS(getColumn(row, 'date'));
+                const serial = getColumn(row, 'date');
+                const date = excelDateToJS(serial);
                 if (!date) return null;
 
                 return {
+                    postId: getColumn(row, 'post_id') || null,
                     date,
+                    hasSendTime: hasTimeOfDay(serial),
                     title: getColumn(row, 'subject_or_title', 'subject', 'title') || 'Untitled',
                     sent: parseInt(getColumn(row, 'sent')) || 0,
                     delivered: parseInt(getColumn(row, 'delivered')) || 0,
@@ -119,7 +173,11 @@ const XLSXParser = (function () {
                     verifiedCtr: toPercentage(getColumn(row, 'verified_click_through_rate', 'verified_click-through_rate')),
                     unsubscribed: parseInt(getColumn(row, 'unsubscribed')) || 0,
                     unsubscribeRate: toPercentage(getColumn(row, 'unsubscribe_rate')),
+                    spamReported: toCount(getColumn(row, 'spam_reported')),
                     deliveryRate: toPercentage(getColumn(row, 'delivery_rate')),
+                    webViews: toCount(getColumn(row, 'web_views')),
+                    webClicks: toCount(getColumn(row, 'web_clicks_unique', 'web_clicks')),
+                    webClickRate: toPercentage(getColumn(row, 'web_click_rate')),
                     contentTags: getColumn(row, 'content_tags') || null
                 };
             })
@@ -130,8 +188,8 @@ const XLSXParser = (function () {
     /**
      * Parse the 'subscriber monthly' tab (Growth Analysis)
      */
-    function parseGrowth(sheet) {
-        const raw = sheetToJSON(sheet);
+    function parseGrowth(sheet, columns) {
+        const raw = sheetToJSON(sheet, 'growth', columns);
 
         return raw
             .filter(row => getColumn(row, 'date') !== null)
@@ -154,8 +212,8 @@ const XLSXParser = (function () {
     /**
      * Parse the 'current subscribers' tab (Audience History)
      */
-    function parseAudience(sheet) {
-        const raw = sheetToJSON(sheet);
+    function parseAudience(sheet, columns) {
+        const raw = sheetToJSON(sheet, 'audience', columns);
 
         return raw
             .filter(row => getColumn(row, 'date') !== null)
@@ -179,9 +237,29 @@ const XLSXParser = (function () {
     /**
      * Parse an XLSX file and return the three data stores
      * @param {ArrayBuffer} data - File data from FileReader
+     * @param {Object} [mapping] - { sheets, columns } from the column mapping wizard
      * @returns {Object} { posts, growth, audience, warnings, success }
      */
-    function parseXLSX(data) {
+    function parseXLSX(data, mapping) {
+        try {
+            return parseWorkbook(XLSX.read(data, { type: 'array' }), mapping);
+        } catch (error) {
+            console.error('[XLSXParser] Error parsing file:', error);
+            return {
+                posts: null,
+                growth: null,
+                audience: null,
+                warnings: [`Parse error: ${error.message}`],
+                success: false
+            };
+        }
+    }
+
+    /**
+     * Parse an already-read workbook. Mapped sheet names win over the
+     * built-in tab aliases; mapped columns are added to each tab's rows.
+     */
+    function parseWorkbook(workbook, mapping = {}) {
         const result = {
             posts: null,
             growth: null,
@@ -189,18 +267,18 @@ const XLSXParser = (function () {
             warnings: [],
             success: false
         };
+        const sheets = mapping.sheets || {};
+        const columns = mapping.columns || {};
 
         try {
-            const workbook = XLSX.read(data, { type: 'array' });
-
             // Find and parse each tab
-            const postsSheet = findSheet(workbook, TAB_ALIASES.posts);
-            const growthSheet = findSheet(workbook, TAB_ALIASES.growth);
-            const audienceSheet = findSheet(workbook, TAB_ALIASES.audience);
+            const postsSheet = findSheetByName(workbook, sheets.posts) || findSheet(workbook, TAB_ALIASES.posts);
+            const growthSheet = findSheetByName(workbook, sheets.growth) || findSheet(workbook, TAB_ALIASES.growth);
+            const audienceSheet = findSheetByName(workbook, sheets.audience) || findSheet(workbook, TAB_ALIASES.audience);
 
             // Parse posts tab
             if (postsSheet) {
-                result.posts = parsePosts(postsSheet);
+                result.posts = parsePosts(postsSheet, columns.posts);
                 console.log(`[XLSXParser] Parsed ${result.posts.length} posts`);
             } else {
                 result.warnings.push('Missing "posts" tab — Campaign performance data unavailable');
@@ -208,7 +286,7 @@ const XLSXParser = (function () {
 
             // Parse growth tab
             if (growthSheet) {
-                result.growth = parseGrowth(growthSheet);
+                result.growth = parseGrowth(growthSheet, columns.growth);
                 console.log(`[XLSXParser] Parsed ${result.growth.length} growth records`);
             } else {
                 result.warnings.push('Missing "subscriber monthly" tab — Growth chart unavailable');
@@ -216,7 +294,7 @@ const XLSXParser = (function () {
 
             // Parse audience tab
             if (audienceSheet) {
-                result.audience = parseAudience(audienceSheet);
+                result.audience = parseAudience(audienceSheet, columns.audience);
                 console.log(`[XLSXParser] Parsed ${result.audience.length} audience records`);
             } else {
                 result.warnings.push('Missing "current subscribers" tab — Hero metric unavailable');
@@ -237,15 +315,16 @@ const XLSXParser = (function () {
     /**
      * Read file and parse XLSX
      * @param {File} file - File object from input
+     * @param {Object} [mapping] - column mapping (see parseXLSX)
      * @returns {Promise<Object>} Parsed data
      */
-    async function parseFile(file) {
+    async function parseFile(file, mapping) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 const data = new Uint8Array(e.target.result);
-                const result = parseXLSX(data);
+                const result = parseXLSX(data, mapping);
                 resolve(result);
             };
 
@@ -257,6 +336,52 @@ const XLSXParser = (function () {
         });
     }
 
+    /**
+     * Read a file into a workbook once, so it can be inspected and re-parsed
+     * as the column mapping changes
+     * @param {File} file - File object from input
+     * @returns {Promise<Object>} SheetJS workbook
+     */
+    async function readWorkbook(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    resolve(XLSX.read(new Uint8Array(e.target.result), { type: 'array' }));
+                } catch (error) {
+                    reject(new Error(`Could not read workbook: ${error.message}`));
+                }
+            };
+
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Describe each sheet for the column mapping wizard
+     * @returns {Array} [{ name, store, headers, samples }] — store is the tab
+     *   the built-in aliases recognise it as, or null
+     */
+    function inspectWorkbook(workbook) {
+        return workbook.SheetNames.map(name => {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: null });
+            const headers = (rows[0] || []).filter(h => h !== null && h !== '').map(String);
+            const samples = {};
+            headers.forEach(header => {
+                const column = rows[0].findIndex(h => String(h) === header);
+                const row = rows.slice(1).find(r => r[column] !== null && r[column] !== '');
+                samples[header] = row ? row[column] : null;
+            });
+
+            const store = Object.keys(TAB_ALIASES)
+                .find(key => TAB_ALIASES[key].includes(name.toLowerCase().trim())) || null;
+
+            return { name, store, headers, samples };
+        });
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // AGGREGATION UTILITIES (for date range filtering)
     // ─────────────────────────────────────────────────────────────────────────
@@ -290,6 +415,7 @@ const XLSXParser = (function () {
                 ctr: null,
                 verifiedCtr: null,
                 deliveryRate: null,
+                unsubscribeRate: null,
                 count: 0
             };
         }
@@ -311,6 +437,7 @@ const XLSXParser = (function () {
         // CTR = total unique clicks / total unique opens  
         // Verified CTR = total verified clicks / total unique opens
         // Delivery Rate = total delivered / total sent
+        // Unsubscribe Rate = total unsubscribed / total delivered
         summed.openRate = summed.delivered > 0
             ? Math.round((summed.uniqueOpens / summed.delivered) * 10000) / 100
             : null;
@@ -323,6 +450,9 @@ const XLSXParser = (function () {
         summed.deliveryRate = summed.sent > 0
             ? Math.round((summed.delivered / summed.sent) * 10000) / 100
             : null;
+        summed.unsubscribeRate = summed.delivered > 0
+            ? Math.round((summed.unsubscribed / summed.delivered) * 10000) / 100
+            : null;
 
         // Per-post averages for click metrics (Mariana Protocol: average, not sum)
         summed.avgUniqueClicks = summed.count > 0
@@ -350,6 +480,10 @@ const XLSXParser = (function () {
     return {
         parseFile,
         parseXLSX,
+        parseWorkbook,
+        readWorkbook,
+        inspectWorkbook,
+        isKnownColumn,
         filterByDateRange,
         aggregatePosts,
         getLatestSubscriberCount,